@@ -0,0 +1,108 @@
+const {
+    getMessageTemplates,
+    renderLongestSms,
+    renderLongestLinkSms,
+    getMaxSegments,
+    LONGEST_CODE
+} = require('./messageTemplates');
+const { countSmsSegments } = require('../utils/smsEncoding');
+const { addAutofillLines } = require('../utils/otpAutofill');
+
+// Autofill settings of a client app (see models/ClientApp)
+const AUTOFILL_FIELDS = ['androidAppHash', 'webOtpDomain'];
+
+// 11 characters of base64 as produced by the SMS Retriever AppSignatureHelper
+const ANDROID_APP_HASH_PATTERN = /^[A-Za-z0-9+/]{11}$/;
+
+// Host name without scheme or port, e.g. "app.example.com"
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)*[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/i;
+
+let cachedDefault = null;
+
+/**
+ * Check autofill settings and that the messages still fit in every locale with them
+ * SMS Retriever only reads messages of at most 140 bytes, i.e. a single segment.
+ * @param {Object} autofill - Autofill settings ({ androidAppHash?, webOtpDomain? })
+ * @param {Object} [options] - Check options
+ * @param {Object} [options.branding] - Branding the messages are sent with
+ * @throws {Error} - Describing the first problem found
+ */
+const checkAutofill = (autofill, { branding } = {}) => {
+    const unknown = Object.keys(autofill).filter(field => !AUTOFILL_FIELDS.includes(field));
+    if (unknown.length) throw new Error(`unknown setting(s) ${unknown.join(', ')}`);
+
+    if (autofill.androidAppHash !== undefined && !ANDROID_APP_HASH_PATTERN.test(autofill.androidAppHash)) {
+        throw new Error('androidAppHash must be the 11-character app hash');
+    }
+    if (autofill.webOtpDomain !== undefined && !DOMAIN_PATTERN.test(autofill.webOtpDomain)) {
+        throw new Error('webOtpDomain must be a host name such as app.example.com');
+    }
+
+    const maxSegments = autofill.androidAppHash ? 1 : getMaxSegments();
+    Object.entries(getMessageTemplates()).forEach(([locale, templates]) => {
+        const sms = addAutofillLines(renderLongestSms(templates, branding), LONGEST_CODE, autofill);
+        const { segments } = countSmsSegments(sms);
+        if (segments > maxSegments) {
+            throw new Error(`the "${locale}" SMS needs ${segments} segments with the autofill lines; the limit is ${maxSegments}`);
+        }
+
+        // Branding only differs from the startup check for client apps
+        if (branding && templates.link) {
+            const linkSegments = countSmsSegments(renderLongestLinkSms(templates, branding)).segments;
+            if (linkSegments > getMaxSegments()) {
+                throw new Error(`the "${locale}" link SMS needs ${linkSegments} segments; the limit is ${getMaxSegments()}`);
+            }
+        }
+    });
+};
+
+/**
+ * Load and validate the autofill settings of requests without a client app
+ * WEBOTP_DOMAIN adds a WebOTP line to their SMS. A broken setting throws so
+ * over-long messages are caught at startup.
+ * @returns {Object} - { webOtpDomain? }
+ */
+const loadDefaultAutofill = () => {
+    const autofill = process.env.WEBOTP_DOMAIN ? { webOtpDomain: process.env.WEBOTP_DOMAIN } : {};
+
+    try {
+        checkAutofill(autofill);
+    } catch (error) {
+        throw new Error(`Invalid WEBOTP_DOMAIN: ${error.message}`);
+    }
+
+    return autofill;
+};
+
+/**
+ * Get the autofill settings of requests without a client app (loaded once)
+ * @returns {Object} - { webOtpDomain? }
+ */
+const getDefaultAutofill = () => {
+    if (!cachedDefault) {
+        cachedDefault = loadDefaultAutofill();
+    }
+    return cachedDefault;
+};
+
+/**
+ * Get the autofill settings to format a request's SMS with
+ * Requests of a client app (see middleware/tenant) use its autofill settings,
+ * all others the defaults.
+ * @param {Object} req - Express request
+ * @returns {Object} - { androidAppHash?, webOtpDomain? }
+ */
+const getRequestAutofill = (req) => {
+    if (req && req.tenant) {
+        const { androidAppHash, webOtpDomain } = req.tenant.autofill || {};
+        return { androidAppHash, webOtpDomain };
+    }
+
+    return getDefaultAutofill();
+};
+
+module.exports = {
+    checkAutofill,
+    getDefaultAutofill,
+    getRequestAutofill
+};
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const { MIN_CODE_LENGTH, MAX_CODE_LENGTH, isValidCodeLength } = require('./otpPolicy');
+
+// Per-country settings that may be overridden
+const POLICY_FIELDS = ['codeLength', 'codeExpiryMs', 'channels', 'dailySendCap'];
+
+let cachedPermissions = null;
+
+/**
+ * Normalize a configured prefix ("+44 871" -> "44871")
+ * @param {string|number} prefix - Calling code or number prefix
+ * @returns {string} - Digits only
+ */
+const normalizePrefix = (prefix) => String(prefix).replace(/\D/g, '');
+
+/**
+ * Read the raw geo-permissions JSON from GEO_PERMISSIONS or GEO_PERMISSIONS_FILE
+ * @returns {Object} - Parsed configuration (empty when not configured)
+ */
+const readRawPermissions = () => {
+    if (process.env.GEO_PERMISSIONS) {
+        return JSON.parse(process.env.GEO_PERMISSIONS);
+    }
+
+    if (process.env.GEO_PERMISSIONS_FILE) {
+        return JSON.parse(fs.readFileSync(process.env.GEO_PERMISSIONS_FILE, 'utf8'));
+    }
+
+    return {};
+};
+
+/**
+ * Load and validate the geo-permissions configuration
+ * Format:
+ *   {
+ *     "allow": ["1", "44"],            // calling codes or number prefixes; empty allows everything
+ *     "deny": ["1900", "44871"],       // always blocked, even when also allowed
+ *     "countries": {                   // overrides keyed by calling code
+ *       "44": { "codeLength": 6, "codeExpiryMs": 300000, "channels": ["sms"], "dailySendCap": 5 }
+ *     }
+ *   }
+ * A broken configuration throws: silently allowing every destination is worse than failing.
+ * @returns {Object} - { allow, deny, countries }
+ */
+const loadGeoPermissions = () => {
+    let raw;
+    try {
+        raw = readRawPermissions();
+    } catch (error) {
+        throw new Error(`Invalid geo-permissions configuration: ${error.message}`);
+    }
+
+    const countries = {};
+    Object.entries(raw.countries || {}).forEach(([callingCode, overrides]) => {
+        const unknown = Object.keys(overrides).filter(field => !POLICY_FIELDS.includes(field));
+        if (unknown.length) {
+            throw new Error(`Invalid geo-permissions configuration: unknown setting(s) ${unknown.join(', ')} for +${callingCode}`);
+        }
+        if (overrides.codeLength !== undefined && !isValidCodeLength(overrides.codeLength)) {
+            throw new Error(`Invalid geo-permissions configuration: codeLength for +${callingCode} must be ${MIN_CODE_LENGTH} to ${MAX_CODE_LENGTH}`);
+        }
+        countries[normalizePrefix(callingCode)] = overrides;
+    });
+
+    return {
+        allow: (raw.allow || []).map(normalizePrefix).filter(Boolean),
+        deny: (raw.deny || []).map(normalizePrefix).filter(Boolean),
+        countries
+    };
+};
+
+/**
+ * Get the geo-permissions configuration (loaded once)
+ * @returns {Object} - { allow, deny, countries }
+ */
+const getGeoPermissions = () => {
+    if (!cachedPermissions) {
+        cachedPermissions = loadGeoPermissions();
+    }
+    return cachedPermissions;
+};
+
+module.exports = {
+    loadGeoPermissions,
+    getGeoPermissions
+};
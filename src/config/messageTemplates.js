@@ -0,0 +1,235 @@
+const fs = require('fs');
+const { countSmsSegments } = require('../utils/smsEncoding');
+const { MAX_CODE_LENGTH } = require('./otpPolicy');
+
+// Placeholders each message template may use
+const PLACEHOLDERS = {
+    sms: ['code', 'expiry', 'appName', 'brand'],
+    voice: ['code', 'expiry', 'appName', 'brand'],
+    link: ['link', 'expiry', 'appName', 'brand']
+};
+
+// Fields of a locale; "minute"/"minutes" localize the {expiry} placeholder
+// "link" is optional; locales without it send the English link message
+const TEMPLATE_FIELDS = ['sms', 'voice', 'link', 'voiceLanguage', 'minute', 'minutes'];
+
+// Longest values a message can be rendered with, used for the segment check
+const LONGEST_CODE = '0'.repeat(MAX_CODE_LENGTH);
+const LONGEST_EXPIRY_MINUTES = 60;
+const LINK_TOKEN_LENGTH = 32;
+
+/**
+ * Built-in templates keyed by locale
+ * Diacritics outside GSM-7 (á, ó, ç, ã) are left out on purpose: a single one
+ * turns the SMS into UCS-2 and halves the characters per billed segment.
+ */
+const DEFAULT_TEMPLATES = {
+    en: {
+        sms: '{brand}: {code} is your verification code. It expires in {expiry}. Do not share it with anyone.',
+        link: '{brand}: tap to verify your number: {link}',
+        voice: 'This is {appName}. Your verification code is: {code}. Once again, your verification code is: {code}. Do not share this code with anyone.',
+        voiceLanguage: 'en-US',
+        minute: '1 minute',
+        minutes: '{count} minutes'
+    },
+    es: {
+        sms: '{brand}: {code} es tu codigo de verificacion. Caduca en {expiry}. No lo compartas con nadie.',
+        link: '{brand}: toca para verificar tu numero: {link}',
+        voice: 'Este es {appName}. Tu código de verificación es: {code}. Repito, tu código de verificación es: {code}. No lo compartas con nadie.',
+        voiceLanguage: 'es-ES',
+        minute: '1 minuto',
+        minutes: '{count} minutos'
+    },
+    fr: {
+        sms: '{brand} : {code} est votre code de vérification. Il expire dans {expiry}. Ne le partagez avec personne.',
+        link: '{brand} : touchez pour vérifier votre numéro : {link}',
+        voice: 'Ici {appName}. Votre code de vérification est : {code}. Je répète, votre code de vérification est : {code}. Ne le partagez avec personne.',
+        voiceLanguage: 'fr-FR',
+        minute: '1 minute',
+        minutes: '{count} minutes'
+    },
+    de: {
+        sms: '{brand}: {code} ist Ihr Bestätigungscode. Er läuft in {expiry} ab. Geben Sie ihn nicht weiter.',
+        link: '{brand}: Tippen, um Ihre Nummer zu bestätigen: {link}',
+        voice: 'Hier ist {appName}. Ihr Bestätigungscode lautet: {code}. Noch einmal, Ihr Bestätigungscode lautet: {code}. Geben Sie ihn nicht weiter.',
+        voiceLanguage: 'de-DE',
+        minute: '1 Minute',
+        minutes: '{count} Minuten'
+    },
+    pt: {
+        sms: '{brand}: {code} e o seu codigo de verificacao. Expira em {expiry}. Nao o compartilhe com ninguem.',
+        link: '{brand}: toque para verificar seu numero: {link}',
+        voice: 'Aqui é {appName}. O seu código de verificação é: {code}. Repetindo, o seu código de verificação é: {code}. Não o compartilhe com ninguém.',
+        voiceLanguage: 'pt-BR',
+        minute: '1 minuto',
+        minutes: '{count} minutos'
+    }
+};
+
+let cachedTemplates = null;
+
+/**
+ * Get the names filled into every message
+ * A client app's branding replaces the configured names (see models/ClientApp).
+ * @param {Object} [overrides] - { appName?, brand? }
+ * @returns {Object} - { appName, brand }
+ */
+const getMessageBranding = (overrides = {}) => {
+    const appName = overrides.appName || process.env.MESSAGE_APP_NAME || 'Phone Verification';
+    return {
+        appName,
+        brand: overrides.brand || (overrides.appName ? appName : process.env.MESSAGE_BRAND || appName)
+    };
+};
+
+/**
+ * Fill {placeholders} in a template
+ * @param {string} template - Template text
+ * @param {Object} values - Placeholder values
+ * @returns {string}
+ */
+const fillTemplate = (template, values) => {
+    return template.replace(/\{(\w+)\}/g, (match, name) => (values[name] !== undefined ? String(values[name]) : match));
+};
+
+/**
+ * Get how many billed segments a verification SMS may take
+ * @returns {number}
+ */
+const getMaxSegments = () => parseInt(process.env.MESSAGE_MAX_SEGMENTS || '1');
+
+/**
+ * Render a locale's SMS with the longest code and expiry it can be sent with
+ * @param {Object} templates - Locale templates
+ * @param {Object} [branding] - Branding overrides of a client app
+ * @returns {string} - Longest possible SMS body
+ */
+const renderLongestSms = (templates, branding) => fillTemplate(templates.sms, {
+    ...getMessageBranding(branding),
+    code: LONGEST_CODE,
+    expiry: fillTemplate(templates.minutes, { count: LONGEST_EXPIRY_MINUTES })
+});
+
+/**
+ * Render a locale's link SMS with the longest link and expiry it can be sent with
+ * @param {Object} templates - Locale templates
+ * @param {Object} [branding] - Branding overrides of a client app
+ * @returns {string} - Longest possible link SMS body
+ */
+const renderLongestLinkSms = (templates, branding) => {
+    const base = (process.env.PUBLIC_BASE_URL || 'https://example.com').replace(/\/+$/, '');
+    return fillTemplate(templates.link, {
+        ...getMessageBranding(branding),
+        link: `${base}/api/auth/verify-phone/link/${'x'.repeat(LINK_TOKEN_LENGTH)}`,
+        expiry: fillTemplate(templates.minutes, { count: LONGEST_EXPIRY_MINUTES })
+    });
+};
+
+/**
+ * Read template overrides from MESSAGE_TEMPLATES or MESSAGE_TEMPLATES_FILE
+ * @returns {Object} - Overrides keyed by locale (empty when not configured)
+ */
+const readRawTemplates = () => {
+    if (process.env.MESSAGE_TEMPLATES) {
+        return JSON.parse(process.env.MESSAGE_TEMPLATES);
+    }
+
+    if (process.env.MESSAGE_TEMPLATES_FILE) {
+        return JSON.parse(fs.readFileSync(process.env.MESSAGE_TEMPLATES_FILE, 'utf8'));
+    }
+
+    return {};
+};
+
+/**
+ * Check a locale's templates: known fields and placeholders only, and an SMS
+ * that fits MESSAGE_MAX_SEGMENTS even with the longest code and expiry
+ * @param {string} locale - Locale being checked
+ * @param {Object} templates - Locale templates
+ */
+const validateLocaleTemplates = (locale, templates) => {
+    const fail = (reason) => {
+        throw new Error(`Invalid message templates for "${locale}": ${reason}`);
+    };
+
+    const unknownFields = Object.keys(templates).filter(field => !TEMPLATE_FIELDS.includes(field));
+    if (unknownFields.length) fail(`unknown field(s) ${unknownFields.join(', ')}`);
+
+    ['sms', 'voice', 'minute', 'minutes'].forEach((field) => {
+        if (typeof templates[field] !== 'string' || !templates[field]) fail(`"${field}" is required`);
+    });
+
+    if (templates.link !== undefined && (typeof templates.link !== 'string' || !templates.link)) {
+        fail('"link" must be a non-empty string');
+    }
+
+    Object.keys(PLACEHOLDERS).filter(field => templates[field]).forEach((field) => {
+        const unknown = (templates[field].match(/\{(\w+)\}/g) || [])
+            .map(placeholder => placeholder.slice(1, -1))
+            .filter(name => !PLACEHOLDERS[field].includes(name));
+        if (unknown.length) fail(`unknown placeholder(s) ${unknown.join(', ')} in ${field}`);
+    });
+
+    const maxSegments = getMaxSegments();
+    const longest = { SMS: renderLongestSms(templates) };
+    if (templates.link) longest['Link SMS'] = renderLongestLinkSms(templates);
+
+    Object.entries(longest).forEach(([label, text]) => {
+        const { encoding, length, segments, nonGsmCharacters } = countSmsSegments(text);
+        if (segments > maxSegments) {
+            const hint = nonGsmCharacters.length ? ` (UCS-2 because of "${nonGsmCharacters.join('')}")` : '';
+            fail(`${label} needs ${segments} segments at ${length} ${encoding} characters${hint}; the limit is ${maxSegments}`);
+        }
+    });
+};
+
+/**
+ * Load and validate the message templates (built-ins merged with overrides)
+ * Format of overrides:
+ *   { "es-MX": { "sms": "...", "voice": "...", "link": "...", "voiceLanguage": "es-MX", "minute": "1 minuto", "minutes": "{count} minutos" } }
+ * Fields missing from an override of a built-in locale keep the built-in value.
+ * A broken configuration throws so over-long messages are caught at startup.
+ * @returns {Object} - Templates keyed by locale
+ */
+const loadMessageTemplates = () => {
+    let overrides;
+    try {
+        overrides = readRawTemplates();
+    } catch (error) {
+        throw new Error(`Invalid message templates: ${error.message}`);
+    }
+
+    const templates = {};
+    const locales = new Set([...Object.keys(DEFAULT_TEMPLATES), ...Object.keys(overrides)]);
+
+    locales.forEach((locale) => {
+        const key = locale.toLowerCase();
+        templates[key] = { ...DEFAULT_TEMPLATES[key], ...overrides[locale] };
+        validateLocaleTemplates(key, templates[key]);
+    });
+
+    return templates;
+};
+
+/**
+ * Get the message templates (loaded once)
+ * @returns {Object} - Templates keyed by lower-case locale
+ */
+const getMessageTemplates = () => {
+    if (!cachedTemplates) {
+        cachedTemplates = loadMessageTemplates();
+    }
+    return cachedTemplates;
+};
+
+module.exports = {
+    DEFAULT_TEMPLATES,
+    LONGEST_CODE,
+    getMessageBranding,
+    fillTemplate,
+    renderLongestSms,
+    renderLongestLinkSms,
+    getMaxSegments,
+    loadMessageTemplates,
+    getMessageTemplates
+};
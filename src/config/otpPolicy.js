@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+
+// Bounds for VERIFICATION_CODE_LENGTH and per-country codeLength overrides
+const MIN_CODE_LENGTH = 4;
+const MAX_CODE_LENGTH = 10;
+
+/**
+ * Code formats: the characters codes are drawn from and the keyboard clients should show
+ * The alphanumeric alphabet leaves out characters that are easily misread
+ * (0/O, 1/I/L), and every character is in the GSM-7 alphabet.
+ */
+const OTP_FORMATS = {
+    numeric: {
+        alphabet: '0123456789',
+        inputMode: 'numeric',
+        description: 'digits'
+    },
+    alphanumeric: {
+        alphabet: '23456789ABCDEFGHJKMNPQRSTUVWXYZ',
+        inputMode: 'text',
+        description: 'letters and digits'
+    }
+};
+
+/**
+ * Check a code length against the supported bounds
+ * @param {number} length - Code length
+ * @returns {boolean}
+ */
+const isValidCodeLength = (length) => Number.isInteger(length) && length >= MIN_CODE_LENGTH && length <= MAX_CODE_LENGTH;
+
+/**
+ * Read the OTP policy from configuration
+ * A broken configuration throws rather than silently issuing weaker codes.
+ * @returns {Object} - { codeLength, format, alphabet, inputMode, description }
+ */
+const getOtpPolicy = () => {
+    const codeLength = parseInt(process.env.VERIFICATION_CODE_LENGTH || '6');
+    const format = (process.env.VERIFICATION_CODE_FORMAT || 'numeric').toLowerCase();
+
+    if (!isValidCodeLength(codeLength)) {
+        throw new Error(`Invalid OTP policy: VERIFICATION_CODE_LENGTH must be ${MIN_CODE_LENGTH} to ${MAX_CODE_LENGTH}`);
+    }
+    if (!OTP_FORMATS[format]) {
+        throw new Error(`Invalid OTP policy: VERIFICATION_CODE_FORMAT must be one of ${Object.keys(OTP_FORMATS).join(', ')}`);
+    }
+
+    return { codeLength, format, ...OTP_FORMATS[format] };
+};
+
+/**
+ * Get the OTP policy with a client app's overrides applied
+ * @param {Object} [overrides] - { codeLength?, format? } of a client app (see models/ClientApp)
+ * @returns {Object} - { codeLength, format, alphabet, inputMode, description }
+ */
+const resolveOtpPolicy = (overrides = {}) => {
+    const policy = getOtpPolicy();
+    const format = overrides.format && OTP_FORMATS[overrides.format] ? overrides.format : policy.format;
+
+    return {
+        ...policy,
+        codeLength: overrides.codeLength || policy.codeLength,
+        format,
+        ...OTP_FORMATS[format]
+    };
+};
+
+/**
+ * Generate a one-time code with a CSPRNG
+ * Each character is drawn with crypto.randomInt, which avoids modulo bias.
+ * @param {Object} [options] - Generation options
+ * @param {number} [options.length] - Code length, defaults to the policy length
+ * @param {string} [options.format] - Code format, defaults to the policy format
+ * @returns {string} - Code in the requested format
+ */
+const generateOtp = ({ length, format } = {}) => {
+    const policy = resolveOtpPolicy({ format });
+    const codeLength = length || policy.codeLength;
+
+    if (!isValidCodeLength(codeLength)) {
+        throw new Error(`OTP length must be ${MIN_CODE_LENGTH} to ${MAX_CODE_LENGTH}`);
+    }
+
+    let code = '';
+    for (let i = 0; i < codeLength; i++) {
+        code += policy.alphabet[crypto.randomInt(policy.alphabet.length)];
+    }
+    return code;
+};
+
+/**
+ * Normalize a code as typed by a user: drop spaces and dashes, upper-case letters
+ * @param {string} code - Submitted code
+ * @returns {string} - Normalized code
+ */
+const normalizeOtp = (code) => String(code).replace(/[\s-]/g, '').toUpperCase();
+
+/**
+ * Check that a submitted code could have been issued under the current policy
+ * The length is only checked against the bounds, since countries may override it.
+ * @param {string} code - Normalized code
+ * @param {Object} [overrides] - OTP overrides of the request's client app
+ * @returns {boolean}
+ */
+const isWellFormedOtp = (code, overrides) => {
+    if (typeof code !== 'string' || !isValidCodeLength(code.length)) {
+        return false;
+    }
+
+    const { alphabet } = resolveOtpPolicy(overrides);
+    return code.split('').every(char => alphabet.includes(char));
+};
+
+/**
+ * Get the policy as clients need it for their code inputs
+ * @param {Object} [overrides] - OTP overrides of the request's client app
+ * @returns {Object} - { codeLength, minLength, maxLength, format, alphabet, inputMode }
+ */
+const getPublicOtpPolicy = (overrides) => {
+    const { codeLength, format, alphabet, inputMode } = resolveOtpPolicy(overrides);
+    return {
+        codeLength,
+        minLength: MIN_CODE_LENGTH,
+        maxLength: MAX_CODE_LENGTH,
+        format,
+        alphabet,
+        inputMode
+    };
+};
+
+module.exports = {
+    MIN_CODE_LENGTH,
+    MAX_CODE_LENGTH,
+    OTP_FORMATS,
+    isValidCodeLength,
+    getOtpPolicy,
+    resolveOtpPolicy,
+    generateOtp,
+    normalizeOtp,
+    isWellFormedOtp,
+    getPublicOtpPolicy
+};
@@ -0,0 +1,159 @@
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// What a rule counts requests by
+const RULE_KEYS = ['ip', 'phone', 'prefix', 'user', 'app', 'route'];
+
+// Rules shared by every route that sends a code (SMS pumping protection)
+const codeSendRules = (field = 'phoneNumber') => [
+    { key: 'ip', limit: 3, windowMs: 5 * MINUTE },
+    { key: 'phone', field, limit: 3, windowMs: 15 * MINUTE },
+    { key: 'prefix', field, prefixLength: 8, limit: 20, windowMs: HOUR },
+    { key: 'route', limit: 1000, windowMs: HOUR }
+];
+
+// Rules for routes that check a code or password (guessing protection)
+const codeCheckRules = (field = 'phoneNumber') => [
+    { key: 'ip', limit: 20, windowMs: 15 * MINUTE },
+    { key: 'phone', field, limit: 10, windowMs: 15 * MINUTE }
+];
+
+/**
+ * Default policies, one per route group
+ * Each rule counts requests by:
+ *   ip     - client IP (see TRUST_PROXY)
+ *   phone  - the E.164 number in the body field "field"
+ *   prefix - the first "prefixLength" digits of that number, catching number-range abuse
+ *   user   - the authenticated user
+ *   app    - the client app of a signed server-to-server request
+ *   route  - every request to the route, across all clients
+ */
+const DEFAULT_POLICIES = {
+    register: [
+        { key: 'ip', limit: 10, windowMs: HOUR }
+    ],
+    login: codeCheckRules(),
+    loginOtpRequest: codeSendRules(),
+    loginOtpConfirm: codeCheckRules(),
+    // Recovery codes sent in place of a login code (they do not touch the account's MFA lockout)
+    loginRecoveryCode: [
+        { key: 'ip', limit: 5, windowMs: HOUR }
+    ],
+    mfaLogin: [
+        { key: 'ip', limit: 20, windowMs: 15 * MINUTE }
+    ],
+    forgotPassword: codeSendRules(),
+    resetPassword: codeCheckRules(),
+    verifyRequest: codeSendRules(),
+    verifyStatus: [
+        { key: 'ip', limit: 120, windowMs: 15 * MINUTE }
+    ],
+    verifyConfirm: codeCheckRules(),
+    verifyLink: [
+        { key: 'ip', limit: 20, windowMs: 15 * MINUTE }
+    ],
+    verifyLinkClaim: [
+        { key: 'ip', limit: 20, windowMs: 15 * MINUTE }
+    ],
+    refreshToken: [
+        { key: 'ip', limit: 60, windowMs: 15 * MINUTE }
+    ],
+    phoneChangeRequest: [
+        { key: 'user', limit: 5, windowMs: HOUR },
+        ...codeSendRules('newPhoneNumber')
+    ],
+    phoneChangeConfirm: [
+        { key: 'user', limit: 10, windowMs: 15 * MINUTE }
+    ],
+    mfa: [
+        { key: 'user', limit: 10, windowMs: 15 * MINUTE }
+    ],
+    account: [
+        { key: 'user', limit: 300, windowMs: 15 * MINUTE }
+    ],
+    // Server-to-server Verify API: all calls come from a few backend IPs, so count per app
+    apiVerificationCreate: [
+        { key: 'app', limit: 1000, windowMs: 15 * MINUTE },
+        ...codeSendRules().filter(rule => rule.key === 'phone' || rule.key === 'prefix')
+    ],
+    apiVerificationCheck: [
+        { key: 'app', limit: 2000, windowMs: 15 * MINUTE }
+    ],
+    apiVerificationStatus: [
+        { key: 'app', limit: 5000, windowMs: 15 * MINUTE }
+    ]
+};
+
+let cachedPolicies = null;
+
+/**
+ * Validate the rules of one policy
+ * @param {string} name - Policy name
+ * @param {Array} rules - Rules to validate
+ * @returns {Array} - The rules
+ */
+const validateRules = (name, rules) => {
+    if (!Array.isArray(rules)) {
+        throw new Error(`Invalid rate limit configuration: policy "${name}" must be a list of rules`);
+    }
+
+    rules.forEach((rule) => {
+        if (!RULE_KEYS.includes(rule.key)) {
+            throw new Error(`Invalid rate limit configuration: unknown key "${rule.key}" in policy "${name}"`);
+        }
+        if (!(Number.isInteger(rule.limit) && rule.limit > 0) || !(Number.isInteger(rule.windowMs) && rule.windowMs > 0)) {
+            throw new Error(`Invalid rate limit configuration: policy "${name}" needs a positive limit and windowMs`);
+        }
+    });
+
+    return rules;
+};
+
+/**
+ * Load the rate limit policies
+ * RATE_LIMIT_POLICIES (JSON) replaces whole policies by name, e.g.
+ *   { "verifyRequest": [{ "key": "ip", "limit": 5, "windowMs": 600000 }], "register": [] }
+ * An empty list turns limiting off for that route group.
+ * @returns {Object} - Policies keyed by name
+ */
+const loadRateLimitPolicies = () => {
+    let overrides = {};
+    if (process.env.RATE_LIMIT_POLICIES) {
+        try {
+            overrides = JSON.parse(process.env.RATE_LIMIT_POLICIES);
+        } catch (error) {
+            throw new Error(`Invalid rate limit configuration: ${error.message}`);
+        }
+    }
+
+    const policies = { ...DEFAULT_POLICIES };
+    Object.entries(overrides).forEach(([name, rules]) => {
+        if (!DEFAULT_POLICIES[name]) {
+            throw new Error(`Invalid rate limit configuration: unknown policy "${name}"`);
+        }
+        policies[name] = validateRules(name, rules);
+    });
+
+    return policies;
+};
+
+/**
+ * Get the rules of a rate limit policy (policies are loaded once)
+ * @param {string} name - Policy name
+ * @returns {Array} - Rules
+ */
+const getRateLimitPolicy = (name) => {
+    if (!cachedPolicies) {
+        cachedPolicies = loadRateLimitPolicies();
+    }
+    if (!cachedPolicies[name]) {
+        throw new Error(`Unknown rate limit policy "${name}"`);
+    }
+    return cachedPolicies[name];
+};
+
+module.exports = {
+    DEFAULT_POLICIES,
+    loadRateLimitPolicies,
+    getRateLimitPolicy
+};
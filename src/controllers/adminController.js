@@ -0,0 +1,188 @@
+const fraudService = require('../services/fraudService');
+const tenantService = require('../services/tenantService');
+const { formatApiResponse } = require('../utils/validation');
+
+/**
+ * HTTP status codes for client app management failures
+ */
+const CLIENT_APP_ERROR_STATUS = {
+    INVALID_CLIENT_APP: 400,
+    CLIENT_APP_NOT_FOUND: 404,
+    CLIENT_APP_EXISTS: 409,
+    ORIGIN_IN_USE: 409
+};
+
+/**
+ * Send a failed client app result (from tenantService) as an API response
+ * @param {Object} res - Express response
+ * @param {Object} result - Failed result
+ */
+const sendClientAppFailure = (res, result) => {
+    return res.status(CLIENT_APP_ERROR_STATUS[result.error] || 500).json(
+        formatApiResponse(false, result.message, null, result.error)
+    );
+};
+
+/**
+ * Report of send requests blocked or challenged by fraud screening
+ * GET /api/admin/fraud/report
+ */
+const getFraudReport = async (req, res) => {
+    try {
+        const { hours = 24, limit = 50 } = req.query;
+
+        const report = await fraudService.getFraudReport({
+            since: new Date(Date.now() - hours * 60 * 60 * 1000),
+            limit
+        });
+
+        res.status(200).json(
+            formatApiResponse(true, 'Fraud report generated', report)
+        );
+
+    } catch (error) {
+        console.error(' Fraud report error:', error);
+        res.status(500).json(
+            formatApiResponse(
+                false,
+                'Failed to generate fraud report',
+                null,
+                'FRAUD_REPORT_FAILED'
+            )
+        );
+    }
+};
+
+/**
+ * List all client apps (tenants)
+ * GET /api/admin/client-apps
+ */
+const listClientApps = async (req, res) => {
+    try {
+        const clientApps = await tenantService.listClientApps();
+
+        res.status(200).json(
+            formatApiResponse(true, 'Client apps retrieved', { clientApps })
+        );
+
+    } catch (error) {
+        console.error(' Client app list error:', error);
+        res.status(500).json(
+            formatApiResponse(
+                false,
+                'Failed to list client apps',
+                null,
+                'CLIENT_APP_LIST_FAILED'
+            )
+        );
+    }
+};
+
+/**
+ * Register a client app; its API key is only returned in this response
+ * POST /api/admin/client-apps
+ */
+const createClientApp = async (req, res) => {
+    try {
+        const result = await tenantService.createClientApp(req.body);
+
+        if (!result.success) {
+            return sendClientAppFailure(res, result);
+        }
+
+        console.log(` Client app registered: ${result.clientApp.appId}`);
+
+        res.status(201).json(
+            formatApiResponse(true, 'Client app registered. Store the API key and signing secret now; they are not shown again.', {
+                clientApp: result.clientApp,
+                apiKey: result.apiKey,
+                signingSecret: result.signingSecret
+            })
+        );
+
+    } catch (error) {
+        console.error(' Client app registration error:', error);
+        res.status(500).json(
+            formatApiResponse(
+                false,
+                'Failed to register client app',
+                null,
+                'CLIENT_APP_CREATE_FAILED'
+            )
+        );
+    }
+};
+
+/**
+ * Change the settings of a client app
+ * PUT /api/admin/client-apps/:appId
+ */
+const updateClientApp = async (req, res) => {
+    try {
+        const result = await tenantService.updateClientApp(req.params.appId, req.body);
+
+        if (!result.success) {
+            return sendClientAppFailure(res, result);
+        }
+
+        console.log(` Client app updated: ${result.clientApp.appId}`);
+
+        res.status(200).json(
+            formatApiResponse(true, 'Client app updated', { clientApp: result.clientApp })
+        );
+
+    } catch (error) {
+        console.error(' Client app update error:', error);
+        res.status(500).json(
+            formatApiResponse(
+                false,
+                'Failed to update client app',
+                null,
+                'CLIENT_APP_UPDATE_FAILED'
+            )
+        );
+    }
+};
+
+/**
+ * Issue a new API key and signing secret for a client app; the old ones stop working
+ * POST /api/admin/client-apps/:appId/api-key
+ */
+const rotateClientAppKey = async (req, res) => {
+    try {
+        const result = await tenantService.rotateApiKey(req.params.appId);
+
+        if (!result.success) {
+            return sendClientAppFailure(res, result);
+        }
+
+        console.log(` API key rotated for client app: ${result.clientApp.appId}`);
+
+        res.status(200).json(
+            formatApiResponse(true, 'API key rotated. Store the new key and signing secret now; they are not shown again.', {
+                clientApp: result.clientApp,
+                apiKey: result.apiKey,
+                signingSecret: result.signingSecret
+            })
+        );
+
+    } catch (error) {
+        console.error(' API key rotation error:', error);
+        res.status(500).json(
+            formatApiResponse(
+                false,
+                'Failed to rotate API key',
+                null,
+                'API_KEY_ROTATION_FAILED'
+            )
+        );
+    }
+};
+
+module.exports = {
+    getFraudReport,
+    listClientApps,
+    createClientApp,
+    updateClientApp,
+    rotateClientAppKey
+};
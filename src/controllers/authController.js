@@ -1,8 +1,164 @@
 
 const User = require('../models/User');
-const { generateToken } = require('../middleware/auth');
-const { sendVerificationSMS } = require('../services/smsService');
+const Verification = require('../models/Verification');
+const Session = require('../models/Session');
+const {
+    startVerification,
+    checkVerification,
+    approveVerification,
+    completeLinkVerification,
+    claimLinkVerification
+} = require('../services/verificationService');
+const { screenRegistration } = require('../services/fraudService');
+const { getVerificationDelivery } = require('../services/deliveryStatusService');
+const { issueChallenge } = require('../services/challenge');
+const { getAvailableChannels } = require('../services/smsService');
+const { getLinkBaseUrl } = require('../services/linkTokenService');
+const { getPublicOtpPolicy } = require('../config/otpPolicy');
+const { getMessageTemplates } = require('../config/messageTemplates');
+const {
+    issueTokens,
+    rotateRefreshToken,
+    revokeSession,
+    revokeAccessToken,
+    revokeRefreshToken,
+    revokeAllTokens
+} = require('../services/tokenService');
+const {
+    isMfaRequired,
+    createMfaChallenge,
+    verifyMfaChallenge,
+    consumeMfaChallenge,
+    startTotpEnrollment,
+    confirmTotpEnrollment,
+    verifyTotpCode,
+    disableTotp,
+    generateRecoveryCodes,
+    getRecoveryCodeStatus,
+    redeemRecoveryCode
+} = require('../services/mfaService');
+const { recordAuditEvent } = require('../services/auditService');
 const { formatApiResponse } = require('../utils/validation');
+const { VERIFICATION_ERROR_STATUS, sendVerificationFailure } = require('../utils/verificationResponse');
+const { getClientContext } = require('../utils/userAgent');
+const { parsePhoneNumber } = require('../utils/phoneNumber');
+const { getRequestLocale } = require('../utils/locale');
+const { getRequestAutofill } = require('../config/autofill');
+const { getTenantId, isSameTenant } = require('../services/tenantService');
+
+/**
+ * Pick the token fields returned to clients
+ * @param {Object} tokens - Result of tokenService.issueTokens
+ * @returns {Object} - { token, refreshToken, expiresIn, refreshTokenExpiresAt }
+ */
+const formatTokenData = (tokens) => ({
+    token: tokens.token,
+    refreshToken: tokens.refreshToken,
+    expiresIn: tokens.expiresIn,
+    refreshTokenExpiresAt: tokens.refreshTokenExpiresAt
+});
+
+/**
+ * Use up a recovery code and record it in the audit trail
+ * @param {Object} req - Express request
+ * @param {string} userId - User the code belongs to
+ * @param {string} recoveryCode - Code entered by the user
+ * @param {string} usedFor - What the code stood in for, e.g. "login"
+ * @param {Object} [options] - Options for mfaService.redeemRecoveryCode
+ * @returns {Promise<Object>} - Result of mfaService.redeemRecoveryCode
+ */
+const useRecoveryCode = async (req, userId, recoveryCode, usedFor, options) => {
+    const result = await redeemRecoveryCode(userId, recoveryCode, options);
+
+    if (result.success) {
+        await recordAuditEvent('recovery_code_used', {
+            userId,
+            details: { usedFor, remaining: result.remaining },
+            req
+        });
+    }
+
+    return result;
+};
+
+/**
+ * Check a second factor: an authenticator code, or a recovery code in its place
+ * @param {Object} req - Express request
+ * @param {string} userId - User id
+ * @param {string} usedFor - What the check is for, recorded when a recovery code is used
+ * @returns {Promise<Object>} - { success } or a failed verification result
+ */
+const verifySecondFactor = (req, userId, usedFor) => {
+    const { code, recoveryCode } = req.body;
+
+    return recoveryCode
+        ? useRecoveryCode(req, userId, recoveryCode, usedFor)
+        : verifyTotpCode(userId, code);
+};
+
+/**
+ * Finish a sign-in: record the login and return a fresh token pair
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - Authenticated user
+ * @param {string} method - How the user signed in, for logging
+ */
+const completeLogin = async (req, res, user, method) => {
+    // Update last login time
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    // Issue access and refresh tokens
+    const tokens = await issueTokens(user, { context: getClientContext(req), tenant: req.tenant });
+
+    console.log(` User logged in with ${method}: ${user.phoneNumber}`);
+
+    return res.status(200).json(
+        formatApiResponse(
+            true,
+            'Login successful',
+            {
+                user: {
+                    id: user._id,
+                    phoneNumber: user.phoneNumber,
+                    isPhoneVerified: user.isPhoneVerified,
+                    lastLoginAt: user.lastLoginAt
+                },
+                ...formatTokenData(tokens),
+                nextStep: user.isPhoneVerified ? 'dashboard' : 'phone_verification'
+            }
+        )
+    );
+};
+
+/**
+ * Sign a user in after the first factor, or ask for the second one
+ * Users with a second factor get a challenge token for /login/mfa instead of tokens.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - User who passed the first factor
+ * @param {string} method - First factor used, for logging
+ */
+const signIn = async (req, res, user, method) => {
+    if (!isMfaRequired(user)) {
+        return completeLogin(req, res, user, method);
+    }
+
+    const challenge = createMfaChallenge(user);
+
+    console.log(` Second factor required for: ${user.phoneNumber}`);
+
+    return res.status(200).json(
+        formatApiResponse(
+            true,
+            'Second factor required',
+            {
+                ...challenge,
+                nextStep: 'mfa_required'
+            }
+        )
+    );
+};
 
 /**
  * Register a new user with phone number
@@ -10,10 +166,10 @@ const { formatApiResponse } = require('../utils/validation');
  */
 const registerUser = async (req, res) => {
     try {
-        const { phoneNumber, password } = req.body;
+        const { phoneNumber, password, verificationId } = req.body;
 
         // Check if user already exists
-        const existingUser = await User.findByPhoneNumber(phoneNumber);
+        const existingUser = await User.findByPhoneNumber(phoneNumber, getTenantId(req.tenant));
         if (existingUser) {
             return res.status(409).json(
                 formatApiResponse(
@@ -25,10 +181,43 @@ const registerUser = async (req, res) => {
             );
         }
 
+        // A phone number verified before registering can be linked right away
+        let verification = null;
+        if (verificationId) {
+            verification = await Verification.findOne({
+                _id: verificationId,
+                phoneNumber,
+                clientAppId: getTenantId(req.tenant),
+                purpose: 'phone_verification',
+                status: 'approved',
+                userId: { $exists: false },
+                // Link verifications only count once the requesting client claimed them
+                $or: [{ method: { $ne: 'link' } }, { claimedAt: { $exists: true } }]
+            });
+        }
+
+        // Numbers that were not verified first are screened for scripted sign-ups
+        if (!verification) {
+            const screening = await screenRegistration({
+                phoneNumber,
+                countryCode: parsePhoneNumber(phoneNumber).countryCode,
+                ip: req.ip,
+                challengePassed: !!req.challengePassed
+            });
+
+            if (!screening.success) {
+                return sendVerificationFailure(res, {
+                    ...screening,
+                    challenge: await issueChallenge({ ip: req.ip })
+                });
+            }
+        }
+
         // Create new user
         const userData = {
             phoneNumber,
-            isPhoneVerified: false,
+            clientAppId: getTenantId(req.tenant),
+            isPhoneVerified: !!verification,
             isActive: true
         };
 
@@ -40,15 +229,22 @@ const registerUser = async (req, res) => {
         const user = new User(userData);
         await user.save();
 
-        // Generate JWT token
-        const token = generateToken(user);
+        if (verification) {
+            verification.userId = user._id;
+            await verification.save();
+        }
+
+        // Issue access and refresh tokens
+        const tokens = await issueTokens(user, { context: getClientContext(req), tenant: req.tenant });
 
         console.log(`New user registered with phone: ${phoneNumber}`);
 
         res.status(201).json(
             formatApiResponse(
                 true,
-                'User registered successfully. Please verify your phone number.',
+                user.isPhoneVerified
+                    ? 'User registered successfully.'
+                    : 'User registered successfully. Please verify your phone number.',
                 {
                     user: {
                         id: user._id,
@@ -56,8 +252,8 @@ const registerUser = async (req, res) => {
                         isPhoneVerified: user.isPhoneVerified,
                         createdAt: user.createdAt
                     },
-                    token,
-                    nextStep: 'phone_verification'
+                    ...formatTokenData(tokens),
+                    nextStep: user.isPhoneVerified ? 'dashboard' : 'phone_verification'
                 }
             )
         );
@@ -97,7 +293,7 @@ const loginUser = async (req, res) => {
         const { phoneNumber, password } = req.body;
 
         // Find user by phone number
-        const user = await User.findByPhoneNumber(phoneNumber).select('+password');
+        const user = await User.findByPhoneNumber(phoneNumber, getTenantId(req.tenant)).select('+password');
         if (!user || !user.isActive) {
             return res.status(401).json(
                 formatApiResponse(
@@ -109,20 +305,19 @@ const loginUser = async (req, res) => {
             );
         }
 
-        // Check password if user has one and password is provided
-        if (user.password && password) {
-            const isPasswordValid = await user.comparePassword(password);
-            if (!isPasswordValid) {
-                return res.status(401).json(
-                    formatApiResponse(
-                        false,
-                        'Invalid password',
-                        null,
-                        'INVALID_PASSWORD'
-                    )
-                );
-            }
-        } else if (user.password && !password) {
+        // Accounts without a password have to prove they own the phone
+        if (!user.password) {
+            return res.status(401).json(
+                formatApiResponse(
+                    false,
+                    'This account signs in with a one-time code. Request one at /api/auth/login/otp/request.',
+                    { nextStep: 'otp_login' },
+                    'OTP_LOGIN_REQUIRED'
+                )
+            );
+        }
+
+        if (!password) {
             return res.status(401).json(
                 formatApiResponse(
                     false,
@@ -133,272 +328,1356 @@ const loginUser = async (req, res) => {
             );
         }
 
-        // Update last login time
-        user.lastLoginAt = new Date();
-        await user.save();
-
-        // Generate JWT token
-        const token = generateToken(user);
+        const isPasswordValid = await user.comparePassword(password);
+        if (!isPasswordValid) {
+            return res.status(401).json(
+                formatApiResponse(
+                    false,
+                    'Invalid password',
+                    null,
+                    'INVALID_PASSWORD'
+                )
+            );
+        }
 
-        console.log(` User logged in with phone: ${phoneNumber}`);
+        await signIn(req, res, user, 'password');
 
-        res.status(200).json(
+    } catch (error) {
+        console.error(' Login error:', error);
+        res.status(500).json(
             formatApiResponse(
-                true,
-                'Login successful',
-                {
-                    user: {
-                        id: user._id,
-                        phoneNumber: user.phoneNumber,
-                        isPhoneVerified: user.isPhoneVerified,
-                        lastLoginAt: user.lastLoginAt
-                    },
-                    token,
-                    nextStep: user.isPhoneVerified ? 'dashboard' : 'phone_verification'
-                }
+                false,
+                'Login failed. Please try again.',
+                null,
+                'LOGIN_FAILED'
             )
         );
+    }
+};
+
+/**
+ * Send a one-time code to the account registered for a phone number
+ * The response looks the same whether or not an account exists, so the
+ * endpoints using it cannot be used to find out which numbers are registered.
+ * Numbers without an account get a decoy verification: the same limits,
+ * lockouts and fraud checks run and a code is issued, but it is never sent.
+ * The code is sent after responding, so response times do not tell them
+ * apart either, and delivery results (including mock codes) are only logged.
+ * @param {Object} res - Express response
+ * @param {Object} params - Send parameters
+ * @param {string} params.phoneNumber - Phone number the code is requested for
+ * @param {string} params.channel - Delivery channel (sms or voice)
+ * @param {string} params.purpose - Verification purpose (login, password_reset)
+ * @param {string} params.message - Generic success message
+ * @param {string} [params.ip] - Client IP (fraud scoring)
+ * @param {boolean} [params.challengePassed] - Whether the request carried a solved bot challenge
+ * @param {string} [params.locale] - Message locale
+ * @param {Object} [params.autofill] - Autofill lines the SMS gets (see config/autofill)
+ * @param {Object} [params.tenant] - Tenant whose accounts are looked up (req.tenant)
+ */
+const sendAccountCode = async (res, { phoneNumber, channel, purpose, message, ip, challengePassed, locale, autofill, tenant }) => {
+    const user = await User.findByPhoneNumber(phoneNumber, getTenantId(tenant));
+    const account = user && user.isActive ? user : null;
+
+    if (!account) {
+        console.log(` ${purpose} code requested for unknown number: ${phoneNumber}`);
+    }
+
+    const result = await startVerification({
+        phoneNumber,
+        channel,
+        purpose,
+        userId: account ? account._id : undefined,
+        ip,
+        challengePassed,
+        locale,
+        autofill,
+        tenant,
+        deliver: !!account,
+        background: true
+    });
+
+    if (!result.success) {
+        return sendVerificationFailure(res, result);
+    }
+
+    if (account) {
+        console.log(` ${purpose} code queued for: ${phoneNumber} via ${channel}`);
+    }
+
+    return res.status(200).json(formatApiResponse(true, message, {
+        verificationId: result.verification._id,
+        phoneNumber,
+        channel,
+        alternativeChannels: result.alternativeChannels,
+        codeLength: result.codeLength,
+        expiresIn: result.expiresIn // seconds
+    }));
+};
+
+/**
+ * Find the active account a checked verification was issued for
+ * @param {Object} verification - Approved verification
+ * @param {string} phoneNumber - Phone number submitted with the code
+ * @param {string} [select] - Extra fields to select
+ * @returns {Promise<Object|null>} - User document or null
+ */
+const findVerifiedAccount = async (verification, phoneNumber, select) => {
+    const query = User.findById(verification.userId);
+    const user = await (select ? query.select(select) : query);
+
+    if (!user || !user.isActive || user.phoneNumber !== phoneNumber) {
+        return null;
+    }
+    return user;
+};
+
+/**
+ * Request a one-time login code over SMS or a voice call
+ * POST /api/auth/login/otp/request
+ */
+const requestLoginOtp = async (req, res) => {
+    try {
+        const { phoneNumber, channel = 'sms' } = req.body;
+
+        await sendAccountCode(res, {
+            phoneNumber,
+            channel,
+            purpose: 'login',
+            message: 'If an account exists for this number, a login code has been sent',
+            ip: req.ip,
+            challengePassed: !!req.challengePassed,
+            locale: getRequestLocale(req),
+            autofill: getRequestAutofill(req),
+            tenant: req.tenant
+        });
 
     } catch (error) {
-        console.error(' Login error:', error);
+        console.error(' Login code request error:', error);
         res.status(500).json(
             formatApiResponse(
                 false,
-                'Login failed. Please try again.',
+                'Failed to send login code. Please try again.',
                 null,
-                'LOGIN_FAILED'
+                'LOGIN_CODE_REQUEST_FAILED'
             )
         );
     }
 };
 
 /**
- * Request phone verification code
- * POST /api/auth/verify-phone/request
+ * Exchange a one-time login code for tokens
+ * POST /api/auth/login/otp/confirm
  */
-const requestPhoneVerification = async (req, res) => {
+const confirmLoginOtp = async (req, res) => {
     try {
-        const { phoneNumber } = req.body;
+        const { phoneNumber, verificationCode, verificationId, recoveryCode } = req.body;
 
-        // Find user by phone number
-        let user = await User.findByPhoneNumber(phoneNumber)
-            .select('+verificationCode +verificationCodeExpiry +verificationAttempts +lastVerificationAttempt');
+        // A recovery code stands in for the SMS code when the phone is lost. Nothing is
+        // proven about the account yet, so wrong codes are limited per IP (see authRoutes)
+        // instead of locking the account's second factor, and look the same for every number
+        if (recoveryCode) {
+            const account = await User.findByPhoneNumber(phoneNumber, getTenantId(req.tenant));
+            const recoveryResult = account && account.isActive
+                ? await useRecoveryCode(req, account._id, recoveryCode, 'login', { countFailures: false })
+                : { success: false, error: 'INVALID_RECOVERY_CODE', message: 'Invalid recovery code' };
 
-        // If user doesn't exist, create a temporary user for verification
-        if (!user) {
-            user = new User({
-                phoneNumber,
-                isPhoneVerified: false,
-                isActive: true
-            });
+            if (!recoveryResult.success) {
+                return sendVerificationFailure(res, recoveryResult);
+            }
+
+            return await signIn(req, res, account, 'recovery code');
+        }
+
+        const verificationResult = await checkVerification({
+            phoneNumber,
+            code: verificationCode,
+            purpose: 'login',
+            verificationId,
+            tenant: req.tenant
+        });
+
+        if (!verificationResult.success) {
+            return sendVerificationFailure(res, verificationResult);
         }
 
-        // Check if user can request verification code
-        const canRequest = user.canRequestVerificationCode();
-        if (!canRequest.canRequest) {
-            return res.status(429).json(
+        const { verification } = verificationResult;
+
+        const user = await findVerifiedAccount(verification, phoneNumber);
+        if (!user) {
+            return res.status(401).json(
                 formatApiResponse(
                     false,
-                    canRequest.message,
+                    'Invalid phone number or user not found',
                     null,
-                    'RATE_LIMIT_EXCEEDED'
+                    'INVALID_CREDENTIALS'
                 )
             );
         }
 
-        // Generate verification code
-        const verificationCode = user.generateVerificationCode();
-        await user.save();
+        // Receiving the code proves possession of the phone
+        if (!user.isPhoneVerified) {
+            user.isPhoneVerified = true;
+            await user.save();
+        }
 
-        // Send SMS
-        const smsResult = await sendVerificationSMS(phoneNumber, verificationCode);
-        
-        if (!smsResult.success) {
-            return res.status(500).json(
+        await signIn(req, res, user, 'one-time code');
+
+    } catch (error) {
+        console.error(' Login code confirm error:', error);
+        res.status(500).json(
+            formatApiResponse(
+                false,
+                'Login failed. Please try again.',
+                null,
+                'LOGIN_FAILED'
+            )
+        );
+    }
+};
+
+/**
+ * Complete a sign-in with a second factor code
+ * POST /api/auth/login/mfa
+ */
+const completeMfaLogin = async (req, res) => {
+    try {
+        const { challengeToken } = req.body;
+
+        const challenge = await verifyMfaChallenge(challengeToken);
+        if (!challenge.success) {
+            return sendVerificationFailure(res, challenge);
+        }
+
+        const user = await User.findById(challenge.decoded.userId);
+        if (!user || !user.isActive || !isSameTenant(user.clientAppId, req.tenant)) {
+            return res.status(401).json(
                 formatApiResponse(
                     false,
-                    smsResult.message,
+                    'Invalid phone number or user not found',
                     null,
-                    smsResult.error
+                    'INVALID_CREDENTIALS'
                 )
             );
         }
 
-        console.log(` Verification code sent to: ${phoneNumber}`);
+        const result = await verifySecondFactor(req, user._id, 'mfa_login');
+        if (!result.success) {
+            return sendVerificationFailure(res, result);
+        }
 
-        // Prepare response data
-        const responseData = {
-            phoneNumber: user.phoneNumber,
-            message: smsResult.message,
-            expiresIn: parseInt(process.env.VERIFICATION_CODE_EXPIRY) / 1000, // seconds
-            attemptsRemaining: 5 - user.verificationAttempts
-        };
+        await consumeMfaChallenge(challenge.decoded);
 
-        // Include verification code in response only for mock mode (development)
-        if (smsResult.mockMode) {
-            responseData.verificationCode = smsResult.verificationCode;
-            responseData.mockMode = true;
-        }
+        await completeLogin(req, res, user, 'second factor');
 
-        res.status(200).json(
+    } catch (error) {
+        console.error(' Second factor login error:', error);
+        res.status(500).json(
             formatApiResponse(
-                true,
-                'Verification code sent successfully',
-                responseData
+                false,
+                'Login failed. Please try again.',
+                null,
+                'LOGIN_FAILED'
             )
         );
+    }
+};
+
+/**
+ * Send a password reset code to the registered phone
+ * POST /api/auth/password/forgot
+ */
+const forgotPassword = async (req, res) => {
+    try {
+        const { phoneNumber, channel = 'sms' } = req.body;
+
+        await sendAccountCode(res, {
+            phoneNumber,
+            channel,
+            purpose: 'password_reset',
+            message: 'If an account exists for this number, a password reset code has been sent',
+            ip: req.ip,
+            challengePassed: !!req.challengePassed,
+            locale: getRequestLocale(req),
+            autofill: getRequestAutofill(req),
+            tenant: req.tenant
+        });
 
     } catch (error) {
-        console.error(' Phone verification request error:', error);
+        console.error(' Forgot password error:', error);
         res.status(500).json(
             formatApiResponse(
                 false,
-                'Failed to send verification code. Please try again.',
+                'Failed to send password reset code. Please try again.',
                 null,
-                'VERIFICATION_REQUEST_FAILED'
+                'PASSWORD_RESET_REQUEST_FAILED'
             )
         );
     }
 };
 
 /**
- * Verify phone number with code
- * POST /api/auth/verify-phone/confirm
+ * Set a new password with a reset code
+ * Every existing session is revoked, so the user has to log in again.
+ * POST /api/auth/password/reset
  */
-const confirmPhoneVerification = async (req, res) => {
+const resetPassword = async (req, res) => {
     try {
-        const { phoneNumber, verificationCode } = req.body;
+        const { phoneNumber, verificationCode, verificationId, newPassword } = req.body;
+
+        const verificationResult = await checkVerification({
+            phoneNumber,
+            code: verificationCode,
+            purpose: 'password_reset',
+            verificationId,
+            tenant: req.tenant
+        });
 
-        // Find user with verification data
-        const user = await User.findByPhoneNumber(phoneNumber)
-            .select('+verificationCode +verificationCodeExpiry +verificationAttempts');
+        if (!verificationResult.success) {
+            return sendVerificationFailure(res, verificationResult);
+        }
 
+        const user = await findVerifiedAccount(verificationResult.verification, phoneNumber, '+password');
         if (!user) {
+            // Same answer as an unknown code, so the number's status is not revealed
             return res.status(404).json(
                 formatApiResponse(
                     false,
                     'No verification request found for this phone number',
                     null,
-                    'USER_NOT_FOUND'
-                )
-            );
-        }
-
-        // Verify the code
-        const verificationResult = user.verifyCode(verificationCode);
-        
-        if (!verificationResult.success) {
-            await user.save(); // Save any attempt tracking updates
-            return res.status(400).json(
-                formatApiResponse(
-                    false,
-                    verificationResult.message,
-                    null,
-                    'INVALID_VERIFICATION_CODE'
+                    'VERIFICATION_NOT_FOUND'
                 )
             );
         }
 
-        // Save the verified user
+        user.password = newPassword;
+        user.isPhoneVerified = true;
         await user.save();
 
-        // Generate JWT token for the verified user
-        const token = generateToken(user);
+        await revokeAllTokens(user._id, 'password_reset', { tenant: req.tenant });
 
-        console.log(` Phone verified successfully: ${phoneNumber}`);
+        console.log(` Password reset for: ${phoneNumber}`);
 
         res.status(200).json(
             formatApiResponse(
                 true,
-                'Phone number verified successfully',
-                {
-                    user: {
-                        id: user._id,
-                        phoneNumber: user.phoneNumber,
-                        isPhoneVerified: user.isPhoneVerified,
-                        verifiedAt: new Date()
-                    },
-                    token,
-                    nextStep: 'dashboard'
-                }
+                'Password has been reset. Please log in with your new password.',
+                { nextStep: 'login' }
             )
         );
 
     } catch (error) {
-        console.error(' Phone verification confirm error:', error);
+        console.error(' Password reset error:', error);
         res.status(500).json(
             formatApiResponse(
                 false,
-                'Verification failed. Please try again.',
+                'Password reset failed. Please try again.',
                 null,
-                'VERIFICATION_CONFIRM_FAILED'
+                'PASSWORD_RESET_FAILED'
             )
         );
     }
 };
 
 /**
- * Get current user profile (protected route)
- * GET /api/auth/profile
+ * Request phone verification code over SMS or a voice call
+ * Only creates a Verification record; no user account is created here.
+ * POST /api/auth/verify-phone/request
  */
-const getUserProfile = async (req, res) => {
+const requestPhoneVerification = async (req, res) => {
     try {
-        // User is available from auth middleware
-        const user = req.user;
+        const { phoneNumber, channel = 'sms', method = 'code' } = req.body;
+
+        const result = await startVerification({
+            phoneNumber,
+            channel,
+            method,
+            ip: req.ip,
+            challengePassed: !!req.challengePassed,
+            locale: getRequestLocale(req),
+            autofill: getRequestAutofill(req),
+            tenant: req.tenant
+        });
+
+        if (!result.success) {
+            return sendVerificationFailure(res, result);
+        }
+
+        const { verification, delivery } = result;
+
+        console.log(` Verification code sent to: ${phoneNumber} via ${channel}`);
+
+        // Prepare response data
+        const responseData = {
+            verificationId: verification._id,
+            phoneNumber: verification.phoneNumber,
+            channel: delivery.channel,
+            alternativeChannels: result.alternativeChannels,
+            message: delivery.message,
+            method: verification.method,
+            codeLength: verification.method === 'code' ? result.codeLength : undefined,
+            expiresIn: result.expiresIn, // seconds
+            attemptsRemaining: result.sendsRemaining
+        };
+
+        // Link verifications are claimed with this once the link was opened
+        if (result.pollSecret) {
+            responseData.pollSecret = result.pollSecret;
+        }
+
+        // Include verification code (or link) in response only for mock mode (development)
+        if (delivery.mockMode) {
+            responseData.verificationCode = delivery.verificationCode;
+            responseData.verificationLink = delivery.verificationLink;
+            responseData.mockMode = true;
+        }
 
         res.status(200).json(
             formatApiResponse(
                 true,
-                'User profile retrieved successfully',
-                {
-                    user: {
-                        id: user._id,
-                        phoneNumber: user.phoneNumber,
-                        isPhoneVerified: user.isPhoneVerified,
-                        isActive: user.isActive,
-                        createdAt: user.createdAt,
-                        lastLoginAt: user.lastLoginAt
-                    }
-                }
+                'Verification code sent successfully',
+                responseData
             )
         );
 
     } catch (error) {
-        console.error(' Get profile error:', error);
+        console.error(' Phone verification request error:', error);
         res.status(500).json(
             formatApiResponse(
                 false,
-                'Failed to retrieve user profile',
+                'Failed to send verification code. Please try again.',
                 null,
-                'PROFILE_FETCH_FAILED'
+                'VERIFICATION_REQUEST_FAILED'
             )
         );
     }
 };
 
 /**
- * Refresh JWT token (protected route)
- * POST /api/auth/refresh-token
+ * Poll the delivery status of the latest code of a phone verification
+ * Lets clients offer another channel when the SMS could not be delivered.
+ * GET /api/auth/verify-phone/request/:id
  */
-const refreshToken = async (req, res) => {
+const getPhoneVerificationDelivery = async (req, res) => {
     try {
-        // User is available from auth middleware
-        const user = req.user;
+        const result = await getVerificationDelivery(req.params.id, { tenant: req.tenant });
 
-        // Generate new JWT token
-        const newToken = generateToken(user);
+        if (!result.success) {
+            return sendVerificationFailure(res, result);
+        }
 
         res.status(200).json(
-            formatApiResponse(
-                true,
-                'Token refreshed successfully',
+            formatApiResponse(true, 'Delivery status retrieved', result.data)
+        );
+
+    } catch (error) {
+        console.error('Delivery status error:', error);
+        res.status(500).json(
+            formatApiResponse(
+                false,
+                'Failed to get delivery status',
+                null,
+                'DELIVERY_STATUS_FAILED'
+            )
+        );
+    }
+};
+
+/**
+ * Get the settings clients need to build their verification forms
+ * Codes for some countries may differ in length; send responses carry the exact codeLength.
+ * Requests of a client app get its OTP settings.
+ * GET /api/auth/config
+ */
+const getClientConfig = async (req, res) => {
+    try {
+        res.status(200).json(
+            formatApiResponse(true, 'Client configuration retrieved', {
+                app: req.tenant ? { appId: req.tenant.appId, name: req.tenant.name } : null,
+                otp: getPublicOtpPolicy(req.tenant ? req.tenant.otp : undefined),
+                channels: getAvailableChannels(),
+                // Verification links need PUBLIC_BASE_URL to build the URL sent by SMS
+                methods: getLinkBaseUrl() ? ['code', 'link'] : ['code'],
+                locales: Object.keys(getMessageTemplates()),
+                locale: getRequestLocale(req)
+            })
+        );
+
+    } catch (error) {
+        console.error(' Client config error:', error);
+        res.status(500).json(
+            formatApiResponse(
+                false,
+                'Failed to get client configuration',
+                null,
+                'CLIENT_CONFIG_FAILED'
+            )
+        );
+    }
+};
+
+/**
+ * Respond to an approved phone verification
+ * Links the verification to an existing user, or creates one when the
+ * caller asks for it with createAccount, and signs the user in. Existing
+ * users with a second factor get the login challenge instead of tokens.
+ * Otherwise only the verification id is returned for /register.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} verification - Approved verification
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.createAccount] - Create an account for unknown numbers
+ */
+const finishPhoneVerification = async (req, res, verification, { createAccount } = {}) => {
+    const { phoneNumber } = verification;
+
+    let user = await User.findByPhoneNumber(phoneNumber, getTenantId(req.tenant));
+
+    if (!user && !createAccount) {
+        console.log(` Phone verified without account: ${phoneNumber}`);
+
+        return res.status(200).json(
+            formatApiResponse(
+                true,
+                'Phone number verified successfully',
+                {
+                    verificationId: verification._id,
+                    phoneNumber: verification.phoneNumber,
+                    status: verification.status,
+                    verifiedAt: verification.approvedAt,
+                    nextStep: 'register'
+                }
+            )
+        );
+    }
+
+    if (!user) {
+        user = new User({
+            phoneNumber,
+            clientAppId: getTenantId(req.tenant),
+            isPhoneVerified: true,
+            isActive: true
+        });
+    } else {
+        user.isPhoneVerified = true;
+    }
+    await user.save();
+
+    verification.userId = user._id;
+    await verification.save();
+
+    // A phone code is only the first factor for accounts with a second one
+    if (isMfaRequired(user)) {
+        return signIn(req, res, user, 'phone verification');
+    }
+
+    // Issue access and refresh tokens for the verified user
+    const tokens = await issueTokens(user, { context: getClientContext(req), tenant: req.tenant });
+
+    console.log(` Phone verified successfully: ${phoneNumber}`);
+
+    return res.status(200).json(
+        formatApiResponse(
+            true,
+            'Phone number verified successfully',
+            {
+                verificationId: verification._id,
+                user: {
+                    id: user._id,
+                    phoneNumber: user.phoneNumber,
+                    isPhoneVerified: user.isPhoneVerified,
+                    verifiedAt: verification.approvedAt
+                },
+                ...formatTokenData(tokens),
+                nextStep: 'dashboard'
+            }
+        )
+    );
+};
+
+/**
+ * Verify phone number with code
+ * Links the verification to an existing user, or creates one when the
+ * caller asks for it with createAccount. Otherwise only the verification
+ * is approved and its id can be passed to /register.
+ * POST /api/auth/verify-phone/confirm
+ */
+const confirmPhoneVerification = async (req, res) => {
+    try {
+        const { phoneNumber, verificationCode, verificationId, createAccount } = req.body;
+
+        const verificationResult = await checkVerification({
+            phoneNumber,
+            code: verificationCode,
+            verificationId,
+            tenant: req.tenant
+        });
+
+        if (!verificationResult.success) {
+            return sendVerificationFailure(res, verificationResult);
+        }
+
+        await finishPhoneVerification(req, res, verificationResult.verification, { createAccount });
+
+    } catch (error) {
+        console.error(' Phone verification confirm error:', error);
+
+        // Handle duplicate key error from concurrent account creation
+        if (error.code === 11000) {
+            return res.status(409).json(
+                formatApiResponse(
+                    false,
+                    'Phone number already registered',
+                    null,
+                    'DUPLICATE_PHONE_NUMBER'
+                )
+            );
+        }
+
+        res.status(500).json(
+            formatApiResponse(
+                false,
+                'Verification failed. Please try again.',
+                null,
+                'VERIFICATION_CONFIRM_FAILED'
+            )
+        );
+    }
+};
+
+/**
+ * Send the small HTML page shown on the phone that opened a verification link
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {Object} page - Page content
+ * @param {string} page.title - Heading
+ * @param {string} page.message - Text below the heading
+ * @param {string} [page.token] - Link token; adds the form that confirms the link
+ */
+const sendLinkPage = (res, status, { title, message, token }) => {
+    const form = token ? `
+        <form id="confirmLink" method="POST" action="/api/auth/verify-phone/link/${token}">
+            <button type="submit">Verify my phone number</button>
+        </form>
+        <script>document.getElementById('confirmLink').submit();</script>` : '';
+
+    res.status(status).type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>${title}</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; text-align: center; padding: 40px 20px; color: #333; }
+        button { padding: 14px 24px; font-size: 16px; border: none; border-radius: 8px; background: #667eea; color: #fff; }
+    </style>
+</head>
+<body>
+    <h1>${title}</h1>
+    <p>${message}</p>${form}
+</body>
+</html>`);
+};
+
+/**
+ * Open a verification link sent by SMS
+ * Opening does not approve anything by itself: the page submits a POST right
+ * away, so link previews and scanners that only GET the URL cannot use it up.
+ * GET /api/auth/verify-phone/link/:token
+ */
+const openVerificationLink = (req, res) => {
+    sendLinkPage(res, 200, {
+        title: 'Verifying your phone number',
+        message: 'One moment...',
+        token: req.params.token
+    });
+};
+
+/**
+ * Approve the phone verification a link was sent for
+ * Answers with a page for browsers and JSON for API clients. The client that
+ * requested the link learns about it by polling and claims the result.
+ * POST /api/auth/verify-phone/link/:token
+ */
+const confirmVerificationLink = async (req, res) => {
+    const wantsHtml = req.accepts(['json', 'html']) === 'html';
+
+    try {
+        const result = await completeLinkVerification(req.params.token);
+
+        if (!result.success) {
+            if (wantsHtml) {
+                return sendLinkPage(res, VERIFICATION_ERROR_STATUS[result.error] || 400, {
+                    title: 'Link not valid',
+                    message: `${result.message}. Please request a new one.`
+                });
+            }
+            return sendVerificationFailure(res, result);
+        }
+
+        console.log(` Phone verified by link: ${result.verification.phoneNumber}`);
+
+        if (wantsHtml) {
+            return sendLinkPage(res, 200, {
+                title: 'Phone number verified',
+                message: 'You can close this page and continue where you started.'
+            });
+        }
+
+        res.status(200).json(
+            formatApiResponse(true, 'Phone number verified successfully', {
+                verificationId: result.verification._id,
+                status: result.verification.status
+            })
+        );
+
+    } catch (error) {
+        console.error(' Verification link error:', error);
+        if (wantsHtml) {
+            return sendLinkPage(res, 500, {
+                title: 'Something went wrong',
+                message: 'Please try opening the link again.'
+            });
+        }
+        res.status(500).json(
+            formatApiResponse(
+                false,
+                'Verification failed. Please try again.',
+                null,
+                'VERIFICATION_LINK_FAILED'
+            )
+        );
+    }
+};
+
+/**
+ * Claim a link verification once the link was opened on the phone
+ * Completes it like /verify-phone/confirm does for a typed code.
+ * POST /api/auth/verify-phone/link/claim
+ */
+const claimPhoneVerificationLink = async (req, res) => {
+    try {
+        const { verificationId, pollSecret, createAccount } = req.body;
+
+        const result = await claimLinkVerification({ verificationId, pollSecret, tenant: req.tenant });
+
+        if (!result.success) {
+            return sendVerificationFailure(res, result);
+        }
+
+        await finishPhoneVerification(req, res, result.verification, { createAccount });
+
+    } catch (error) {
+        console.error(' Verification link claim error:', error);
+
+        // Handle duplicate key error from concurrent account creation
+        if (error.code === 11000) {
+            return res.status(409).json(
+                formatApiResponse(
+                    false,
+                    'Phone number already registered',
+                    null,
+                    'DUPLICATE_PHONE_NUMBER'
+                )
+            );
+        }
+
+        res.status(500).json(
+            formatApiResponse(
+                false,
+                'Verification failed. Please try again.',
+                null,
+                'VERIFICATION_CONFIRM_FAILED'
+            )
+        );
+    }
+};
+
+/**
+ * Check whether the current number must confirm a phone number change too
+ * @returns {boolean}
+ */
+const isCurrentPhoneConfirmationRequired = () => process.env.PHONE_CHANGE_VERIFY_CURRENT === 'true';
+
+/**
+ * Start moving the account to a new phone number (protected route)
+ * Sends a code to the new number and, when configured, to the current one.
+ * POST /api/auth/phone/change/request
+ */
+const requestPhoneChange = async (req, res) => {
+    try {
+        const { newPhoneNumber, channel = 'sms' } = req.body;
+        const user = req.user;
+
+        if (newPhoneNumber === user.phoneNumber) {
+            return res.status(400).json(
+                formatApiResponse(
+                    false,
+                    'New phone number must be different from the current one',
+                    null,
+                    'SAME_PHONE_NUMBER'
+                )
+            );
+        }
+
+        if (await User.exists({ phoneNumber: newPhoneNumber, clientAppId: getTenantId(req.tenant) })) {
+            return res.status(409).json(
+                formatApiResponse(
+                    false,
+                    'Phone number is already in use by another account',
+                    null,
+                    'PHONE_NUMBER_IN_USE'
+                )
+            );
+        }
+
+        const result = await startVerification({
+            phoneNumber: newPhoneNumber,
+            channel,
+            purpose: 'phone_change',
+            userId: user._id,
+            ip: req.ip,
+            challengePassed: !!req.challengePassed,
+            locale: getRequestLocale(req),
+            autofill: getRequestAutofill(req),
+            tenant: req.tenant
+        });
+
+        if (!result.success) {
+            return sendVerificationFailure(res, result);
+        }
+
+        const responseData = {
+            newPhoneNumber,
+            verificationId: result.verification._id,
+            channel: result.delivery.channel,
+            alternativeChannels: result.alternativeChannels,
+            codeLength: result.codeLength,
+            expiresIn: result.expiresIn // seconds
+        };
+
+        // Include codes in the response only for mock mode (development)
+        if (result.delivery.mockMode) {
+            responseData.verificationCode = result.delivery.verificationCode;
+            responseData.mockMode = true;
+        }
+
+        if (isCurrentPhoneConfirmationRequired()) {
+            const current = await startVerification({
+                phoneNumber: user.phoneNumber,
+                channel,
+                purpose: 'phone_change',
+                userId: user._id,
+                ip: req.ip,
+                challengePassed: !!req.challengePassed,
+                locale: getRequestLocale(req),
+                autofill: getRequestAutofill(req),
+                tenant: req.tenant
+            });
+
+            if (!current.success) {
+                return sendVerificationFailure(res, current);
+            }
+
+            responseData.currentVerificationId = current.verification._id;
+            if (current.delivery.mockMode) {
+                responseData.currentPhoneCode = current.delivery.verificationCode;
+            }
+        }
+
+        console.log(` Phone change code sent to: ${newPhoneNumber} for user ${user._id}`);
+
+        res.status(200).json(
+            formatApiResponse(
+                true,
+                isCurrentPhoneConfirmationRequired()
+                    ? 'Verification codes sent to your new and current phone numbers'
+                    : 'Verification code sent to your new phone number',
+                responseData
+            )
+        );
+
+    } catch (error) {
+        console.error(' Phone change request error:', error);
+        res.status(500).json(
+            formatApiResponse(
+                false,
+                'Failed to start phone number change. Please try again.',
+                null,
+                'PHONE_CHANGE_REQUEST_FAILED'
+            )
+        );
+    }
+};
+
+/**
+ * Move the account to a verified new phone number (protected route)
+ * The number is swapped atomically; the old one is kept in the audit trail.
+ * POST /api/auth/phone/change/confirm
+ */
+const confirmPhoneChange = async (req, res) => {
+    try {
+        const {
+            newPhoneNumber,
+            verificationCode,
+            verificationId,
+            currentPhoneCode,
+            currentVerificationId,
+            recoveryCode
+        } = req.body;
+        const user = req.user;
+        const previousPhoneNumber = user.phoneNumber;
+
+        if (isCurrentPhoneConfirmationRequired() && !currentPhoneCode && !recoveryCode) {
+            return res.status(400).json(
+                formatApiResponse(
+                    false,
+                    'The code sent to your current phone number (or a recovery code) is required',
+                    null,
+                    'CURRENT_PHONE_CODE_REQUIRED'
+                )
+            );
+        }
+
+        // Check every code before using any, so one wrong code does not use up the others
+        let currentResult = null;
+        if (currentPhoneCode) {
+            currentResult = await checkVerification({
+                phoneNumber: previousPhoneNumber,
+                code: currentPhoneCode,
+                purpose: 'phone_change',
+                verificationId: currentVerificationId,
+                userId: user._id,
+                tenant: req.tenant,
+                approve: false
+            });
+
+            if (!currentResult.success) {
+                return sendVerificationFailure(res, currentResult);
+            }
+        } else if (recoveryCode) {
+            // The current phone may be lost; a recovery code confirms the change instead
+            const recoveryResult = await redeemRecoveryCode(user._id, recoveryCode, { consume: false });
+
+            if (!recoveryResult.success) {
+                return sendVerificationFailure(res, recoveryResult);
+            }
+        }
+
+        const verificationResult = await checkVerification({
+            phoneNumber: newPhoneNumber,
+            code: verificationCode,
+            purpose: 'phone_change',
+            verificationId,
+            userId: user._id,
+            tenant: req.tenant,
+            approve: false
+        });
+
+        if (!verificationResult.success) {
+            return sendVerificationFailure(res, verificationResult);
+        }
+
+        // All codes are valid; use them up, failing if a concurrent request got there first
+        let spent = { success: true };
+        if (currentResult) {
+            spent = await approveVerification(currentResult.verification);
+        } else if (recoveryCode) {
+            spent = await useRecoveryCode(req, user._id, recoveryCode, 'phone_change');
+        }
+
+        if (spent.success) {
+            spent = await approveVerification(verificationResult.verification);
+        }
+
+        if (!spent.success) {
+            return sendVerificationFailure(res, spent);
+        }
+
+        // Swap only if the number was not changed by a concurrent request
+        const updatedUser = await User.findOneAndUpdate(
+            { _id: user._id, phoneNumber: previousPhoneNumber },
+            { $set: { phoneNumber: newPhoneNumber, isPhoneVerified: true } },
+            { new: true, runValidators: true }
+        );
+
+        if (!updatedUser) {
+            return res.status(409).json(
+                formatApiResponse(
+                    false,
+                    'Phone number was changed by another request',
+                    null,
+                    'PHONE_CHANGE_CONFLICT'
+                )
+            );
+        }
+
+        await recordAuditEvent('phone_number_changed', {
+            userId: user._id,
+            details: { previousPhoneNumber, newPhoneNumber },
+            req
+        });
+
+        console.log(` Phone number changed for user ${user._id}`);
+
+        res.status(200).json(
+            formatApiResponse(
+                true,
+                'Phone number changed successfully',
+                {
+                    user: {
+                        id: updatedUser._id,
+                        phoneNumber: updatedUser.phoneNumber,
+                        isPhoneVerified: updatedUser.isPhoneVerified
+                    }
+                }
+            )
+        );
+
+    } catch (error) {
+        console.error(' Phone change confirm error:', error);
+
+        // Another account took the number between request and confirm
+        if (error.code === 11000) {
+            return res.status(409).json(
+                formatApiResponse(
+                    false,
+                    'Phone number is already in use by another account',
+                    null,
+                    'PHONE_NUMBER_IN_USE'
+                )
+            );
+        }
+
+        res.status(500).json(
+            formatApiResponse(
+                false,
+                'Failed to change phone number. Please try again.',
+                null,
+                'PHONE_CHANGE_FAILED'
+            )
+        );
+    }
+};
+
+/**
+ * Start authenticator app enrollment (protected route)
+ * Returns the secret and an otpauth:// URI to show as a QR code.
+ * POST /api/auth/mfa/totp/enroll
+ */
+const enrollTotp = async (req, res) => {
+    try {
+        if (req.user.mfa && req.user.mfa.totpEnabled) {
+            return res.status(409).json(
+                formatApiResponse(
+                    false,
+                    'Authenticator app is already enabled. Use re-enroll to replace it.',
+                    null,
+                    'TOTP_ALREADY_ENABLED'
+                )
+            );
+        }
+
+        const enrollment = await startTotpEnrollment(req.user);
+
+        res.status(200).json(
+            formatApiResponse(
+                true,
+                'Scan the code with your authenticator app, then confirm with a code from the app',
+                {
+                    ...enrollment,
+                    nextStep: 'confirm_totp'
+                }
+            )
+        );
+
+    } catch (error) {
+        console.error(' TOTP enrollment error:', error);
+        res.status(500).json(
+            formatApiResponse(
+                false,
+                'Failed to start authenticator app enrollment',
+                null,
+                'TOTP_ENROLLMENT_FAILED'
+            )
+        );
+    }
+};
+
+/**
+ * Re-enroll the authenticator app, e.g. on a new device (protected route)
+ * Requires a code from the current app (or a recovery code); it keeps working until the new one is confirmed.
+ * POST /api/auth/mfa/totp/re-enroll
+ */
+const reenrollTotp = async (req, res) => {
+    try {
+        const result = await verifySecondFactor(req, req.user._id, 'totp_reenroll');
+        if (!result.success) {
+            return sendVerificationFailure(res, result);
+        }
+
+        const enrollment = await startTotpEnrollment(req.user);
+
+        res.status(200).json(
+            formatApiResponse(
+                true,
+                'Scan the new code with your authenticator app, then confirm with a code from the app',
+                {
+                    ...enrollment,
+                    nextStep: 'confirm_totp'
+                }
+            )
+        );
+
+    } catch (error) {
+        console.error(' TOTP re-enrollment error:', error);
+        res.status(500).json(
+            formatApiResponse(
+                false,
+                'Failed to start authenticator app enrollment',
+                null,
+                'TOTP_ENROLLMENT_FAILED'
+            )
+        );
+    }
+};
+
+/**
+ * Confirm authenticator app enrollment with a code from the app (protected route)
+ * POST /api/auth/mfa/totp/confirm
+ */
+const confirmTotp = async (req, res) => {
+    try {
+        const wasEnabled = !!(req.user.mfa && req.user.mfa.totpEnabled);
+
+        const result = await confirmTotpEnrollment(req.user._id, req.body.code);
+        if (!result.success) {
+            return sendVerificationFailure(res, result);
+        }
+
+        await recordAuditEvent('totp_enabled', {
+            userId: req.user._id,
+            details: { reenrolled: wasEnabled },
+            req
+        });
+
+        console.log(` Authenticator app enabled for: ${req.user.phoneNumber}`);
+
+        res.status(200).json(
+            formatApiResponse(
+                true,
+                'Authenticator app enabled',
+                {
+                    mfa: {
+                        totpEnabled: true,
+                        totpEnabledAt: result.user.mfa.totpEnabledAt
+                    }
+                }
+            )
+        );
+
+    } catch (error) {
+        console.error(' TOTP confirm error:', error);
+        res.status(500).json(
+            formatApiResponse(
+                false,
+                'Failed to enable authenticator app',
+                null,
+                'TOTP_ENROLLMENT_FAILED'
+            )
+        );
+    }
+};
+
+/**
+ * Turn the authenticator app off (protected route)
+ * Requires a current code (or a recovery code) so a stolen session cannot remove the second factor.
+ * POST /api/auth/mfa/totp/disable
+ */
+const disableTotpFactor = async (req, res) => {
+    try {
+        const result = await verifySecondFactor(req, req.user._id, 'totp_disable');
+        if (!result.success) {
+            return sendVerificationFailure(res, result);
+        }
+
+        await disableTotp(req.user._id);
+
+        await recordAuditEvent('totp_disabled', { userId: req.user._id, req });
+
+        console.log(` Authenticator app disabled for: ${req.user.phoneNumber}`);
+
+        res.status(200).json(
+            formatApiResponse(
+                true,
+                'Authenticator app disabled',
+                { mfa: { totpEnabled: false } }
+            )
+        );
+
+    } catch (error) {
+        console.error(' TOTP disable error:', error);
+        res.status(500).json(
+            formatApiResponse(
+                false,
+                'Failed to disable authenticator app',
+                null,
+                'TOTP_DISABLE_FAILED'
+            )
+        );
+    }
+};
+
+/**
+ * Generate a new set of recovery codes (protected route, verified users)
+ * Any previous codes stop working. The codes are only ever shown in this response.
+ * With the authenticator app on, a current code (or a recovery code) is required,
+ * so a stolen session cannot mint codes that pass for the second factor.
+ * POST /api/auth/mfa/recovery-codes
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+    try {
+        if (isMfaRequired(req.user)) {
+            const result = await verifySecondFactor(req, req.user._id, 'recovery_codes_regenerate');
+            if (!result.success) {
+                return sendVerificationFailure(res, result);
+            }
+        }
+
+        const recoveryCodes = await generateRecoveryCodes(req.user._id);
+
+        await recordAuditEvent('recovery_codes_generated', {
+            userId: req.user._id,
+            details: { count: recoveryCodes.length },
+            req
+        });
+
+        console.log(` Recovery codes generated for: ${req.user.phoneNumber}`);
+
+        res.status(200).json(
+            formatApiResponse(
+                true,
+                'Recovery codes generated. Store them somewhere safe; they will not be shown again.',
+                {
+                    recoveryCodes,
+                    remaining: recoveryCodes.length
+                }
+            )
+        );
+
+    } catch (error) {
+        console.error(' Recovery code generation error:', error);
+        res.status(500).json(
+            formatApiResponse(
+                false,
+                'Failed to generate recovery codes',
+                null,
+                'RECOVERY_CODES_FAILED'
+            )
+        );
+    }
+};
+
+/**
+ * Show how many recovery codes are left (protected route)
+ * GET /api/auth/mfa/recovery-codes
+ */
+const getRecoveryCodes = async (req, res) => {
+    try {
+        const status = await getRecoveryCodeStatus(req.user._id);
+
+        res.status(200).json(
+            formatApiResponse(
+                true,
+                'Recovery code status retrieved successfully',
+                status
+            )
+        );
+
+    } catch (error) {
+        console.error(' Recovery code status error:', error);
+        res.status(500).json(
+            formatApiResponse(
+                false,
+                'Failed to retrieve recovery code status',
+                null,
+                'RECOVERY_CODES_FAILED'
+            )
+        );
+    }
+};
+
+/**
+ * Get current user profile (protected route)
+ * GET /api/auth/profile
+ */
+const getUserProfile = async (req, res) => {
+    try {
+        // User is available from auth middleware
+        const user = req.user;
+
+        res.status(200).json(
+            formatApiResponse(
+                true,
+                'User profile retrieved successfully',
                 {
-                    token: newToken,
-                    expiresIn: process.env.JWT_EXPIRES_IN
+                    user: {
+                        id: user._id,
+                        phoneNumber: user.phoneNumber,
+                        isPhoneVerified: user.isPhoneVerified,
+                        isActive: user.isActive,
+                        mfa: {
+                            totpEnabled: !!(user.mfa && user.mfa.totpEnabled)
+                        },
+                        createdAt: user.createdAt,
+                        lastLoginAt: user.lastLoginAt
+                    }
                 }
             )
         );
 
+    } catch (error) {
+        console.error(' Get profile error:', error);
+        res.status(500).json(
+            formatApiResponse(
+                false,
+                'Failed to retrieve user profile',
+                null,
+                'PROFILE_FETCH_FAILED'
+            )
+        );
+    }
+};
+
+/**
+ * Exchange a refresh token for a new access and refresh token pair
+ * The presented refresh token is retired; reusing it revokes the whole family.
+ * POST /api/auth/refresh-token
+ */
+const refreshToken = async (req, res) => {
+    try {
+        const result = await rotateRefreshToken(req.body.refreshToken, { tenant: req.tenant });
+
+        if (!result.success) {
+            return res.status(401).json(
+                formatApiResponse(
+                    false,
+                    result.message,
+                    null,
+                    result.error
+                )
+            );
+        }
+
+        res.status(200).json(
+            formatApiResponse(
+                true,
+                'Token refreshed successfully',
+                formatTokenData(result.tokens)
+            )
+        );
+
     } catch (error) {
         console.error(' Token refresh error:', error);
         res.status(500).json(
@@ -412,11 +1691,184 @@ const refreshToken = async (req, res) => {
     }
 };
 
+/**
+ * Log out the current session (protected route)
+ * Revokes the access token used for this request, its session and, when
+ * given, the session of the refresh token.
+ * POST /api/auth/logout
+ */
+const logoutUser = async (req, res) => {
+    try {
+        await revokeAccessToken(req.tokenData);
+
+        if (req.tokenData.sid) {
+            await revokeSession(req.tokenData.sid, 'logout', { userId: req.user._id });
+        }
+
+        if (req.body.refreshToken) {
+            await revokeRefreshToken(req.body.refreshToken, req.user._id);
+        }
+
+        console.log(` User logged out: ${req.user.phoneNumber}`);
+
+        res.status(200).json(
+            formatApiResponse(
+                true,
+                'Logged out successfully'
+            )
+        );
+
+    } catch (error) {
+        console.error(' Logout error:', error);
+        res.status(500).json(
+            formatApiResponse(
+                false,
+                'Logout failed. Please try again.',
+                null,
+                'LOGOUT_FAILED'
+            )
+        );
+    }
+};
+
+/**
+ * Log out every session of the current user (protected route)
+ * POST /api/auth/logout-all
+ */
+const logoutAllSessions = async (req, res) => {
+    try {
+        await revokeAllTokens(req.user._id, 'logout_all', { tenant: req.tenant });
+
+        console.log(` All sessions logged out for: ${req.user.phoneNumber}`);
+
+        res.status(200).json(
+            formatApiResponse(
+                true,
+                'Logged out of all sessions successfully'
+            )
+        );
+
+    } catch (error) {
+        console.error(' Logout all error:', error);
+        res.status(500).json(
+            formatApiResponse(
+                false,
+                'Logout failed. Please try again.',
+                null,
+                'LOGOUT_FAILED'
+            )
+        );
+    }
+};
+
+/**
+ * List the signed-in sessions (devices) of the current user (protected route)
+ * GET /api/auth/sessions
+ */
+const listSessions = async (req, res) => {
+    try {
+        const sessions = await Session.findActiveForUser(req.user._id);
+
+        res.status(200).json(
+            formatApiResponse(
+                true,
+                'Sessions retrieved successfully',
+                {
+                    sessions: sessions.map(session => ({
+                        id: session._id,
+                        deviceName: session.deviceName,
+                        userAgent: session.userAgent,
+                        ip: session.lastSeenIp || session.ip,
+                        createdAt: session.createdAt,
+                        lastSeenAt: session.lastSeenAt,
+                        current: String(session._id) === String(req.tokenData.sid)
+                    }))
+                }
+            )
+        );
+
+    } catch (error) {
+        console.error(' List sessions error:', error);
+        res.status(500).json(
+            formatApiResponse(
+                false,
+                'Failed to retrieve sessions',
+                null,
+                'SESSIONS_FETCH_FAILED'
+            )
+        );
+    }
+};
+
+/**
+ * Revoke one of the current user's sessions (protected route)
+ * DELETE /api/auth/sessions/:id
+ */
+const deleteSession = async (req, res) => {
+    try {
+        const revoked = await revokeSession(req.params.id, 'revoked_by_user', { userId: req.user._id });
+
+        if (!revoked) {
+            return res.status(404).json(
+                formatApiResponse(
+                    false,
+                    'Session not found',
+                    null,
+                    'SESSION_NOT_FOUND'
+                )
+            );
+        }
+
+        console.log(` Session ${req.params.id} revoked for: ${req.user.phoneNumber}`);
+
+        res.status(200).json(
+            formatApiResponse(
+                true,
+                'Session revoked successfully',
+                { id: req.params.id }
+            )
+        );
+
+    } catch (error) {
+        console.error(' Revoke session error:', error);
+        res.status(500).json(
+            formatApiResponse(
+                false,
+                'Failed to revoke session',
+                null,
+                'SESSION_REVOKE_FAILED'
+            )
+        );
+    }
+};
+
 module.exports = {
     registerUser,
     loginUser,
+    requestLoginOtp,
+    confirmLoginOtp,
+    completeMfaLogin,
+    forgotPassword,
+    resetPassword,
     requestPhoneVerification,
+    getPhoneVerificationDelivery,
+    getClientConfig,
     confirmPhoneVerification,
+    openVerificationLink,
+    confirmVerificationLink,
+    claimPhoneVerificationLink,
+    requestPhoneChange,
+    confirmPhoneChange,
+    enrollTotp,
+    reenrollTotp,
+    confirmTotp,
+    disableTotpFactor,
+    regenerateRecoveryCodes,
+    getRecoveryCodes,
     getUserProfile,
-    refreshToken
+    refreshToken,
+    logoutUser,
+    logoutAllSessions,
+    listSessions,
+    deleteSession
 };
@@ -0,0 +1,197 @@
+const {
+    startVerification,
+    checkVerification,
+    findVerification
+} = require('../services/verificationService');
+const { formatApiResponse } = require('../utils/validation');
+const { sendVerificationFailure } = require('../utils/verificationResponse');
+const { getRequestLocale } = require('../utils/locale');
+const { getRequestAutofill } = require('../config/autofill');
+
+// Purpose of verifications started through the Verify API; kept apart from the
+// user flows so an approval here never counts as a verified phone for an account
+const API_PURPOSE = 'api';
+
+/**
+ * Describe a verification as a Verify API resource
+ * @param {Object} verification - Verification document
+ * @returns {Object}
+ */
+const formatVerification = (verification) => {
+    const lastSend = verification.sends[verification.sends.length - 1];
+
+    return {
+        id: verification._id,
+        phoneNumber: verification.phoneNumber,
+        channel: verification.channel,
+        status: verification.status,
+        sendAttempts: verification.sendAttempts,
+        expiresAt: verification.expiresAt,
+        approvedAt: verification.approvedAt,
+        delivery: lastSend ? {
+            status: lastSend.status,
+            errorCode: lastSend.errorCode,
+            sentAt: lastSend.sentAt,
+            updatedAt: lastSend.statusUpdatedAt || lastSend.sentAt
+        } : null,
+        createdAt: verification.createdAt
+    };
+};
+
+/**
+ * Start (or resend) a verification
+ * Starting again for a number with a pending verification resends on the same resource.
+ * POST /api/v1/verifications
+ */
+const createVerification = async (req, res) => {
+    try {
+        const { phoneNumber, channel = 'sms', ip } = req.body;
+
+        // Signed requests come from the app's backend; bot challenges only guard the public endpoints
+        const result = await startVerification({
+            phoneNumber,
+            channel,
+            purpose: API_PURPOSE,
+            ip,
+            challengePassed: true,
+            locale: getRequestLocale(req),
+            autofill: getRequestAutofill(req),
+            tenant: req.tenant
+        });
+
+        if (!result.success) {
+            return sendVerificationFailure(res, result);
+        }
+
+        const { verification, delivery } = result;
+
+        console.log(` API verification ${verification._id} sent to: ${phoneNumber} via ${channel} (${req.tenant.appId})`);
+
+        const responseData = {
+            ...formatVerification(verification),
+            alternativeChannels: result.alternativeChannels,
+            codeLength: result.codeLength,
+            expiresIn: result.expiresIn, // seconds
+            sendsRemaining: result.sendsRemaining
+        };
+
+        // Include the code only in mock mode (development)
+        if (delivery.mockMode) {
+            responseData.verificationCode = delivery.verificationCode;
+            responseData.mockMode = true;
+        }
+
+        res.status(201).json(
+            formatApiResponse(true, 'Verification code sent', responseData)
+        );
+
+    } catch (error) {
+        console.error(' API verification start error:', error);
+        res.status(500).json(
+            formatApiResponse(
+                false,
+                'Failed to start verification',
+                null,
+                'VERIFICATION_REQUEST_FAILED'
+            )
+        );
+    }
+};
+
+/**
+ * Check a code against a verification
+ * POST /api/v1/verifications/:id/check
+ */
+const checkVerificationCode = async (req, res) => {
+    try {
+        const found = await findVerification({
+            verificationId: req.params.id,
+            purpose: API_PURPOSE,
+            tenant: req.tenant
+        });
+
+        if (!found.success) {
+            return sendVerificationFailure(res, found);
+        }
+
+        if (found.verification.status !== 'pending') {
+            return sendVerificationFailure(res, {
+                error: 'VERIFICATION_NOT_FOUND',
+                message: `Verification is ${found.verification.status} and can no longer be checked`
+            });
+        }
+
+        const result = await checkVerification({
+            phoneNumber: found.verification.phoneNumber,
+            code: req.body.code,
+            purpose: API_PURPOSE,
+            verificationId: req.params.id,
+            tenant: req.tenant
+        });
+
+        if (!result.success) {
+            return sendVerificationFailure(res, result);
+        }
+
+        res.status(200).json(
+            formatApiResponse(true, 'Verification approved', formatVerification(result.verification))
+        );
+
+    } catch (error) {
+        console.error(' API verification check error:', error);
+        res.status(500).json(
+            formatApiResponse(
+                false,
+                'Failed to check verification code',
+                null,
+                'VERIFICATION_CHECK_FAILED'
+            )
+        );
+    }
+};
+
+/**
+ * Get the status of a verification
+ * GET /api/v1/verifications/:id
+ */
+const getVerification = async (req, res) => {
+    try {
+        const result = await findVerification({
+            verificationId: req.params.id,
+            purpose: API_PURPOSE,
+            tenant: req.tenant
+        });
+
+        if (!result.success) {
+            return sendVerificationFailure(res, result);
+        }
+
+        // Pending verifications past their expiry are reported as expired
+        const { verification } = result;
+        if (verification.status === 'pending' && verification.isExpired()) {
+            verification.status = 'expired';
+            await verification.save();
+        }
+
+        res.status(200).json(
+            formatApiResponse(true, 'Verification retrieved', formatVerification(verification))
+        );
+
+    } catch (error) {
+        console.error(' API verification status error:', error);
+        res.status(500).json(
+            formatApiResponse(
+                false,
+                'Failed to retrieve verification',
+                null,
+                'VERIFICATION_STATUS_FAILED'
+            )
+        );
+    }
+};
+
+module.exports = {
+    createVerification,
+    checkVerificationCode,
+    getVerification
+};
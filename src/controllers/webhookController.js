@@ -0,0 +1,55 @@
+const { PROVIDER_FACTORIES } = require('../services/providers');
+const { recordDeliveryStatus } = require('../services/deliveryStatusService');
+const { formatApiResponse } = require('../utils/validation');
+
+/**
+ * Receive a delivery status callback from an SMS/voice provider
+ * The request signature is checked with the provider's credentials before
+ * anything is stored. Unknown messages are acknowledged so providers stop retrying.
+ * POST|GET /api/webhooks/delivery-status/:provider
+ */
+const receiveDeliveryStatus = async (req, res) => {
+    try {
+        // Own keys only, so names like "__proto__" or "constructor" are unknown providers
+        const { provider: providerName } = req.params;
+        const factory = Object.prototype.hasOwnProperty.call(PROVIDER_FACTORIES, providerName) && PROVIDER_FACTORIES[providerName];
+        const provider = factory && factory();
+
+        if (!provider || !provider.parseStatusCallback) {
+            return res.status(404).json(
+                formatApiResponse(false, 'Unknown delivery status provider', null, 'ENDPOINT_NOT_FOUND')
+            );
+        }
+
+        const callback = provider.parseStatusCallback(req);
+
+        if (!callback.valid) {
+            console.warn(` Rejected ${provider.name} status callback with invalid signature from ${req.ip}`);
+            return res.status(403).json(
+                formatApiResponse(false, 'Invalid request signature', null, 'INVALID_SIGNATURE')
+            );
+        }
+
+        if (!callback.messageId || !callback.status) {
+            return res.status(200).json(formatApiResponse(true, 'Status ignored'));
+        }
+
+        const result = await recordDeliveryStatus({ provider: provider.name, ...callback });
+
+        if (!result.success) {
+            console.warn(` ${result.message}`);
+        }
+
+        res.status(200).json(formatApiResponse(true, 'Status received'));
+
+    } catch (error) {
+        console.error(' Delivery status callback error:', error);
+        res.status(500).json(
+            formatApiResponse(false, 'Failed to record delivery status', null, 'DELIVERY_STATUS_FAILED')
+        );
+    }
+};
+
+module.exports = {
+    receiveDeliveryStatus
+};
@@ -1,27 +1,158 @@
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { getRevocationStore } = require('../services/revocation');
+const { findTenantById } = require('../services/tenantService');
+
+// How often a session's last-seen time is written back (avoids a write per request)
+const LAST_SEEN_UPDATE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Get the access token lifetime of a client app
+ * @param {Object} [tenant] - Client app; the default tenant uses JWT_EXPIRES_IN
+ * @returns {string} - jsonwebtoken expiresIn, e.g. "15m"
+ */
+const getAccessTokenExpiresIn = (tenant) => (tenant && tenant.tokens && tenant.tokens.accessTokenExpiresIn)
+    || process.env.JWT_EXPIRES_IN;
+
+/**
+ * Get the key access tokens of a client app are signed with
+ * Each client app gets its own key derived from JWT_SECRET, so a token issued
+ * to one app is rejected by every other. The default tenant uses JWT_SECRET.
+ * @param {string} [clientAppId] - Client app id (the token's tid claim)
+ * @returns {string}
+ */
+const getTokenSecret = (clientAppId) => {
+    if (!clientAppId) {
+        return process.env.JWT_SECRET;
+    }
+    return crypto.createHmac('sha256', process.env.JWT_SECRET).update(`client-app:${clientAppId}`).digest('hex');
+};
+
+/**
+ * Verify an access token with the key of the client app it names
+ * @param {string} token - JWT access token
+ * @returns {Object} - Verified payload; throws like jwt.verify
+ */
+const verifyAccessToken = (token) => {
+    const unverified = jwt.decode(token);
+    return jwt.verify(token, getTokenSecret(unverified && unverified.tid));
+};
 
 /**
- * Generate JWT token for user
+ * Get the client app a verified token belongs to, checked against the request's
+ * A request that did not name a client app takes the token's.
+ * @param {Object} req - Express request (after resolveTenant)
+ * @param {Object} decoded - Verified JWT payload
+ * @returns {Promise<Object|null|false>} - Client app, null for the default tenant, false on a mismatch
+ */
+const resolveTokenTenant = async (req, decoded) => {
+    if (!decoded.tid) {
+        return req.tenant ? false : null;
+    }
+
+    if (req.tenant) {
+        return String(req.tenant._id) === decoded.tid ? req.tenant : false;
+    }
+
+    return (await findTenantById(decoded.tid)) || false;
+};
+
+/**
+ * Generate short-lived JWT access token for user
+ * Long-lived sessions use rotating refresh tokens (see tokenService)
  * @param {Object} user - User object
+ * @param {Object} [options] - Token options
+ * @param {string} [options.sessionId] - Session the token belongs to
+ * @param {Object} [options.tenant] - Client app the user belongs to; sets the key and lifetime
  * @returns {String} - JWT token
  */
-const generateToken = (user) => {
+const generateToken = (user, { sessionId, tenant } = {}) => {
+    const tenantId = tenant ? String(tenant._id) : undefined;
+
     return jwt.sign(
         { 
             userId: user._id, 
             phoneNumber: user.phoneNumber,
-            isPhoneVerified: user.isPhoneVerified
+            isPhoneVerified: user.isPhoneVerified,
+            sid: sessionId,
+            tid: tenantId,
+            // Millisecond issue time, so logout-all spares tokens issued later in the same second
+            iatMs: Date.now()
         },
-        process.env.JWT_SECRET,
+        getTokenSecret(tenantId),
         { 
-            expiresIn: process.env.JWT_EXPIRES_IN,
-            issuer: 'phone-verification-api'
+            expiresIn: getAccessTokenExpiresIn(tenant),
+            issuer: 'phone-verification-api',
+            jwtid: crypto.randomUUID()
         }
     );
 };
 
+/**
+ * Check whether a decoded token has been revoked
+ * A token is revoked when its jti is on the denylist, or when all tokens of
+ * its user were revoked (logout-all) at or after the time it was issued.
+ * @param {Object} decoded - Verified JWT payload
+ * @returns {Promise<boolean>}
+ */
+const isTokenRevoked = async (decoded) => {
+    const store = getRevocationStore();
+
+    if (decoded.jti && await store.isTokenRevoked(decoded.jti)) {
+        return true;
+    }
+
+    const userRevokedAt = await store.getUserRevokedAt(decoded.userId);
+    if (!userRevokedAt) {
+        return false;
+    }
+
+    // Tokens issued before iatMs existed only carry whole seconds
+    return decoded.iatMs
+        ? decoded.iatMs <= userRevokedAt.getTime()
+        : decoded.iat <= Math.floor(userRevokedAt.getTime() / 1000);
+};
+
+/**
+ * Load the session a token belongs to, if it is still active
+ * Tokens issued without a session (before sessions existed) are accepted as-is.
+ * @param {Object} decoded - Verified JWT payload
+ * @returns {Promise<Object|null|false>} - Session, null when the token has none, false when revoked
+ */
+const loadActiveSession = async (decoded) => {
+    if (!decoded.sid) {
+        return null;
+    }
+
+    const session = await Session.findById(decoded.sid);
+    if (!session || !session.isActive() || String(session.userId) !== String(decoded.userId)) {
+        return false;
+    }
+
+    return session;
+};
+
+/**
+ * Record that a session was just used
+ * @param {Object} session - Session document
+ * @param {string} ip - Client IP address
+ */
+const touchSession = async (session, ip) => {
+    if (Date.now() - session.lastSeenAt.getTime() < LAST_SEEN_UPDATE_INTERVAL_MS) {
+        return;
+    }
+
+    session.lastSeenAt = new Date();
+    session.lastSeenIp = ip;
+    await Session.updateOne(
+        { _id: session._id },
+        { $set: { lastSeenAt: session.lastSeenAt, lastSeenIp: ip } }
+    );
+};
+
 /**
  * Verify JWT token and authenticate user
  * Middleware function to protect routes
@@ -41,8 +172,26 @@ const authenticateToken = async (req, res, next) => {
         }
 
         // Verify token
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        const decoded = verifyAccessToken(token);
         
+        if (await isTokenRevoked(decoded)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Token has been revoked',
+                error: 'TOKEN_REVOKED'
+            });
+        }
+        
+        // Tokens only work for the client app they were issued to
+        const tenant = await resolveTokenTenant(req, decoded);
+        if (tenant === false) {
+            return res.status(401).json({
+                success: false,
+                message: 'Token was issued to another client app',
+                error: 'INVALID_TOKEN'
+            });
+        }
+
         // Find user in database
         const user = await User.findById(decoded.userId);
         if (!user || !user.isActive) {
@@ -53,9 +202,25 @@ const authenticateToken = async (req, res, next) => {
             });
         }
 
+        // Reject tokens whose session was revoked from the device list
+        const session = await loadActiveSession(decoded);
+        if (session === false) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session has been revoked',
+                error: 'SESSION_REVOKED'
+            });
+        }
+        
+        if (session) {
+            await touchSession(session, req.ip);
+        }
+        
         // Add user to request object
         req.user = user;
         req.tokenData = decoded;
+        req.authSession = session;
+        req.tenant = tenant;
         
         next();
     } catch (error) {
@@ -93,6 +258,37 @@ const requirePhoneVerification = (req, res, next) => {
     next();
 };
 
+/**
+ * Middleware for operator endpoints (fraud report)
+ * Requires the X-Admin-Key header to match ADMIN_API_KEY; the endpoints are
+ * disabled entirely when no key is configured.
+ */
+const requireAdminKey = (req, res, next) => {
+    const expected = process.env.ADMIN_API_KEY;
+    const provided = req.get('x-admin-key');
+
+    if (!expected) {
+        return res.status(404).json({
+            success: false,
+            message: 'Admin endpoints are not enabled',
+            error: 'ENDPOINT_NOT_FOUND'
+        });
+    }
+
+    const expectedHash = crypto.createHash('sha256').update(expected).digest();
+    const providedHash = crypto.createHash('sha256').update(provided || '').digest();
+
+    if (!provided || !crypto.timingSafeEqual(expectedHash, providedHash)) {
+        return res.status(401).json({
+            success: false,
+            message: 'Valid admin key required',
+            error: 'INVALID_ADMIN_KEY'
+        });
+    }
+
+    next();
+};
+
 /**
  * Optional authentication middleware
  * Sets user if token is valid, but doesn't block request if invalid/missing
@@ -103,12 +299,16 @@ const optionalAuth = async (req, res, next) => {
         const token = authHeader && authHeader.split(' ')[1];
 
         if (token) {
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
-            const user = await User.findById(decoded.userId);
+            const decoded = verifyAccessToken(token);
+            const tenant = await resolveTokenTenant(req, decoded);
+            const user = tenant !== false && !(await isTokenRevoked(decoded)) && await User.findById(decoded.userId);
+            const session = user && await loadActiveSession(decoded);
             
-            if (user && user.isActive) {
+            if (user && user.isActive && session !== false) {
                 req.user = user;
                 req.tokenData = decoded;
+                req.authSession = session;
+                req.tenant = tenant;
             }
         }
     } catch (error) {
@@ -119,29 +319,12 @@ const optionalAuth = async (req, res, next) => {
     next();
 };
 
-/**
- * Refresh token middleware
- * Generates a new token if the current one is valid but close to expiry
- */
-const refreshTokenIfNeeded = (req, res, next) => {
-    if (req.tokenData && req.user) {
-        const now = Math.floor(Date.now() / 1000);
-        const tokenExp = req.tokenData.exp;
-        const timeUntilExpiry = tokenExp - now;
-        
-        // If token expires in less than 1 hour, provide a new token
-        if (timeUntilExpiry < 3600) {
-            const newToken = generateToken(req.user);
-            res.set('X-New-Token', newToken);
-        }
-    }
-    next();
-};
-
 module.exports = {
+    getAccessTokenExpiresIn,
     generateToken,
+    isTokenRevoked,
     authenticateToken,
     requirePhoneVerification,
-    optionalAuth,
-    refreshTokenIfNeeded
+    requireAdminKey,
+    optionalAuth
 };
@@ -0,0 +1,46 @@
+const { verifyChallenge } = require('../services/challenge');
+
+/**
+ * Middleware to check a bot challenge solution attached to a request
+ * Requests without a solution pass through; the handler decides whether risk
+ * signals require one. A solution that is attached but wrong is rejected, and
+ * a valid one sets req.challengePassed.
+ * Body: { challengeToken?, challengeSolution? }
+ */
+const verifyChallengeSolution = async (req, res, next) => {
+    const { challengeToken, challengeSolution } = req.body;
+
+    if (!challengeToken && !challengeSolution) {
+        return next();
+    }
+
+    try {
+        const result = await verifyChallenge({
+            token: challengeToken,
+            solution: challengeSolution,
+            ip: req.ip
+        });
+
+        if (!result.success) {
+            return res.status(result.error === 'CHALLENGE_UNAVAILABLE' ? 503 : 403).json({
+                success: false,
+                message: result.message,
+                error: result.error
+            });
+        }
+
+        req.challengePassed = true;
+        next();
+    } catch (error) {
+        console.error(' Challenge verification error:', error);
+        return res.status(503).json({
+            success: false,
+            message: 'Challenge could not be verified. Please try again.',
+            error: 'CHALLENGE_UNAVAILABLE'
+        });
+    }
+};
+
+module.exports = {
+    verifyChallengeSolution
+};
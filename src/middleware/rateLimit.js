@@ -0,0 +1,86 @@
+const { hit } = require('../services/rateLimit');
+const { getRateLimitPolicy } = require('../config/rateLimits');
+const { isE164 } = require('../utils/phoneNumber');
+
+/**
+ * Get the value a rule counts requests by
+ * Phone rules only apply to numbers that normalized to E.164 (run after sanitizeRequest).
+ * @param {Object} rule - Rate limit rule
+ * @param {Object} req - Express request
+ * @returns {string|null} - Key value, or null when the rule does not apply
+ */
+const getRuleValue = (rule, req) => {
+    switch (rule.key) {
+        case 'ip':
+            return req.ip || null;
+        case 'user':
+            return req.user ? String(req.user._id) : null;
+        case 'app':
+            return req.tenant ? String(req.tenant._id) : null;
+        case 'route':
+            return 'all';
+        case 'phone':
+        case 'prefix': {
+            const phone = req.body && req.body[rule.field || 'phoneNumber'];
+            if (!isE164(phone)) return null;
+            return rule.key === 'phone' ? phone : phone.slice(0, (rule.prefixLength || 6) + 1);
+        }
+        default:
+            return null;
+    }
+};
+
+/**
+ * Create a rate limiting middleware for a named policy
+ * Every rule of the policy is checked against the shared store; the request
+ * is rejected when any rule is exceeded. RateLimit-* headers describe the most
+ * restrictive rule. If the store is unavailable requests are let through.
+ * @param {string} policyName - Policy from config/rateLimits
+ * @returns {Function} - Express middleware
+ */
+const rateLimit = (policyName) => async (req, res, next) => {
+    let results;
+    try {
+        const rules = getRateLimitPolicy(policyName)
+            .map(rule => ({ rule, value: getRuleValue(rule, req) }))
+            .filter(({ value }) => value !== null);
+
+        results = await Promise.all(rules.map(({ rule, value }) =>
+            hit(`${policyName}:${rule.key}:${rule.windowMs}:${value}`, rule)
+        ));
+    } catch (error) {
+        console.error(' Rate limit store error:', error.message);
+        return next();
+    }
+
+    if (results.length === 0) {
+        return next();
+    }
+
+    const blocked = results.filter(result => !result.allowed);
+    const tightest = blocked.length
+        ? blocked.reduce((a, b) => (b.retryAfterMs > a.retryAfterMs ? b : a))
+        : results.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+
+    res.set('RateLimit-Limit', String(tightest.limit));
+    res.set('RateLimit-Remaining', String(tightest.remaining));
+    res.set('RateLimit-Reset', String(Math.ceil(tightest.resetMs / 1000)));
+
+    if (blocked.length) {
+        const retryAfter = Math.ceil(tightest.retryAfterMs / 1000);
+        res.set('Retry-After', String(retryAfter));
+
+        return res.status(429).json({
+            success: false,
+            message: `Too many requests. Please try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+            error: 'RATE_LIMIT_EXCEEDED',
+            retryAfter
+        });
+    }
+
+    next();
+};
+
+module.exports = {
+    rateLimit
+};
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const { findTenantByApiKey, findTenantByOrigin, getSigningSecret } = require('../services/tenantService');
+const { getRevocationStore } = require('../services/revocation');
+
+/**
+ * Get how far the timestamp of a signed request may be from the server clock
+ * @returns {number} - Seconds
+ */
+const getSignatureTolerance = () => parseInt(process.env.API_SIGNATURE_TOLERANCE_SECONDS || '300');
+
+/**
+ * Sign a server-to-server request the way clients must
+ * The signed payload is "<timestamp>.<nonce>.<METHOD>.<path with query>.<raw body>".
+ * @param {string} secret - Signing secret of the client app
+ * @param {Object} request - { timestamp, nonce, method, path, body }
+ * @returns {string} - Hex encoded HMAC-SHA256
+ */
+const signRequest = (secret, { timestamp, nonce, method, path, body = '' }) => crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${nonce}.${method.toUpperCase()}.${path}.${body}`)
+    .digest('hex');
+
+/**
+ * Resolve the client app (tenant) a request is made for
+ * An X-API-Key header wins over the Origin header. Requests with neither, or
+ * from an origin no client app claims, belong to the default tenant
+ * (req.tenant is null) and use the global configuration.
+ */
+const resolveTenant = async (req, res, next) => {
+    try {
+        const apiKey = req.get('x-api-key');
+
+        if (apiKey) {
+            const tenant = await findTenantByApiKey(apiKey);
+            if (!tenant) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid API key',
+                    error: 'INVALID_API_KEY'
+                });
+            }
+
+            req.tenant = tenant;
+            return next();
+        }
+
+        const origin = req.get('origin');
+        req.tenant = (origin && await findTenantByOrigin(origin)) || null;
+
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Authenticate a server-to-server request
+ * Needs the app's API key (X-API-Key) and an HMAC signature of the request made
+ * with its signing secret (X-Signature, over X-Signature-Timestamp in Unix seconds
+ * and a unique X-Signature-Nonce, see signRequest). Timestamps outside the tolerance
+ * window are rejected, and each nonce is accepted once within it, so a captured
+ * request cannot be replayed.
+ */
+const requireSignedRequest = async (req, res, next) => {
+    const reject = (message, error) => res.status(401).json({ success: false, message, error });
+
+    try {
+        const apiKey = req.get('x-api-key');
+        if (!apiKey) {
+            return reject('API key required', 'MISSING_API_KEY');
+        }
+
+        const tenant = await findTenantByApiKey(apiKey);
+        if (!tenant) {
+            return reject('Invalid API key', 'INVALID_API_KEY');
+        }
+
+        const signature = req.get('x-signature');
+        const timestamp = req.get('x-signature-timestamp');
+        const nonce = req.get('x-signature-nonce');
+        if (!signature || !/^\d{1,12}$/.test(timestamp || '') || !/^[A-Za-z0-9_-]{16,128}$/.test(nonce || '')) {
+            return reject('Request signature required', 'MISSING_SIGNATURE');
+        }
+
+        if (Math.abs(Date.now() / 1000 - parseInt(timestamp)) > getSignatureTolerance()) {
+            return reject('Request timestamp is too old or in the future', 'SIGNATURE_EXPIRED');
+        }
+
+        const secret = await getSigningSecret(tenant);
+        if (!secret) {
+            return reject('No signing secret issued for this client app; rotate its API key', 'INVALID_SIGNATURE');
+        }
+
+        const expected = Buffer.from(signRequest(secret, {
+            timestamp,
+            nonce,
+            method: req.method,
+            path: req.originalUrl,
+            body: req.rawBody ? req.rawBody.toString('utf8') : ''
+        }));
+        const provided = Buffer.from(signature.toLowerCase());
+
+        if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+            return reject('Invalid request signature', 'INVALID_SIGNATURE');
+        }
+
+        // Remember the nonce for as long as its timestamp could still be accepted
+        const toleranceMs = getSignatureTolerance() * 1000;
+        const firstUse = await getRevocationStore().consumeToken(
+            `nonce:${tenant._id}:${nonce}`,
+            new Date(parseInt(timestamp) * 1000 + toleranceMs)
+        );
+        if (!firstUse) {
+            return reject('Request was already received', 'REPLAYED_REQUEST');
+        }
+
+        req.tenant = tenant;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    signRequest,
+    resolveTenant,
+    requireSignedRequest
+};
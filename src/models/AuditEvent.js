@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+/**
+ * Security relevant account changes that are kept for auditing
+ */
+const AUDIT_EVENT_TYPES = [
+    'phone_number_changed',
+    'totp_enabled',
+    'totp_disabled',
+    'recovery_codes_generated',
+    'recovery_code_used'
+];
+
+const auditEventSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: AUDIT_EVENT_TYPES,
+        required: true
+    },
+
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    // Event specific details, e.g. { previousPhoneNumber, newPhoneNumber }
+    details: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+
+    // Session and client the change was made from
+    sessionId: {
+        type: String
+    },
+
+    ip: {
+        type: String
+    },
+
+    userAgent: {
+        type: String
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for listing the history of an account
+auditEventSchema.index({ userId: 1, createdAt: -1 });
+auditEventSchema.index({ type: 1, createdAt: -1 });
+
+// Static method to get the history of a user, newest first
+auditEventSchema.statics.findForUser = function(userId, limit = 50) {
+    return this.find({ userId })
+        .sort({ createdAt: -1 })
+        .limit(limit);
+};
+
+const AuditEvent = mongoose.model('AuditEvent', auditEventSchema);
+
+module.exports = AuditEvent;
+module.exports.AUDIT_EVENT_TYPES = AUDIT_EVENT_TYPES;
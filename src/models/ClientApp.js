@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { encryptSecret } = require('../utils/secretBox');
+const { OTP_FORMATS, MIN_CODE_LENGTH, MAX_CODE_LENGTH } = require('../config/otpPolicy');
+
+// Prefix of generated API keys, so leaked keys are easy to recognize and scan for
+const API_KEY_PREFIX = 'pvk_';
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} apiKey - Raw API key
+ * @returns {string} - Hex encoded SHA-256
+ */
+const hashApiKey = (apiKey) => crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+
+// A product (tenant) using the service, with its own users and settings
+const clientAppSchema = new mongoose.Schema({
+    // Short, stable id, e.g. "shop-web"
+    appId: {
+        type: String,
+        required: [true, 'App id is required'],
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: [/^[a-z0-9][a-z0-9-]{1,62}$/, 'App id may only contain letters, digits and dashes']
+    },
+
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true,
+        maxlength: 100
+    },
+
+    // SHA-256 of the API key; the key itself is only shown when it is issued
+    apiKeyHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false
+    },
+
+    // First characters of the key, to tell keys apart in listings
+    apiKeyPrefix: {
+        type: String
+    },
+
+    apiKeyRotatedAt: {
+        type: Date
+    },
+
+    // Encrypted key server-to-server requests are signed with (see middleware/tenant);
+    // issued and rotated together with the API key
+    signingSecret: {
+        type: String,
+        select: false
+    },
+
+    // Browser origins (scheme://host[:port]) allowed by CORS and resolved to this app
+    allowedOrigins: {
+        type: [String],
+        default: []
+    },
+
+    // SMS sender number or alphanumeric sender id; the provider's default when empty
+    senderId: {
+        type: String,
+        trim: true
+    },
+
+    // Names filled into the messages (see config/messageTemplates)
+    branding: {
+        appName: {
+            type: String,
+            trim: true
+        },
+        brand: {
+            type: String,
+            trim: true
+        }
+    },
+
+    // Overrides of the global OTP policy; per-country overrides still win
+    otp: {
+        codeLength: {
+            type: Number,
+            min: MIN_CODE_LENGTH,
+            max: MAX_CODE_LENGTH
+        },
+        format: {
+            type: String,
+            enum: Object.keys(OTP_FORMATS)
+        },
+        codeExpiryMs: {
+            type: Number,
+            min: 30000
+        }
+    },
+
+    // Token lifetimes; tokens are signed with a key of this app
+    tokens: {
+        // jsonwebtoken expiresIn, e.g. "15m"
+        accessTokenExpiresIn: {
+            type: String
+        },
+        refreshTokenExpiryMs: {
+            type: Number,
+            min: 60000
+        }
+    },
+
+    // WebOTP / SMS Retriever settings (see config/autofill)
+    autofill: {
+        androidAppHash: {
+            type: String
+        },
+        webOtpDomain: {
+            type: String
+        }
+    },
+
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: function(doc, ret) {
+            delete ret.apiKeyHash;
+            delete ret.signingSecret;
+            return ret;
+        }
+    }
+});
+
+// Index for resolving browser requests by their Origin header
+clientAppSchema.index({ allowedOrigins: 1 });
+
+// Instance method to issue a new API key; the previous one stops working on save
+clientAppSchema.methods.generateApiKey = function() {
+    const apiKey = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+    this.apiKeyHash = hashApiKey(apiKey);
+    this.apiKeyPrefix = apiKey.slice(0, API_KEY_PREFIX.length + 6);
+    this.apiKeyRotatedAt = new Date();
+
+    return apiKey;
+};
+
+// Instance method to issue a new request signing secret; returns it in plain text once
+clientAppSchema.methods.generateSigningSecret = function() {
+    const signingSecret = crypto.randomBytes(32).toString('base64url');
+
+    this.signingSecret = encryptSecret(signingSecret);
+
+    return signingSecret;
+};
+
+// Static method to hash an API key the way it is stored
+clientAppSchema.statics.hashApiKey = hashApiKey;
+
+// Static method to find the active app an API key belongs to
+clientAppSchema.statics.findByApiKey = function(apiKey) {
+    return this.findOne({ apiKeyHash: hashApiKey(apiKey), isActive: true });
+};
+
+// Static method to find the active app a browser origin belongs to
+clientAppSchema.statics.findByOrigin = function(origin) {
+    return this.findOne({ allowedOrigins: origin, isActive: true });
+};
+
+module.exports = mongoose.model('ClientApp', clientAppSchema);
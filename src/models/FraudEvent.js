@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+/**
+ * What fraud screening did with a send request. Allowed requests are not recorded.
+ */
+const FRAUD_ACTIONS = ['challenge', 'block'];
+
+const fraudEventSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: FRAUD_ACTIONS,
+        required: true
+    },
+
+    // Destination the code would have been sent to (E.164)
+    phoneNumber: {
+        type: String,
+        required: true
+    },
+
+    countryCode: {
+        type: String
+    },
+
+    // Leading digits of the number that velocity and sequence checks group by
+    prefix: {
+        type: String
+    },
+
+    ip: {
+        type: String
+    },
+
+    purpose: {
+        type: String
+    },
+
+    channel: {
+        type: String
+    },
+
+    score: {
+        type: Number,
+        required: true
+    },
+
+    // Challenged requests that went through after solving a bot challenge
+    challengePassed: {
+        type: Boolean,
+        default: false
+    },
+
+    // Signals that contributed to the score, e.g. [{ name: 'sequential_numbers', points: 40, value: 5 }]
+    signals: [{
+        _id: false,
+        name: String,
+        points: Number,
+        value: mongoose.Schema.Types.Mixed
+    }]
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for the fraud report
+fraudEventSchema.index({ action: 1, createdAt: -1 });
+
+// Old events are removed automatically
+fraudEventSchema.index(
+    { createdAt: 1 },
+    { expireAfterSeconds: parseInt(process.env.FRAUD_EVENT_RETENTION_SECONDS || '2592000') } // 30 days
+);
+
+const FraudEvent = mongoose.model('FraudEvent', fraudEventSchema);
+
+module.exports = FraudEvent;
+module.exports.FRAUD_ACTIONS = FRAUD_ACTIONS;
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+const rateLimitCounterSchema = new mongoose.Schema({
+    // "<limiter key>:<window number>", e.g. "verifyRequest:phone:+14155552671:1934821"
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    count: {
+        type: Number,
+        default: 0
+    },
+
+    // Counters are only needed for the current and the previous window
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// Expired counters are removed automatically
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+    // SHA-256 of the opaque token; the token itself is never stored
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    // Id of the session this token belongs to; all rotations of a login share it
+    familyId: {
+        type: String,
+        required: true
+    },
+
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+
+    // Set when the token is exchanged for a new pair
+    usedAt: {
+        type: Date
+    },
+
+    revokedAt: {
+        type: Date
+    },
+
+    revokedReason: {
+        type: String
+    }
+}, {
+    timestamps: true
+});
+
+// Index for revoking whole families and all tokens of a user
+refreshTokenSchema.index({ familyId: 1 });
+refreshTokenSchema.index({ userId: 1 });
+
+// Expired refresh tokens are removed automatically
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to revoke every token in a family (optionally only matching "filter", e.g. { userId })
+refreshTokenSchema.statics.revokeFamily = function(familyId, reason, filter = {}) {
+    return this.updateMany(
+        { familyId, revokedAt: { $exists: false }, ...filter },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+};
+
+// Static method to revoke every token of a user
+refreshTokenSchema.statics.revokeAllForUser = function(userId, reason) {
+    return this.updateMany(
+        { userId, revokedAt: { $exists: false } },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
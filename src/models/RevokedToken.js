@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+const revokedTokenSchema = new mongoose.Schema({
+    // "jti:<token id>" for a single token, "user:<user id>" for all tokens of a user
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    revokedAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    // Once every affected token has expired the entry is no longer needed
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// Expired entries are removed automatically
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
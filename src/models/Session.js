@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    // Friendly name shown in the device list, e.g. "Chrome on Windows"
+    deviceName: {
+        type: String,
+        trim: true,
+        maxlength: 100
+    },
+
+    userAgent: {
+        type: String
+    },
+
+    ip: {
+        type: String
+    },
+
+    lastSeenAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    lastSeenIp: {
+        type: String
+    },
+
+    // Pushed forward every time the session's refresh token is rotated
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+
+    revokedAt: {
+        type: Date
+    },
+
+    revokedReason: {
+        type: String
+    }
+}, {
+    timestamps: true
+});
+
+// Index for listing the sessions of a user
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+
+// Expired sessions are removed automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Instance method to check if the session can still be used
+sessionSchema.methods.isActive = function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Static method to find the active sessions of a user, most recent first
+sessionSchema.statics.findActiveForUser = function(userId) {
+    return this.find({
+        userId,
+        revokedAt: { $exists: false },
+        expiresAt: { $gt: new Date() }
+    }).sort({ lastSeenAt: -1 });
+};
+
+// Static method to revoke every session of a user
+sessionSchema.statics.revokeAllForUser = function(userId, reason) {
+    return this.updateMany(
+        { userId, revokedAt: { $exists: false } },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,15 +1,37 @@
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { isE164 } = require('../utils/phoneNumber');
+
+// A backup code that can stand in for a one-time or authenticator code
+const recoveryCodeSchema = new mongoose.Schema({
+    codeHash: {
+        type: String,
+        required: true
+    },
+    usedAt: {
+        type: Date
+    }
+});
 
 const userSchema = new mongoose.Schema({
     // Basic user information
+    // Unique per client app (see the index below), not globally
     phoneNumber: {
         type: String,
         required: [true, 'Phone number is required'],
-        unique: true,
         trim: true,
-        match: [/^\+?[1-9]\d{1,14}$/, 'Please enter a valid phone number']
+        validate: {
+            validator: isE164,
+            message: 'Phone number must be in E.164 format'
+        }
+    },
+    
+    // Client app (tenant) the account belongs to; null for the default tenant
+    clientAppId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ClientApp',
+        default: null
     },
     
     // Password (optional)
@@ -24,29 +46,6 @@ const userSchema = new mongoose.Schema({
         default: false
     },
     
-    // Verification code details
-    verificationCode: {
-        type: String,
-        select: false 
-    },
-    
-    verificationCodeExpiry: {
-        type: Date,
-        select: false
-    },
-    
-    // Tracking verification attempts (prevent spam)
-    verificationAttempts: {
-        type: Number,
-        default: 0,
-        select: false
-    },
-    
-    lastVerificationAttempt: {
-        type: Date,
-        select: false
-    },
-    
     // Account status
     isActive: {
         type: Boolean,
@@ -61,24 +60,73 @@ const userSchema = new mongoose.Schema({
     
     lastLoginAt: {
         type: Date
+    },
+
+    // Second factor (authenticator app) settings
+    mfa: {
+        totpEnabled: {
+            type: Boolean,
+            default: false
+        },
+
+        // Encrypted TOTP secret in use
+        totpSecret: {
+            type: String,
+            select: false
+        },
+
+        // Encrypted secret waiting for the first code during (re-)enrollment
+        totpPendingSecret: {
+            type: String,
+            select: false
+        },
+
+        totpEnabledAt: {
+            type: Date
+        },
+
+        // Last accepted time step, so a code cannot be replayed
+        totpLastUsedStep: {
+            type: Number
+        },
+
+        // Wrong second factor codes since the last success
+        failedAttempts: {
+            type: Number,
+            default: 0
+        },
+
+        lockedUntil: {
+            type: Date
+        },
+
+        // Single-use backup codes, stored hashed
+        recoveryCodes: {
+            type: [recoveryCodeSchema],
+            select: false
+        },
+
+        recoveryCodesGeneratedAt: {
+            type: Date
+        }
     }
 }, {
     timestamps: true, // Adds createdAt and updatedAt automatically
     toJSON: {
         transform: function(doc, ret) {
             delete ret.password;
-            delete ret.verificationCode;
-            delete ret.verificationCodeExpiry;
-            delete ret.verificationAttempts;
-            delete ret.lastVerificationAttempt;
+            if (ret.mfa) {
+                delete ret.mfa.totpSecret;
+                delete ret.mfa.totpPendingSecret;
+                delete ret.mfa.recoveryCodes;
+            }
             return ret;
         }
     }
 });
 
-// Index for better query performance
-userSchema.index({ phoneNumber: 1 });
-userSchema.index({ verificationCodeExpiry: 1 }, { expireAfterSeconds: 0 });
+// The same number can have an independent account in every client app
+userSchema.index({ clientAppId: 1, phoneNumber: 1 }, { unique: true });
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
@@ -101,83 +149,9 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
     return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Instance method to generate verification code
-userSchema.methods.generateVerificationCode = function() {
-    // Generate 6-digit verification code
-    const code = Math.floor(100000 + Math.random() * 900000).toString();
-    
-    // Set verification code and expiry
-    this.verificationCode = code;
-    this.verificationCodeExpiry = new Date(Date.now() + parseInt(process.env.VERIFICATION_CODE_EXPIRY));
-    this.verificationAttempts += 1;
-    this.lastVerificationAttempt = new Date();
-    
-    return code;
-};
-
-// Instance method to verify code
-userSchema.methods.verifyCode = function(code) {
-    // Check if code exists and hasn't expired
-    if (!this.verificationCode || !this.verificationCodeExpiry) {
-        return { success: false, message: 'No verification code found' };
-    }
-    
-    if (this.verificationCodeExpiry < new Date()) {
-        return { success: false, message: 'Verification code has expired' };
-    }
-    
-    if (this.verificationCode !== code) {
-        return { success: false, message: 'Invalid verification code' };
-    }
-    
-    // Code is valid - mark phone as verified and clear verification data
-    this.isPhoneVerified = true;
-    this.verificationCode = undefined;
-    this.verificationCodeExpiry = undefined;
-    this.verificationAttempts = 0;
-    
-    return { success: true, message: 'Phone number verified successfully' };
-};
-
-// Instance method to check if user can request new verification code
-userSchema.methods.canRequestVerificationCode = function() {
-    const maxAttempts = 5;
-    const cooldownPeriod = 15 * 60 * 1000; // 15 minutes in milliseconds
-    
-    // Check if user has exceeded max attempts
-    if (this.verificationAttempts >= maxAttempts) {
-        const timeSinceLastAttempt = Date.now() - this.lastVerificationAttempt.getTime();
-        if (timeSinceLastAttempt < cooldownPeriod) {
-            const remainingTime = Math.ceil((cooldownPeriod - timeSinceLastAttempt) / 60000);
-            return { 
-                canRequest: false, 
-                message: `Too many attempts. Please wait ${remainingTime} minutes before requesting a new code.` 
-            };
-        } else {
-            // Reset attempts after cooldown period
-            this.verificationAttempts = 0;
-        }
-    }
-    
-    return { canRequest: true };
-};
-
-// Static method to find user by phone number
-userSchema.statics.findByPhoneNumber = function(phoneNumber) {
-    return this.findOne({ phoneNumber });
-};
-
-// Static method to clean up expired verification codes
-userSchema.statics.cleanupExpiredCodes = function() {
-    return this.updateMany(
-        { verificationCodeExpiry: { $lt: new Date() } },
-        { 
-            $unset: { 
-                verificationCode: 1, 
-                verificationCodeExpiry: 1 
-            } 
-        }
-    );
+// Static method to find user by phone number within a client app
+userSchema.statics.findByPhoneNumber = function(phoneNumber, clientAppId = null) {
+    return this.findOne({ phoneNumber, clientAppId });
 };
 
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,450 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { isE164 } = require('../utils/phoneNumber');
+const { hashCode, compareCode } = require('../utils/codeHash');
+const { generateOtp, normalizeOtp } = require('../config/otpPolicy');
+const { DELIVERY_STATUSES, normalizeSendStatus } = require('../utils/deliveryStatus');
+
+/**
+ * What a verification is for. Codes are only accepted for the purpose they were issued for.
+ * "api" verifications are started by a client app's backend through the Verify API.
+ */
+const VERIFICATION_PURPOSES = ['phone_verification', 'login', 'password_reset', 'phone_change', 'api'];
+
+const VERIFICATION_STATUSES = ['pending', 'approved', 'expired', 'canceled', 'failed'];
+
+/**
+ * How the user proves the number: by typing a code or by opening a signed link
+ */
+const VERIFICATION_METHODS = ['code', 'link'];
+
+/**
+ * Hash a link poll secret for storage (high entropy, so a plain SHA-256 is enough)
+ * @param {string} secret - Poll secret
+ * @returns {string} - Hex digest
+ */
+const hashPollSecret = (secret) => crypto.createHash('sha256').update(String(secret)).digest('hex');
+
+/**
+ * Read lockout configuration
+ * @returns {Object} - { maxFailedAttempts, baseLockoutMs, maxLockoutMs }
+ */
+const getLockoutPolicy = () => ({
+    maxFailedAttempts: parseInt(process.env.VERIFICATION_MAX_FAILED_ATTEMPTS || '5'),
+    baseLockoutMs: parseInt(process.env.VERIFICATION_LOCKOUT_BASE_MS || '300000'), // 5 minutes
+    maxLockoutMs: parseInt(process.env.VERIFICATION_LOCKOUT_MAX_MS || '86400000') // 24 hours
+});
+
+// A status report for a delivery attempt, as received from the provider
+const deliveryEventSchema = new mongoose.Schema({
+    status: {
+        type: String,
+        enum: DELIVERY_STATUSES
+    },
+    providerStatus: String,
+    errorCode: String,
+    at: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+// A single delivery attempt (SMS or voice call) for a verification
+const sendSchema = new mongoose.Schema({
+    channel: {
+        type: String,
+        enum: ['sms', 'voice']
+    },
+    provider: String,
+    messageId: String,
+    // Latest normalized delivery status (queued, sent, delivered, failed)
+    status: String,
+    errorCode: String,
+    sentAt: {
+        type: Date,
+        default: Date.now
+    },
+    statusUpdatedAt: Date,
+    // Every status callback received, in arrival order
+    events: [deliveryEventSchema]
+}, { _id: false });
+
+const verificationSchema = new mongoose.Schema({
+    // Phone number the code was sent to (E.164)
+    phoneNumber: {
+        type: String,
+        required: [true, 'Phone number is required'],
+        trim: true,
+        validate: {
+            validator: isE164,
+            message: 'Phone number must be in E.164 format'
+        }
+    },
+
+    // Country calling code of the number, e.g. "44"
+    countryCode: {
+        type: String
+    },
+
+    // Channel the current code was delivered over
+    channel: {
+        type: String,
+        enum: ['sms', 'voice'],
+        default: 'sms'
+    },
+
+    purpose: {
+        type: String,
+        enum: VERIFICATION_PURPOSES,
+        default: 'phone_verification'
+    },
+
+    method: {
+        type: String,
+        enum: VERIFICATION_METHODS,
+        default: 'code'
+    },
+
+    // Salted HMAC of the current code, never the plaintext
+    codeHash: {
+        type: String,
+        select: false
+    },
+
+    status: {
+        type: String,
+        enum: VERIFICATION_STATUSES,
+        default: 'pending'
+    },
+
+    // Number of codes sent for this verification (initial send + resends)
+    sendAttempts: {
+        type: Number,
+        default: 0
+    },
+
+    // Wrong guesses against the current code
+    failedAttempts: {
+        type: Number,
+        default: 0
+    },
+
+    expiresAt: {
+        type: Date
+    },
+
+    // Set when too many wrong guesses locked the phone number out
+    lockedUntil: {
+        type: Date
+    },
+
+    // User account linked once the verification is approved
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    // Client app (tenant) the verification was started for; null for the default tenant
+    clientAppId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ClientApp',
+        default: null
+    },
+
+    approvedAt: {
+        type: Date
+    },
+
+    // Link verifications: hash of the secret the requesting client claims the result with
+    pollSecretHash: {
+        type: String,
+        select: false
+    },
+
+    // Link verifications: when the requesting client claimed the approval
+    claimedAt: {
+        type: Date
+    },
+
+    // Client IP the verification was requested from (fraud scoring)
+    requestIp: {
+        type: String
+    },
+
+    sends: [sendSchema]
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: function(doc, ret) {
+            ret.id = ret._id;
+            delete ret._id;
+            delete ret.__v;
+            delete ret.codeHash;
+            delete ret.pollSecretHash;
+            return ret;
+        }
+    }
+});
+
+// Index for looking up the latest verification for a number
+verificationSchema.index({ phoneNumber: 1, purpose: 1, createdAt: -1 });
+verificationSchema.index({ phoneNumber: 1, purpose: 1, clientAppId: 1, lockedUntil: -1 });
+
+// Index for matching provider status callbacks to their send
+verificationSchema.index({ 'sends.messageId': 1 }, { sparse: true });
+
+// Indexes for conversion rates per country and per IP
+verificationSchema.index({ countryCode: 1, createdAt: -1 });
+verificationSchema.index({ requestIp: 1, createdAt: -1 });
+
+// Keep records long enough to enforce send limits and progressive lockouts
+verificationSchema.index(
+    { createdAt: 1 },
+    { expireAfterSeconds: parseInt(process.env.VERIFICATION_RETENTION_SECONDS || '604800') } // 7 days
+);
+
+// Instance method to generate a new code for this verification
+verificationSchema.methods.generateCode = function(channel = 'sms', options = {}) {
+    const expiryMs = options.expiryMs || parseInt(process.env.VERIFICATION_CODE_EXPIRY);
+
+    // Generate a code of the requested length in the configured format (see config/otpPolicy)
+    const code = generateOtp({ length: options.length, format: options.format });
+
+    // Store only the hash of the code; the plaintext is returned for delivery
+    this.codeHash = hashCode(code);
+    this.method = 'code';
+    this.pollSecretHash = undefined;
+    this.channel = channel;
+    this.expiresAt = new Date(Date.now() + expiryMs);
+    this.failedAttempts = 0;
+    this.sendAttempts += 1;
+
+    return code;
+};
+
+// Instance method to prepare a link send; returns the poll secret for the requesting client
+verificationSchema.methods.prepareLink = function(options = {}) {
+    const expiryMs = options.expiryMs || parseInt(process.env.VERIFICATION_CODE_EXPIRY);
+    const pollSecret = crypto.randomBytes(24).toString('base64url');
+
+    // No code exists for a link; only opening the link can approve it
+    this.codeHash = undefined;
+    this.method = 'link';
+    this.pollSecretHash = hashPollSecret(pollSecret);
+    this.channel = 'sms';
+    // Whole seconds, as carried in the link token
+    this.expiresAt = new Date(Math.floor((Date.now() + expiryMs) / 1000) * 1000);
+    this.failedAttempts = 0;
+    this.sendAttempts += 1;
+
+    return pollSecret;
+};
+
+// Instance method to record the outcome of a delivery attempt
+verificationSchema.methods.recordSend = function(deliveryResult) {
+    this.sends.push({
+        channel: deliveryResult.channel,
+        provider: deliveryResult.provider || (deliveryResult.mockMode ? 'mock' : undefined),
+        messageId: deliveryResult.messageId,
+        status: deliveryResult.success ? normalizeSendStatus(deliveryResult.status) : 'failed',
+        errorCode: deliveryResult.success ? undefined : deliveryResult.error
+    });
+};
+
+// Instance method to check if the current code has expired
+verificationSchema.methods.isExpired = function() {
+    return !this.expiresAt || this.expiresAt < new Date();
+};
+
+// Instance method to invalidate the code and lock the number out
+verificationSchema.methods.lock = async function() {
+    const { baseLockoutMs, maxLockoutMs } = getLockoutPolicy();
+
+    // Each lockout within the last max period doubles the next one
+    const previousLockouts = await this.constructor.countDocuments({
+        phoneNumber: this.phoneNumber,
+        purpose: this.purpose,
+        clientAppId: this.clientAppId || null,
+        lockedUntil: { $gt: new Date(Date.now() - maxLockoutMs) },
+        _id: { $ne: this._id }
+    });
+    const lockoutMs = Math.min(baseLockoutMs * Math.pow(2, previousLockouts), maxLockoutMs);
+
+    this.status = 'failed';
+    this.codeHash = undefined;
+    this.lockedUntil = new Date(Date.now() + lockoutMs);
+    await this.save();
+
+    return this.constructor.describeLockout(this.lockedUntil);
+};
+
+// Instance method to check a code against this verification
+// With approve: false a correct code is only reported as valid, to be approved later
+verificationSchema.methods.checkCode = async function(code, { approve = true } = {}) {
+    if (this.status !== 'pending' || !this.codeHash) {
+        return { success: false, error: 'VERIFICATION_NOT_FOUND', message: 'Verification code is no longer valid' };
+    }
+
+    if (this.isExpired()) {
+        this.status = 'expired';
+        await this.save();
+        return { success: false, error: 'VERIFICATION_CODE_EXPIRED', message: 'Verification code has expired' };
+    }
+
+    const { maxFailedAttempts } = getLockoutPolicy();
+
+    // Count the guess atomically before comparing, so parallel requests
+    // cannot get more than maxFailedAttempts guesses at the same code
+    const counted = await this.constructor.findOneAndUpdate(
+        {
+            _id: this._id,
+            status: 'pending',
+            codeHash: this.codeHash,
+            failedAttempts: { $lt: maxFailedAttempts }
+        },
+        { $inc: { failedAttempts: 1 } },
+        { new: true, projection: { failedAttempts: 1 } }
+    );
+
+    if (!counted) {
+        // Either the guess limit was reached or a newer code replaced this one
+        const current = await this.constructor.findById(this._id).select('+codeHash');
+        if (!current || current.status !== 'pending' || current.codeHash !== this.codeHash) {
+            return { success: false, error: 'VERIFICATION_NOT_FOUND', message: 'Verification code is no longer valid' };
+        }
+        return this.lock();
+    }
+
+    if (!compareCode(typeof code === 'string' ? normalizeOtp(code) : code, this.codeHash)) {
+        const attemptsRemaining = maxFailedAttempts - counted.failedAttempts;
+
+        if (attemptsRemaining <= 0) {
+            return this.lock();
+        }
+
+        return {
+            success: false,
+            error: 'INVALID_VERIFICATION_CODE',
+            message: 'Invalid verification code',
+            attemptsRemaining
+        };
+    }
+
+    if (!approve) {
+        // Only wrong guesses count; a correct code checked again later must not lock the number out
+        await this.constructor.updateOne(
+            { _id: this._id, failedAttempts: { $gt: 0 } },
+            { $inc: { failedAttempts: -1 } }
+        );
+        return { success: true, message: 'Verification code is valid' };
+    }
+
+    return this.approve();
+};
+
+// Instance method to approve a verification whose code was checked
+verificationSchema.methods.approve = async function() {
+    // Approve atomically so a code can only ever be used once
+    const approved = await this.constructor.findOneAndUpdate(
+        { _id: this._id, status: 'pending', codeHash: this.codeHash },
+        { $set: { status: 'approved', approvedAt: new Date() }, $unset: { codeHash: 1 } },
+        { new: true }
+    );
+
+    if (!approved) {
+        return { success: false, error: 'VERIFICATION_NOT_FOUND', message: 'Verification code is no longer valid' };
+    }
+
+    this.status = approved.status;
+    this.approvedAt = approved.approvedAt;
+    this.codeHash = undefined;
+
+    return { success: true, message: 'Phone number verified successfully' };
+};
+
+// Static method to find the latest pending verification for a number and purpose in a tenant
+verificationSchema.statics.findPending = function(phoneNumber, purpose = 'phone_verification', clientAppId = null) {
+    return this.findOne({ phoneNumber, purpose, clientAppId, status: 'pending' })
+        .sort({ createdAt: -1 })
+        .select('+codeHash');
+};
+
+// Static method to approve a link verification, once, for the send the link was issued for
+verificationSchema.statics.approveLink = function(verificationId, expiresAt) {
+    return this.findOneAndUpdate(
+        { _id: verificationId, method: 'link', status: 'pending', expiresAt },
+        { $set: { status: 'approved', approvedAt: new Date() } },
+        { new: true }
+    );
+};
+
+// Static method to hand an approved link verification to the client that requested it, once
+verificationSchema.statics.claimLink = function(verificationId, pollSecret, clientAppId = null) {
+    return this.findOneAndUpdate(
+        {
+            _id: verificationId,
+            clientAppId,
+            method: 'link',
+            status: 'approved',
+            pollSecretHash: hashPollSecret(pollSecret),
+            claimedAt: { $exists: false }
+        },
+        { $set: { claimedAt: new Date() }, $unset: { pollSecretHash: 1 } },
+        { new: true }
+    );
+};
+
+// Static method to find an active lockout for a number, purpose and tenant
+// Lockouts are scoped so wrong guesses in one flow (or client app) cannot lock the number out of the others
+verificationSchema.statics.findActiveLockout = function(phoneNumber, purpose = 'phone_verification', clientAppId = null) {
+    return this.findOne({ phoneNumber, purpose, clientAppId, lockedUntil: { $gt: new Date() } })
+        .sort({ lockedUntil: -1 });
+};
+
+// Static method to count codes sent to a number since a given time
+verificationSchema.statics.countSendsSince = async function(phoneNumber, since) {
+    const verifications = await this.find({
+        phoneNumber,
+        'sends.sentAt': { $gte: since }
+    }).select('sends.sentAt');
+
+    return verifications.reduce((total, verification) => {
+        return total + verification.sends.filter(send => send.sentAt >= since).length;
+    }, 0);
+};
+
+// Static method to count verifications and how many were approved in a time range
+verificationSchema.statics.countConversions = async function(filter, since, until) {
+    const [summary] = await this.aggregate([
+        { $match: { ...filter, createdAt: { $gte: since, $lte: until } } },
+        {
+            $group: {
+                _id: null,
+                total: { $sum: 1 },
+                approved: { $sum: { $cond: [{ $eq: ['$status', 'approved'] }, 1, 0] } }
+            }
+        }
+    ]);
+
+    return summary ? { total: summary.total, approved: summary.approved } : { total: 0, approved: 0 };
+};
+
+// Static method to describe a lockout as a verification result
+verificationSchema.statics.describeLockout = function(lockedUntil) {
+    const remainingMinutes = Math.ceil((lockedUntil.getTime() - Date.now()) / 60000);
+
+    return {
+        success: false,
+        error: 'VERIFICATION_LOCKED',
+        message: `Too many incorrect codes. Please wait ${remainingMinutes} minutes before trying again.`,
+        attemptsRemaining: 0,
+        lockedUntil
+    };
+};
+
+const Verification = mongoose.model('Verification', verificationSchema);
+
+module.exports = Verification;
+module.exports.VERIFICATION_PURPOSES = VERIFICATION_PURPOSES;
+module.exports.VERIFICATION_STATUSES = VERIFICATION_STATUSES;
+module.exports.VERIFICATION_METHODS = VERIFICATION_METHODS;
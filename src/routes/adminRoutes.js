@@ -0,0 +1,88 @@
+const express = require('express');
+const {
+    getFraudReport,
+    listClientApps,
+    createClientApp,
+    updateClientApp,
+    rotateClientAppKey
+} = require('../controllers/adminController');
+const { requireAdminKey } = require('../middleware/auth');
+const {
+    handleValidationErrors,
+    validateFraudReportQuery,
+    validateClientAppIdParam,
+    validateClientAppCreate,
+    validateClientAppUpdate
+} = require('../utils/validation');
+
+const router = express.Router();
+
+// Operator Routes (Admin key required)
+
+/**
+ * @route   GET /api/admin/fraud/report
+ * @desc    Summary of send requests blocked or challenged by fraud screening
+ * @access  Admin (requires ADMIN_API_KEY)
+ * @headers X-Admin-Key: <key>
+ * @query   hours? (default 24), limit? (recent events, default 50)
+ */
+router.get('/fraud/report',
+    requireAdminKey,
+    validateFraudReportQuery,
+    handleValidationErrors,
+    getFraudReport
+);
+
+/**
+ * @route   GET /api/admin/client-apps
+ * @desc    List client apps (tenants)
+ * @access  Admin (requires ADMIN_API_KEY)
+ * @headers X-Admin-Key: <key>
+ */
+router.get('/client-apps',
+    requireAdminKey,
+    listClientApps
+);
+
+/**
+ * @route   POST /api/admin/client-apps
+ * @desc    Register a client app and issue its API key and request signing secret
+ * @access  Admin (requires ADMIN_API_KEY)
+ * @headers X-Admin-Key: <key>
+ * @body    { appId, name, allowedOrigins?, senderId?, branding?, otp?, tokens?, autofill? }
+ */
+router.post('/client-apps',
+    requireAdminKey,
+    validateClientAppCreate,
+    handleValidationErrors,
+    createClientApp
+);
+
+/**
+ * @route   PUT /api/admin/client-apps/:appId
+ * @desc    Change a client app's settings (nested settings are merged)
+ * @access  Admin (requires ADMIN_API_KEY)
+ * @headers X-Admin-Key: <key>
+ * @body    { name?, allowedOrigins?, senderId?, branding?, otp?, tokens?, autofill?, isActive? }
+ */
+router.put('/client-apps/:appId',
+    requireAdminKey,
+    validateClientAppUpdate,
+    handleValidationErrors,
+    updateClientApp
+);
+
+/**
+ * @route   POST /api/admin/client-apps/:appId/api-key
+ * @desc    Issue a new API key and request signing secret; the old ones stop working
+ * @access  Admin (requires ADMIN_API_KEY)
+ * @headers X-Admin-Key: <key>
+ */
+router.post('/client-apps/:appId/api-key',
+    requireAdminKey,
+    validateClientAppIdParam,
+    handleValidationErrors,
+    rotateClientAppKey
+);
+
+module.exports = router;
@@ -1,110 +1,263 @@
 
 const express = require('express');
-// const rateLimit = require('express-rate-limit');
 const {
     registerUser,
     loginUser,
+    requestLoginOtp,
+    confirmLoginOtp,
+    completeMfaLogin,
+    forgotPassword,
+    resetPassword,
     requestPhoneVerification,
+    getPhoneVerificationDelivery,
+    getClientConfig,
     confirmPhoneVerification,
+    openVerificationLink,
+    confirmVerificationLink,
+    claimPhoneVerificationLink,
+    requestPhoneChange,
+    confirmPhoneChange,
+    enrollTotp,
+    reenrollTotp,
+    confirmTotp,
+    disableTotpFactor,
+    regenerateRecoveryCodes,
+    getRecoveryCodes,
     getUserProfile,
-    refreshToken
+    refreshToken,
+    logoutUser,
+    logoutAllSessions,
+    listSessions,
+    deleteSession
 } = require('../controllers/authController');
 
 const { authenticateToken, requirePhoneVerification } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { verifyChallengeSolution } = require('../middleware/challenge');
 const {
     handleValidationErrors,
     validateUserRegistration,
     validateUserLogin,
-    validatePhoneVerificationRequest,
+    validatePhoneVerificationStart,
+    validateVerificationLinkToken,
+    validateVerificationLinkClaim,
     validatePhoneVerificationConfirm,
+    validateOtpLoginRequest,
+    validateOtpLoginConfirm,
+    validateForgotPassword,
+    validatePasswordReset,
+    validatePhoneChangeRequest,
+    validatePhoneChangeConfirm,
+    validateTotpCode,
+    validateSecondFactor,
+    validateRecoveryCodeRegeneration,
+    validateMfaLogin,
+    validateRefreshToken,
+    validateLogout,
+    validateSessionId,
+    validateVerificationIdParam,
     sanitizeRequest
 } = require('../utils/validation');
 
 const router = express.Router();
 
-// Rate limiting configurations (temporarily disabled for Node 14 compatibility)
-// const authRateLimit = rateLimit({
-//     windowMs: 15 * 60 * 1000, // 15 minutes
-//     max: 10, // Limit each IP to 10 requests per windowMs for auth routes
-//     message: {
-//         success: false,
-//         message: 'Too many authentication attempts. Please try again later.',
-//         error: 'RATE_LIMIT_EXCEEDED'
-//     },
-//     standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
-//     legacyHeaders: false, // Disable the `X-RateLimit-*` headers
-// });
-
-// const verificationRateLimit = rateLimit({
-//     windowMs: 5 * 60 * 1000, // 5 minutes
-//     max: 3, // Limit each IP to 3 verification requests per 5 minutes
-//     message: {
-//         success: false,
-//         message: 'Too many verification requests. Please try again in 5 minutes.',
-//         error: 'VERIFICATION_RATE_LIMIT_EXCEEDED'
-//     },
-//     standardHeaders: true,
-//     legacyHeaders: false,
-// });
-
 // Public Routes (No authentication required)
 
 /**
  * @route   POST /api/auth/register
  * @desc    Register a new user with phone number
  * @access  Public
- * @body    { phoneNumber, password? }
+ * @body    { phoneNumber, password?, verificationId?, deviceName?, challengeToken?, challengeSolution? } - verificationId of an approved verification marks the phone as verified
  */
 router.post('/register',
-    // authRateLimit, // temporarily disabled
     sanitizeRequest,
+    rateLimit('register'),
     validateUserRegistration,
     handleValidationErrors,
+    verifyChallengeSolution,
     registerUser
 );
 
 /**
  * @route   POST /api/auth/login
- * @desc    Login user with phone number and optional password
+ * @desc    Login user with phone number and password (passwordless accounts use /login/otp)
  * @access  Public
- * @body    { phoneNumber, password? }
+ * @body    { phoneNumber, password, deviceName? }
  */
 router.post('/login',
-    // authRateLimit, // temporarily disabled
     sanitizeRequest,
+    rateLimit('login'),
     validateUserLogin,
     handleValidationErrors,
     loginUser
 );
 
+/**
+ * @route   POST /api/auth/login/otp/request
+ * @desc    Send a one-time login code via SMS or voice call
+ * @access  Public
+ * @body    { phoneNumber, channel?, challengeToken?, challengeSolution? } - response does not reveal whether an account exists
+ */
+router.post('/login/otp/request',
+    sanitizeRequest,
+    rateLimit('loginOtpRequest'),
+    validateOtpLoginRequest,
+    handleValidationErrors,
+    verifyChallengeSolution,
+    requestLoginOtp
+);
+
+/**
+ * @route   POST /api/auth/login/otp/confirm
+ * @desc    Exchange a one-time login code for tokens
+ * @access  Public
+ * @body    { phoneNumber, verificationCode | recoveryCode, verificationId?, deviceName? }
+ */
+router.post('/login/otp/confirm',
+    sanitizeRequest,
+    rateLimit('loginOtpConfirm'),
+    (req, res, next) => (req.body.recoveryCode ? rateLimit('loginRecoveryCode')(req, res, next) : next()),
+    validateOtpLoginConfirm,
+    handleValidationErrors,
+    confirmLoginOtp
+);
+
+/**
+ * @route   POST /api/auth/login/mfa
+ * @desc    Complete a sign-in with an authenticator app code
+ * @access  Public (requires challenge token from login)
+ * @body    { challengeToken, code | recoveryCode, deviceName? }
+ */
+router.post('/login/mfa',
+    sanitizeRequest,
+    rateLimit('mfaLogin'),
+    validateMfaLogin,
+    handleValidationErrors,
+    completeMfaLogin
+);
+
+/**
+ * @route   POST /api/auth/password/forgot
+ * @desc    Send a password reset code to the registered phone
+ * @access  Public
+ * @body    { phoneNumber, channel?, challengeToken?, challengeSolution? } - response does not reveal whether an account exists
+ */
+router.post('/password/forgot',
+    sanitizeRequest,
+    rateLimit('forgotPassword'),
+    validateForgotPassword,
+    handleValidationErrors,
+    verifyChallengeSolution,
+    forgotPassword
+);
+
+/**
+ * @route   POST /api/auth/password/reset
+ * @desc    Set a new password with a reset code and revoke all sessions
+ * @access  Public
+ * @body    { phoneNumber, verificationCode, newPassword, verificationId? }
+ */
+router.post('/password/reset',
+    sanitizeRequest,
+    rateLimit('resetPassword'),
+    validatePasswordReset,
+    handleValidationErrors,
+    resetPassword
+);
+
 /**
  * @route   POST /api/auth/verify-phone/request
- * @desc    Request phone verification code via SMS
+ * @desc    Request phone verification code (or link) via SMS or voice call
  * @access  Public
- * @body    { phoneNumber }
+ * @body    { phoneNumber, channel?, method?, locale?, challengeToken?, challengeSolution? } - channel is "sms" (default) or "voice"; method "link" sends a signed link by SMS instead of a code; a solved challenge is required when the request looks risky
  */
 router.post('/verify-phone/request',
-    // verificationRateLimit, // temporarily disabled
     sanitizeRequest,
-    validatePhoneVerificationRequest,
+    rateLimit('verifyRequest'),
+    validatePhoneVerificationStart,
     handleValidationErrors,
+    verifyChallengeSolution,
     requestPhoneVerification
 );
 
+/**
+ * @route   GET /api/auth/verify-phone/request/:id
+ * @desc    Poll delivery status of the latest code (queued, sent, delivered, failed) and the verification status
+ * @access  Public
+ */
+router.get('/verify-phone/request/:id',
+    rateLimit('verifyStatus'),
+    validateVerificationIdParam,
+    handleValidationErrors,
+    getPhoneVerificationDelivery
+);
+
 /**
  * @route   POST /api/auth/verify-phone/confirm
  * @desc    Confirm phone verification with code
  * @access  Public
- * @body    { phoneNumber, verificationCode }
+ * @body    { phoneNumber, verificationCode, verificationId?, createAccount?, deviceName? }
  */
 router.post('/verify-phone/confirm',
-    // authRateLimit, // temporarily disabled
     sanitizeRequest,
+    rateLimit('verifyConfirm'),
     validatePhoneVerificationConfirm,
     handleValidationErrors,
     confirmPhoneVerification
 );
 
+/**
+ * @route   POST /api/auth/verify-phone/link/claim
+ * @desc    Complete a link verification from the client that requested it, once the link was opened
+ * @access  Public (requires the poll secret)
+ * @body    { verificationId, pollSecret, createAccount?, deviceName? }
+ */
+router.post('/verify-phone/link/claim',
+    sanitizeRequest,
+    rateLimit('verifyLinkClaim'),
+    validateVerificationLinkClaim,
+    handleValidationErrors,
+    claimPhoneVerificationLink
+);
+
+/**
+ * @route   GET /api/auth/verify-phone/link/:token
+ * @desc    Page opened from the SMS link; submits the confirmation below
+ * @access  Public
+ */
+router.get('/verify-phone/link/:token',
+    rateLimit('verifyLink'),
+    validateVerificationLinkToken,
+    handleValidationErrors,
+    openVerificationLink
+);
+
+/**
+ * @route   POST /api/auth/verify-phone/link/:token
+ * @desc    Approve the phone verification the link was sent for (single use)
+ * @access  Public
+ */
+router.post('/verify-phone/link/:token',
+    rateLimit('verifyLink'),
+    validateVerificationLinkToken,
+    handleValidationErrors,
+    confirmVerificationLink
+);
+
+/**
+ * @route   POST /api/auth/refresh-token
+ * @desc    Exchange a refresh token for a new access/refresh token pair (rotation)
+ * @access  Public (requires valid refresh token)
+ * @body    { refreshToken }
+ */
+router.post('/refresh-token',
+    sanitizeRequest,
+    rateLimit('refreshToken'),
+    validateRefreshToken,
+    handleValidationErrors,
+    refreshToken
+);
+
 // Protected Routes (Authentication required)
 
 /**
@@ -115,18 +268,184 @@ router.post('/verify-phone/confirm',
  */
 router.get('/profile',
     authenticateToken,
+    rateLimit('account'),
     getUserProfile
 );
 
 /**
- * @route   POST /api/auth/refresh-token
- * @desc    Refresh JWT token
+ * @route   POST /api/auth/logout
+ * @desc    Revoke the current access token (and refresh token family if given)
  * @access  Private (requires valid JWT token)
  * @headers Authorization: Bearer <token>
+ * @body    { refreshToken? }
  */
-router.post('/refresh-token',
+router.post('/logout',
     authenticateToken,
-    refreshToken
+    rateLimit('account'),
+    sanitizeRequest,
+    validateLogout,
+    handleValidationErrors,
+    logoutUser
+);
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Revoke every access and refresh token of the current user
+ * @access  Private (requires valid JWT token)
+ * @headers Authorization: Bearer <token>
+ */
+router.post('/logout-all',
+    authenticateToken,
+    rateLimit('account'),
+    logoutAllSessions
+);
+
+/**
+ * @route   POST /api/auth/phone/change/request
+ * @desc    Send a code to the new phone number (and the current one if configured)
+ * @access  Private (requires valid JWT token)
+ * @headers Authorization: Bearer <token>
+ * @body    { newPhoneNumber, channel?, challengeToken?, challengeSolution? }
+ */
+router.post('/phone/change/request',
+    authenticateToken,
+    sanitizeRequest,
+    rateLimit('phoneChangeRequest'),
+    validatePhoneChangeRequest,
+    handleValidationErrors,
+    verifyChallengeSolution,
+    requestPhoneChange
+);
+
+/**
+ * @route   POST /api/auth/phone/change/confirm
+ * @desc    Move the account to the new phone number
+ * @access  Private (requires valid JWT token)
+ * @headers Authorization: Bearer <token>
+ * @body    { newPhoneNumber, verificationCode, verificationId?, currentPhoneCode?, currentVerificationId?, recoveryCode? }
+ */
+router.post('/phone/change/confirm',
+    authenticateToken,
+    sanitizeRequest,
+    rateLimit('phoneChangeConfirm'),
+    validatePhoneChangeConfirm,
+    handleValidationErrors,
+    confirmPhoneChange
+);
+
+/**
+ * @route   POST /api/auth/mfa/totp/enroll
+ * @desc    Start authenticator app enrollment (returns secret and otpauth:// URI)
+ * @access  Private (requires valid JWT token)
+ * @headers Authorization: Bearer <token>
+ */
+router.post('/mfa/totp/enroll',
+    authenticateToken,
+    rateLimit('mfa'),
+    enrollTotp
+);
+
+/**
+ * @route   POST /api/auth/mfa/totp/confirm
+ * @desc    Confirm enrollment with a code from the authenticator app
+ * @access  Private (requires valid JWT token)
+ * @headers Authorization: Bearer <token>
+ * @body    { code }
+ */
+router.post('/mfa/totp/confirm',
+    authenticateToken,
+    rateLimit('mfa'),
+    sanitizeRequest,
+    validateTotpCode,
+    handleValidationErrors,
+    confirmTotp
+);
+
+/**
+ * @route   POST /api/auth/mfa/totp/re-enroll
+ * @desc    Replace the authenticator app secret (requires a current code)
+ * @access  Private (requires valid JWT token)
+ * @headers Authorization: Bearer <token>
+ * @body    { code } or { recoveryCode }
+ */
+router.post('/mfa/totp/re-enroll',
+    authenticateToken,
+    rateLimit('mfa'),
+    sanitizeRequest,
+    validateSecondFactor,
+    handleValidationErrors,
+    reenrollTotp
+);
+
+/**
+ * @route   POST /api/auth/mfa/totp/disable
+ * @desc    Turn the authenticator app second factor off (requires a current code)
+ * @access  Private (requires valid JWT token)
+ * @headers Authorization: Bearer <token>
+ * @body    { code } or { recoveryCode }
+ */
+router.post('/mfa/totp/disable',
+    authenticateToken,
+    rateLimit('mfa'),
+    sanitizeRequest,
+    validateSecondFactor,
+    handleValidationErrors,
+    disableTotpFactor
+);
+
+/**
+ * @route   POST /api/auth/mfa/recovery-codes
+ * @desc    Generate a new set of single-use recovery codes (replaces the old set)
+ * @access  Private (requires valid JWT token + phone verification)
+ * @headers Authorization: Bearer <token>
+ * @body    { code } or { recoveryCode } - required once the authenticator app is enabled
+ */
+router.post('/mfa/recovery-codes',
+    authenticateToken,
+    rateLimit('mfa'),
+    requirePhoneVerification,
+    sanitizeRequest,
+    validateRecoveryCodeRegeneration,
+    handleValidationErrors,
+    regenerateRecoveryCodes
+);
+
+/**
+ * @route   GET /api/auth/mfa/recovery-codes
+ * @desc    Show how many recovery codes are left
+ * @access  Private (requires valid JWT token)
+ * @headers Authorization: Bearer <token>
+ */
+router.get('/mfa/recovery-codes',
+    authenticateToken,
+    rateLimit('account'),
+    getRecoveryCodes
+);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List signed-in sessions (devices) of the current user
+ * @access  Private (requires valid JWT token)
+ * @headers Authorization: Bearer <token>
+ */
+router.get('/sessions',
+    authenticateToken,
+    rateLimit('account'),
+    listSessions
+);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Revoke one of the current user's sessions
+ * @access  Private (requires valid JWT token)
+ * @headers Authorization: Bearer <token>
+ */
+router.delete('/sessions/:id',
+    authenticateToken,
+    rateLimit('account'),
+    validateSessionId,
+    handleValidationErrors,
+    deleteSession
 );
 
 // Protected Routes (Authentication + Phone verification required)
@@ -139,6 +458,7 @@ router.post('/refresh-token',
  */
 router.get('/dashboard',
     authenticateToken,
+    rateLimit('account'),
     requirePhoneVerification,
     (req, res) => {
         res.status(200).json({
@@ -163,6 +483,13 @@ router.get('/dashboard',
     }
 );
 
+/**
+ * @route   GET /api/auth/config
+ * @desc    Public client settings: OTP length and format, channels, verification methods, message locales
+ * @access  Public
+ */
+router.get('/config', getClientConfig);
+
 // Health check route for authentication service
 /**
  * @route   GET /api/auth/health
@@ -180,14 +507,36 @@ router.get('/health', (req, res) => {
             timestamp: new Date().toISOString(),
             endpoints: {
                 public: [
+                    'GET /api/auth/config',
                     'POST /api/auth/register',
                     'POST /api/auth/login',
+                    'POST /api/auth/login/otp/request',
+                    'POST /api/auth/login/otp/confirm',
+                    'POST /api/auth/login/mfa',
+                    'POST /api/auth/password/forgot',
+                    'POST /api/auth/password/reset',
                     'POST /api/auth/verify-phone/request',
-                    'POST /api/auth/verify-phone/confirm'
+                    'GET /api/auth/verify-phone/request/:id',
+                    'POST /api/auth/verify-phone/confirm',
+                    'GET /api/auth/verify-phone/link/:token',
+                    'POST /api/auth/verify-phone/link/:token',
+                    'POST /api/auth/verify-phone/link/claim',
+                    'POST /api/auth/refresh-token'
                 ],
                 protected: [
                     'GET /api/auth/profile',
-                    'POST /api/auth/refresh-token',
+                    'POST /api/auth/logout',
+                    'POST /api/auth/logout-all',
+                    'POST /api/auth/phone/change/request',
+                    'POST /api/auth/phone/change/confirm',
+                    'POST /api/auth/mfa/totp/enroll',
+                    'POST /api/auth/mfa/totp/confirm',
+                    'POST /api/auth/mfa/totp/re-enroll',
+                    'POST /api/auth/mfa/totp/disable',
+                    'POST /api/auth/mfa/recovery-codes',
+                    'GET /api/auth/mfa/recovery-codes',
+                    'GET /api/auth/sessions',
+                    'DELETE /api/auth/sessions/:id',
                     'GET /api/auth/dashboard'
                 ]
             }
@@ -0,0 +1,66 @@
+const express = require('express');
+const {
+    createVerification,
+    checkVerificationCode,
+    getVerification
+} = require('../controllers/verifyApiController');
+
+const { requireSignedRequest } = require('../middleware/tenant');
+const { rateLimit } = require('../middleware/rateLimit');
+const {
+    handleValidationErrors,
+    validateApiVerificationCreate,
+    validateApiVerificationCheck,
+    validateVerificationIdParam,
+    sanitizeRequest
+} = require('../utils/validation');
+
+const router = express.Router();
+
+// Server-to-server Verify API (authenticated by API key and request signature)
+router.use(requireSignedRequest);
+
+/**
+ * @route   POST /api/v1/verifications
+ * @desc    Send a one-time code and create a verification (resends when one is pending for the number)
+ * @access  Client app backend (signed request)
+ * @headers X-API-Key: <key>, X-Signature-Timestamp: <unix seconds>, X-Signature-Nonce: <unique id>, X-Signature: <hex HMAC-SHA256>
+ * @body    { phoneNumber, channel?, locale?, ip? } - channel is "sms" (default) or "voice"; ip is the end user's, for fraud scoring
+ */
+router.post('/',
+    sanitizeRequest,
+    rateLimit('apiVerificationCreate'),
+    validateApiVerificationCreate,
+    handleValidationErrors,
+    createVerification
+);
+
+/**
+ * @route   GET /api/v1/verifications/:id
+ * @desc    Get the status of a verification (pending, approved, expired, canceled, failed) and its delivery
+ * @access  Client app backend (signed request)
+ * @headers X-API-Key: <key>, X-Signature-Timestamp: <unix seconds>, X-Signature-Nonce: <unique id>, X-Signature: <hex HMAC-SHA256>
+ */
+router.get('/:id',
+    rateLimit('apiVerificationStatus'),
+    validateVerificationIdParam,
+    handleValidationErrors,
+    getVerification
+);
+
+/**
+ * @route   POST /api/v1/verifications/:id/check
+ * @desc    Check a code; approves the verification when it matches
+ * @access  Client app backend (signed request)
+ * @headers X-API-Key: <key>, X-Signature-Timestamp: <unix seconds>, X-Signature-Nonce: <unique id>, X-Signature: <hex HMAC-SHA256>
+ * @body    { code }
+ */
+router.post('/:id/check',
+    sanitizeRequest,
+    rateLimit('apiVerificationCheck'),
+    validateApiVerificationCheck,
+    handleValidationErrors,
+    checkVerificationCode
+);
+
+module.exports = router;
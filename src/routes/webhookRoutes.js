@@ -0,0 +1,22 @@
+const express = require('express');
+const { receiveDeliveryStatus } = require('../controllers/webhookController');
+
+const router = express.Router();
+
+// Provider Callbacks (authenticated by the provider's request signature)
+
+/**
+ * @route   POST /api/webhooks/delivery-status/:provider
+ * @desc    Delivery status callback from an SMS/voice provider (twilio, vonage)
+ * @access  Provider (signed request)
+ */
+router.post('/delivery-status/:provider', receiveDeliveryStatus);
+
+/**
+ * @route   GET /api/webhooks/delivery-status/:provider
+ * @desc    Delivery receipts for providers configured to use GET (vonage)
+ * @access  Provider (signed request)
+ */
+router.get('/delivery-status/:provider', receiveDeliveryStatus);
+
+module.exports = router;
@@ -10,61 +10,70 @@ const path = require('path');
 
 // Import configurations and routes
 const { connectDatabase } = require('./config/database');
+const { getMessageTemplates } = require('./config/messageTemplates');
+const { getOtpPolicy } = require('./config/otpPolicy');
+const { getDefaultAutofill } = require('./config/autofill');
+const { isOriginAllowed } = require('./services/tenantService');
+const { resolveTenant } = require('./middleware/tenant');
 const authRoutes = require('./routes/authRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const verifyApiRoutes = require('./routes/verifyApiRoutes');
+const { CHALLENGE_CSP_SOURCES } = require('./services/challenge/siteVerifyVerifier');
 
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a load balancer req.ip must come from X-Forwarded-For for per-IP rate limits
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
+// Hosted CAPTCHA widgets load scripts and frames from the provider
+const challengeSources = CHALLENGE_CSP_SOURCES[(process.env.CHALLENGE_PROVIDER || 'pow').toLowerCase()] || [];
+
 // Security middleware
 app.use(helmet({
     contentSecurityPolicy: {
         directives: {
             defaultSrc: ["'self'"],
-            styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com"],
-            scriptSrc: ["'self'", "'unsafe-inline'"],
+            styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com", ...challengeSources],
+            scriptSrc: ["'self'", "'unsafe-inline'", ...challengeSources],
+            frameSrc: ["'self'", ...challengeSources],
             fontSrc: ["'self'", "https://fonts.gstatic.com"],
             imgSrc: ["'self'", "data:", "https:"],
-            connectSrc: ["'self'"]
+            connectSrc: ["'self'", ...challengeSources]
         }
     }
 }));
 
-// CORS configuration
+// CORS configuration: CORS_ORIGINS plus the allowed origins of every client app
 const corsOptions = {
     origin: function (origin, callback) {
         // Allow requests with no origin (like mobile apps or curl requests)
         if (!origin) return callback(null, true);
         
-        const allowedOrigins = [
-            'http://localhost:3000',
-            'http://localhost:3001',
-            'http://127.0.0.1:3000',
-            'http://127.0.0.1:3001'
-        ];
-        
-        if (process.env.NODE_ENV === 'production') {
-            // Add production domains here
-            allowedOrigins.push('https://your-production-domain.com');
-        }
-        
-        if (allowedOrigins.indexOf(origin) !== -1) {
-            callback(null, true);
-        } else {
-            callback(new Error('Not allowed by CORS'));
-        }
+        isOriginAllowed(origin)
+            .then(allowed => (allowed ? callback(null, true) : callback(new Error('Not allowed by CORS'))))
+            .catch(callback);
     },
     credentials: true,
     optionsSuccessStatus: 200,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key']
 };
 
 app.use(cors(corsOptions));
 
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Body parsing middleware; every parser keeps the raw body, since request
+// signatures must cover whatever ends up in req.body
+const keepRawBody = (req, res, buf) => {
+    req.rawBody = buf;
+};
+app.use(express.json({ limit: '10mb', verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '10mb', verify: keepRawBody }));
 
 // Logging middleware
 if (process.env.NODE_ENV === 'development') {
@@ -101,6 +110,7 @@ app.get('/', (req, res) => {
             endpoints: {
                 api: '/api',
                 auth: '/api/auth',
+                verifications: '/api/v1/verifications',
                 health: '/api/auth/health',
                 frontend: '/'
             }
@@ -108,8 +118,11 @@ app.get('/', (req, res) => {
     });
 });
 
-// API Routes
-app.use('/api/auth', authRoutes);
+// API Routes (auth requests are resolved to a client app first)
+app.use('/api/auth', resolveTenant, authRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/v1/verifications', verifyApiRoutes);
 
 // Serve frontend for non-API routes
 app.get('*', (req, res) => {
@@ -121,13 +134,44 @@ app.get('*', (req, res) => {
             error: 'ENDPOINT_NOT_FOUND',
             availableEndpoints: [
                 'GET /api/auth/health',
+                'GET /api/auth/config',
                 'POST /api/auth/register',
                 'POST /api/auth/login',
+                'POST /api/auth/login/otp/request',
+                'POST /api/auth/login/otp/confirm',
+                'POST /api/auth/login/mfa',
+                'POST /api/auth/password/forgot',
+                'POST /api/auth/password/reset',
                 'POST /api/auth/verify-phone/request',
+                'GET /api/auth/verify-phone/request/:id',
                 'POST /api/auth/verify-phone/confirm',
+                'GET /api/auth/verify-phone/link/:token',
+                'POST /api/auth/verify-phone/link/:token',
+                'POST /api/auth/verify-phone/link/claim',
                 'GET /api/auth/profile',
                 'POST /api/auth/refresh-token',
-                'GET /api/auth/dashboard'
+                'POST /api/auth/logout',
+                'POST /api/auth/logout-all',
+                'POST /api/auth/phone/change/request',
+                'POST /api/auth/phone/change/confirm',
+                'POST /api/auth/mfa/totp/enroll',
+                'POST /api/auth/mfa/totp/confirm',
+                'POST /api/auth/mfa/totp/re-enroll',
+                'POST /api/auth/mfa/totp/disable',
+                'POST /api/auth/mfa/recovery-codes',
+                'GET /api/auth/mfa/recovery-codes',
+                'GET /api/auth/sessions',
+                'DELETE /api/auth/sessions/:id',
+                'GET /api/auth/dashboard',
+                'GET /api/admin/fraud/report',
+                'GET /api/admin/client-apps',
+                'POST /api/admin/client-apps',
+                'PUT /api/admin/client-apps/:appId',
+                'POST /api/admin/client-apps/:appId/api-key',
+                'POST /api/webhooks/delivery-status/:provider',
+                'POST /api/v1/verifications',
+                'GET /api/v1/verifications/:id',
+                'POST /api/v1/verifications/:id/check'
             ]
         });
     }
@@ -186,6 +230,11 @@ const gracefulShutdown = (signal) => {
 // Connect to database and start server
 const startServer = async () => {
     try {
+        // Fail fast on a broken OTP policy or templates that would split into extra SMS segments
+        getOtpPolicy();
+        getMessageTemplates();
+        getDefaultAutofill();
+
         // Connect to MongoDB
         await connectDatabase();
         
@@ -0,0 +1,35 @@
+const AuditEvent = require('../models/AuditEvent');
+const { getClientContext } = require('../utils/userAgent');
+
+/**
+ * Record an audit event for a user
+ * Auditing must never break the action being audited, so failures are
+ * logged instead of thrown.
+ * @param {string} type - Event type (see AuditEvent.AUDIT_EVENT_TYPES)
+ * @param {Object} params - Event parameters
+ * @param {string} params.userId - User the event belongs to
+ * @param {Object} [params.details] - Event specific details
+ * @param {Object} [params.req] - Request the change was made with, for client details
+ * @returns {Promise<Object|null>} - Saved event or null when recording failed
+ */
+const recordAuditEvent = async (type, { userId, details = {}, req } = {}) => {
+    try {
+        const context = req ? getClientContext(req) : {};
+
+        return await AuditEvent.create({
+            type,
+            userId,
+            details,
+            sessionId: req && req.tokenData ? req.tokenData.sid : undefined,
+            ip: context.ip,
+            userAgent: context.userAgent
+        });
+    } catch (error) {
+        console.error(` Failed to record audit event ${type}:`, error.message);
+        return null;
+    }
+};
+
+module.exports = {
+    recordAuditEvent
+};
@@ -0,0 +1,69 @@
+const { createPowVerifier } = require('./powVerifier');
+const {
+    createHcaptchaVerifier,
+    createRecaptchaVerifier,
+    createTurnstileVerifier
+} = require('./siteVerifyVerifier');
+
+/**
+ * Available verifier factories keyed by the name used in CHALLENGE_PROVIDER
+ */
+const VERIFIER_FACTORIES = {
+    pow: createPowVerifier,
+    hcaptcha: createHcaptchaVerifier,
+    recaptcha: createRecaptchaVerifier,
+    turnstile: createTurnstileVerifier
+};
+
+let verifier = null;
+
+/**
+ * Get the configured challenge verifier, creating it on first use
+ * Defaults to the self-hosted proof-of-work challenge.
+ * @returns {Object} - { name, issue, verify }
+ */
+const getChallengeVerifier = () => {
+    if (!verifier) {
+        const name = (process.env.CHALLENGE_PROVIDER || 'pow').toLowerCase();
+        const factory = VERIFIER_FACTORIES[name];
+        if (!factory) {
+            throw new Error(`Unknown CHALLENGE_PROVIDER "${name}"`);
+        }
+        verifier = factory();
+    }
+    return verifier;
+};
+
+/**
+ * Replace the challenge verifier (e.g. with a stub in tests)
+ * @param {Object} newVerifier - Verifier implementing { name, issue, verify }
+ */
+const setChallengeVerifier = (newVerifier) => {
+    verifier = newVerifier;
+};
+
+/**
+ * Issue a challenge for the client to solve
+ * @param {Object} [params] - Request details
+ * @param {string} [params.ip] - Client IP
+ * @returns {Promise<Object>} - Provider specific challenge, always with "provider"
+ */
+const issueChallenge = (params = {}) => getChallengeVerifier().issue(params);
+
+/**
+ * Verify a challenge solution attached to a request
+ * @param {Object} params - Solution
+ * @param {string} [params.token] - Challenge token (proof-of-work)
+ * @param {string} params.solution - Widget response token or proof-of-work nonce
+ * @param {string} [params.ip] - Client IP
+ * @returns {Promise<Object>} - { success } or { success: false, error, message }
+ */
+const verifyChallenge = (params) => getChallengeVerifier().verify(params);
+
+module.exports = {
+    VERIFIER_FACTORIES,
+    getChallengeVerifier,
+    setChallengeVerifier,
+    issueChallenge,
+    verifyChallenge
+};
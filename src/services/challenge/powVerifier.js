@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getRevocationStore } = require('../revocation');
+
+// Audience of proof-of-work challenge tokens; they are never accepted anywhere else
+const POW_AUDIENCE = 'pow-challenge';
+
+/**
+ * Get the key proof-of-work challenges are signed with
+ * Derived from JWT_SECRET so a challenge token can never pass as an access token.
+ * @returns {string}
+ */
+const getPowSecret = () => {
+    return crypto.createHmac('sha256', process.env.JWT_SECRET).update(POW_AUDIENCE).digest('hex');
+};
+
+/**
+ * Count the leading zero bits of a hash
+ * @param {Buffer} hash - Digest bytes
+ * @returns {number}
+ */
+const countLeadingZeroBits = (hash) => {
+    let bits = 0;
+    for (const byte of hash) {
+        if (byte === 0) {
+            bits += 8;
+            continue;
+        }
+        bits += Math.clz32(byte) - 24;
+        break;
+    }
+    return bits;
+};
+
+/**
+ * Create the built-in proof-of-work verifier
+ * The client has to find a nonce so that SHA-256("<token>:<nonce>") starts with
+ * `difficulty` zero bits. Costs a browser a second or two, costs a script
+ * sending thousands of requests real CPU, and needs no third party.
+ * @returns {Object} - Verifier implementing { name, issue, verify }
+ */
+const createPowVerifier = () => {
+    const getDifficulty = () => parseInt(process.env.CHALLENGE_POW_DIFFICULTY || '16');
+    const getExpiry = () => process.env.CHALLENGE_EXPIRY || '5m';
+
+    /**
+     * Issue a signed challenge
+     * @returns {Promise<Object>} - { provider, token, difficulty, algorithm, expiresIn }
+     */
+    const issue = async () => {
+        const difficulty = getDifficulty();
+
+        const token = jwt.sign(
+            { difficulty },
+            getPowSecret(),
+            {
+                expiresIn: getExpiry(),
+                issuer: 'phone-verification-api',
+                audience: POW_AUDIENCE,
+                jwtid: crypto.randomUUID()
+            }
+        );
+
+        return {
+            provider: 'pow',
+            token,
+            difficulty,
+            algorithm: 'SHA-256',
+            expiresIn: getExpiry()
+        };
+    };
+
+    /**
+     * Verify a solved challenge; every challenge can only be used once
+     * @param {Object} params - Solution
+     * @param {string} params.token - Challenge token from issue()
+     * @param {string} params.solution - Nonce found by the client
+     * @returns {Promise<Object>} - { success } or { success: false, error, message }
+     */
+    const verify = async ({ token, solution }) => {
+        const invalid = { success: false, error: 'INVALID_CHALLENGE_SOLUTION', message: 'Challenge solution is invalid or expired' };
+
+        if (!token || !solution || !/^\d{1,20}$/.test(solution)) {
+            return invalid;
+        }
+
+        let decoded;
+        try {
+            decoded = jwt.verify(token, getPowSecret(), { audience: POW_AUDIENCE });
+        } catch (error) {
+            return invalid;
+        }
+
+        const hash = crypto.createHash('sha256').update(`${token}:${solution}`).digest();
+        if (countLeadingZeroBits(hash) < decoded.difficulty) {
+            return invalid;
+        }
+
+        // Each challenge is spent once; a duplicate means it was already used
+        const firstUse = await getRevocationStore().consumeToken(decoded.jti, new Date(decoded.exp * 1000));
+        if (!firstUse) {
+            return invalid;
+        }
+
+        return { success: true };
+    };
+
+    return {
+        name: 'pow',
+        issue,
+        verify
+    };
+};
+
+module.exports = {
+    createPowVerifier,
+    countLeadingZeroBits
+};
@@ -0,0 +1,102 @@
+const fetch = require('node-fetch');
+
+/**
+ * Origins each hosted CAPTCHA loads scripts and frames from (for the CSP)
+ */
+const CHALLENGE_CSP_SOURCES = {
+    hcaptcha: ['https://hcaptcha.com', 'https://*.hcaptcha.com'],
+    recaptcha: ['https://www.google.com', 'https://www.gstatic.com', 'https://recaptcha.google.com'],
+    turnstile: ['https://challenges.cloudflare.com']
+};
+
+/**
+ * Create a verifier for a hosted CAPTCHA with a "siteverify" endpoint
+ * hCaptcha, reCAPTCHA and Turnstile share the same protocol: the widget gives
+ * the client a response token, and the server posts it with its secret key.
+ * Uses CHALLENGE_SITE_KEY and CHALLENGE_SECRET_KEY.
+ * @param {Object} options - Provider details
+ * @param {string} options.name - Provider name sent to the client
+ * @param {string} options.verifyUrl - siteverify endpoint
+ * @returns {Object} - Verifier implementing { name, issue, verify }
+ */
+const createSiteVerifyVerifier = ({ name, verifyUrl }) => {
+    if (!process.env.CHALLENGE_SITE_KEY || !process.env.CHALLENGE_SECRET_KEY) {
+        throw new Error(`CHALLENGE_SITE_KEY and CHALLENGE_SECRET_KEY must be set to use the ${name} challenge`);
+    }
+
+    /**
+     * Describe the widget the client has to render
+     * @returns {Promise<Object>} - { provider, siteKey }
+     */
+    const issue = async () => ({
+        provider: name,
+        siteKey: process.env.CHALLENGE_SITE_KEY
+    });
+
+    /**
+     * Check a widget response token with the provider
+     * @param {Object} params - Solution
+     * @param {string} params.solution - Response token from the widget
+     * @param {string} [params.ip] - Client IP, passed on to the provider
+     * @returns {Promise<Object>} - { success } or { success: false, error, message }
+     */
+    const verify = async ({ solution, ip }) => {
+        if (!solution) {
+            return { success: false, error: 'INVALID_CHALLENGE_SOLUTION', message: 'Challenge solution is required' };
+        }
+
+        const form = new URLSearchParams({
+            secret: process.env.CHALLENGE_SECRET_KEY,
+            response: solution
+        });
+        if (ip) form.set('remoteip', ip);
+
+        let data;
+        try {
+            const response = await fetch(verifyUrl, {
+                method: 'POST',
+                body: form,
+                timeout: parseInt(process.env.CHALLENGE_VERIFY_TIMEOUT_MS || '5000')
+            });
+            data = await response.json();
+        } catch (error) {
+            console.error(` ${name} verification failed:`, error.message);
+            return { success: false, error: 'CHALLENGE_UNAVAILABLE', message: 'Challenge could not be verified. Please try again.' };
+        }
+
+        if (!data.success) {
+            return { success: false, error: 'INVALID_CHALLENGE_SOLUTION', message: 'Challenge solution is invalid or expired' };
+        }
+
+        return { success: true };
+    };
+
+    return {
+        name,
+        issue,
+        verify
+    };
+};
+
+const createHcaptchaVerifier = () => createSiteVerifyVerifier({
+    name: 'hcaptcha',
+    verifyUrl: 'https://api.hcaptcha.com/siteverify'
+});
+
+const createRecaptchaVerifier = () => createSiteVerifyVerifier({
+    name: 'recaptcha',
+    verifyUrl: 'https://www.google.com/recaptcha/api/siteverify'
+});
+
+const createTurnstileVerifier = () => createSiteVerifyVerifier({
+    name: 'turnstile',
+    verifyUrl: 'https://challenges.cloudflare.com/turnstile/v0/siteverify'
+});
+
+module.exports = {
+    CHALLENGE_CSP_SOURCES,
+    createSiteVerifyVerifier,
+    createHcaptchaVerifier,
+    createRecaptchaVerifier,
+    createTurnstileVerifier
+};
@@ -0,0 +1,89 @@
+const Verification = require('../models/Verification');
+const { getAvailableChannels } = require('./smsService');
+const { resolveDestination } = require('./destinationPolicy');
+const { getTenantId } = require('./tenantService');
+const { getStatusesAtOrAfter } = require('../utils/deliveryStatus');
+
+/**
+ * Store a delivery status reported by a provider callback
+ * Every report is kept in the send's event history; the send's current status
+ * only moves forward, so late or duplicate callbacks cannot undo "delivered".
+ * @param {Object} params - Parsed callback
+ * @param {string} params.provider - Provider name
+ * @param {string} params.messageId - Provider message or call id
+ * @param {string} params.status - Normalized status
+ * @param {string} [params.providerStatus] - Raw provider status
+ * @param {string} [params.errorCode] - Provider error code
+ * @returns {Promise<Object>} - { success, updated } or { success: false, error, message }
+ */
+const recordDeliveryStatus = async ({ provider, messageId, status, providerStatus, errorCode }) => {
+    const now = new Date();
+    const matchSend = { provider, messageId };
+
+    const logged = await Verification.updateOne(
+        { sends: { $elemMatch: matchSend } },
+        { $push: { 'sends.$.events': { status, providerStatus, errorCode, at: now } } }
+    );
+
+    if (!logged.matchedCount) {
+        return { success: false, error: 'MESSAGE_NOT_FOUND', message: `No send found for ${provider} message ${messageId}` };
+    }
+
+    const update = { 'sends.$.status': status, 'sends.$.statusUpdatedAt': now };
+    if (errorCode) update['sends.$.errorCode'] = errorCode;
+
+    const result = await Verification.updateOne(
+        { sends: { $elemMatch: { ...matchSend, status: { $nin: getStatusesAtOrAfter(status) } } } },
+        { $set: update }
+    );
+
+    return { success: true, updated: result.modifiedCount > 0 };
+};
+
+/**
+ * Describe the delivery of the latest code of a phone verification (for polling)
+ * @param {string} verificationId - Verification id
+ * @param {Object} [options] - Lookup options
+ * @param {Object} [options.tenant] - Only find a verification started for this tenant (req.tenant)
+ * @returns {Promise<Object>} - { success, data } or { success: false, error, message }
+ */
+const getVerificationDelivery = async (verificationId, { tenant } = {}) => {
+    // Only plain phone verifications; account flows must not reveal which numbers have accounts
+    const verification = await Verification.findOne({
+        _id: verificationId,
+        purpose: 'phone_verification',
+        clientAppId: getTenantId(tenant)
+    });
+
+    if (!verification) {
+        return { success: false, error: 'VERIFICATION_NOT_FOUND', message: 'Verification not found' };
+    }
+
+    const lastSend = verification.sends[verification.sends.length - 1];
+    const destination = resolveDestination(verification.phoneNumber, { tenant });
+    const allowedChannels = destination.allowed ? destination.policy.channels : [];
+
+    return {
+        success: true,
+        data: {
+            verificationId: verification._id,
+            status: verification.status,
+            method: verification.method,
+            channel: verification.channel,
+            delivery: lastSend ? {
+                status: lastSend.status,
+                errorCode: lastSend.errorCode,
+                channel: lastSend.channel,
+                sentAt: lastSend.sentAt,
+                updatedAt: lastSend.statusUpdatedAt || lastSend.sentAt
+            } : null,
+            alternativeChannels: getAvailableChannels()
+                .filter(c => c !== verification.channel && allowedChannels.includes(c))
+        }
+    };
+};
+
+module.exports = {
+    recordDeliveryStatus,
+    getVerificationDelivery
+};
@@ -0,0 +1,74 @@
+const { getGeoPermissions } = require('../config/geoPermissions');
+const { resolveOtpPolicy } = require('../config/otpPolicy');
+const { CHANNELS } = require('./smsService');
+const { parsePhoneNumber } = require('../utils/phoneNumber');
+
+/**
+ * Get the OTP policy used when a country has no overrides
+ * A client app's OTP settings replace the configured ones.
+ * @param {Object} [tenant] - Client app the code is sent for (see models/ClientApp)
+ * @returns {Object} - { codeLength, codeFormat, codeExpiryMs, channels, dailySendCap }
+ */
+const getDefaultPolicy = (tenant) => {
+    const otp = (tenant && tenant.otp) || {};
+    const { codeLength, format } = resolveOtpPolicy(otp);
+
+    return {
+        codeLength,
+        codeFormat: format,
+        codeExpiryMs: otp.codeExpiryMs || parseInt(process.env.VERIFICATION_CODE_EXPIRY || '120000'), // 2 minutes
+        channels: [...CHANNELS],
+        dailySendCap: null // no cap beyond the send window limit
+    };
+};
+
+/**
+ * Check whether a number starts with any of the given prefixes
+ * @param {string} digits - E.164 number without the +
+ * @param {string[]} prefixes - Calling codes or number prefixes
+ * @returns {boolean}
+ */
+const matchesPrefix = (digits, prefixes) => prefixes.some(prefix => digits.startsWith(prefix));
+
+/**
+ * Decide whether codes may be sent to a number and with which policy
+ * Denied prefixes always win; when an allow list is configured the number
+ * has to match it as well. Country overrides win over a client app's settings.
+ * @param {string} phoneNumber - Destination phone number
+ * @param {Object} [options] - Resolve options
+ * @param {Object} [options.tenant] - Client app the code is sent for
+ * @returns {Object} - { allowed, countryCode, region, policy } or { allowed: false, error, message }
+ */
+const resolveDestination = (phoneNumber, { tenant } = {}) => {
+    const parsed = parsePhoneNumber(phoneNumber);
+    if (!parsed.isValid) {
+        return { allowed: false, error: parsed.error, message: parsed.message };
+    }
+
+    const { allow, deny, countries } = getGeoPermissions();
+    const digits = parsed.phoneNumber.slice(1);
+
+    if (matchesPrefix(digits, deny) || (allow.length && !matchesPrefix(digits, allow))) {
+        return {
+            allowed: false,
+            error: 'DESTINATION_NOT_ALLOWED',
+            message: 'Verification codes cannot be sent to this destination',
+            countryCode: parsed.countryCode
+        };
+    }
+
+    const policy = { ...getDefaultPolicy(tenant), ...(countries[parsed.countryCode] || {}) };
+    policy.channels = policy.channels.filter(channel => CHANNELS.includes(channel));
+
+    return {
+        allowed: true,
+        countryCode: parsed.countryCode,
+        region: parsed.region,
+        policy
+    };
+};
+
+module.exports = {
+    getDefaultPolicy,
+    resolveDestination
+};
@@ -0,0 +1,342 @@
+const Verification = require('../models/Verification');
+const FraudEvent = require('../models/FraudEvent');
+
+// Recent verifications may still be completed, so conversion rates skip them
+const CONVERSION_GRACE_MS = 15 * 60 * 1000;
+const CONVERSION_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read fraud scoring configuration
+ * @returns {Object} - Fraud policy
+ */
+const getFraudPolicy = () => ({
+    enabled: process.env.FRAUD_SCORING_ENABLED !== 'false',
+    challengeScore: parseInt(process.env.FRAUD_CHALLENGE_SCORE || '50'),
+    blockScore: parseInt(process.env.FRAUD_BLOCK_SCORE || '80'),
+    // Known-bad ranges, e.g. "+88213,+2327" (premium rate and satellite ranges)
+    blockedRanges: (process.env.FRAUD_BLOCKED_RANGES || '')
+        .split(',')
+        .map(range => range.replace(/\D/g, ''))
+        .filter(Boolean),
+    prefixLength: parseInt(process.env.FRAUD_PREFIX_LENGTH || '8'),
+    velocityWindowMs: parseInt(process.env.FRAUD_VELOCITY_WINDOW_MS || '3600000'), // 1 hour
+    prefixVelocityLimit: parseInt(process.env.FRAUD_PREFIX_VELOCITY_LIMIT || '10'),
+    sequentialDistance: parseInt(process.env.FRAUD_SEQUENTIAL_DISTANCE || '20'),
+    sequentialLimit: parseInt(process.env.FRAUD_SEQUENTIAL_LIMIT || '3'),
+    minConversionSample: parseInt(process.env.FRAUD_MIN_CONVERSION_SAMPLE || '20'),
+    minConversionRate: parseFloat(process.env.FRAUD_MIN_CONVERSION_RATE || '0.2')
+});
+
+// Points each signal adds to the score
+const SIGNAL_POINTS = {
+    known_bad_range: 100,
+    prefix_velocity: 40,
+    sequential_numbers: 40,
+    low_country_conversion: 20,
+    low_ip_conversion: 30
+};
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - Raw string
+ * @returns {string}
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Count recently targeted numbers close to this one
+ * Pumping scripts walk through a range (+4479460001, +4479460002, ...), so many
+ * near neighbours of the number in a short time is a strong signal.
+ * @param {string} phoneNumber - Target number (E.164)
+ * @param {Array<string>} recentNumbers - Other numbers in the same prefix
+ * @param {number} distance - How far apart numbers may be to count as sequential
+ * @returns {number}
+ */
+const countSequentialNeighbours = (phoneNumber, recentNumbers, distance) => {
+    const target = BigInt(phoneNumber.slice(1));
+    const maxDistance = BigInt(distance);
+
+    return recentNumbers.filter((number) => {
+        if (number === phoneNumber || number.length !== phoneNumber.length) return false;
+        const diff = BigInt(number.slice(1)) - target;
+        return (diff < 0n ? -diff : diff) <= maxDistance;
+    }).length;
+};
+
+/**
+ * Check whether a conversion summary is suspiciously low
+ * @param {Object} summary - { total, approved }
+ * @param {Object} policy - Fraud policy
+ * @returns {boolean}
+ */
+const isLowConversion = ({ total, approved }, policy) =>
+    total >= policy.minConversionSample && approved / total < policy.minConversionRate;
+
+/**
+ * Score a request to send a code
+ * Signals: known-bad ranges, request velocity per number prefix, how sequential
+ * the recently targeted numbers are, and verification conversion per country and per IP.
+ * @param {Object} params - Request details
+ * @param {string} params.phoneNumber - Destination (E.164)
+ * @param {string} [params.countryCode] - Calling code of the destination
+ * @param {string} [params.ip] - Client IP
+ * @returns {Promise<Object>} - { action, score, prefix, signals }
+ */
+const scoreSendRequest = async ({ phoneNumber, countryCode, ip }) => {
+    const policy = getFraudPolicy();
+    const digits = phoneNumber.slice(1);
+    const prefix = `+${digits.slice(0, policy.prefixLength)}`;
+    const signals = [];
+
+    const badRange = policy.blockedRanges.find(range => digits.startsWith(range));
+    if (badRange) {
+        signals.push({ name: 'known_bad_range', points: SIGNAL_POINTS.known_bad_range, value: `+${badRange}` });
+    }
+
+    const now = Date.now();
+    const conversionSince = new Date(now - CONVERSION_WINDOW_MS);
+    const conversionUntil = new Date(now - CONVERSION_GRACE_MS);
+
+    const [recentNumbers, countryConversion, ipConversion] = await Promise.all([
+        Verification.distinct('phoneNumber', {
+            phoneNumber: { $regex: `^${escapeRegExp(prefix)}` },
+            createdAt: { $gte: new Date(now - policy.velocityWindowMs) }
+        }),
+        countryCode
+            ? Verification.countConversions({ countryCode }, conversionSince, conversionUntil)
+            : null,
+        ip
+            ? Verification.countConversions({ requestIp: ip }, conversionSince, conversionUntil)
+            : null
+    ]);
+
+    const otherNumbers = recentNumbers.filter(number => number !== phoneNumber);
+    if (otherNumbers.length >= policy.prefixVelocityLimit) {
+        signals.push({ name: 'prefix_velocity', points: SIGNAL_POINTS.prefix_velocity, value: otherNumbers.length });
+    }
+
+    const neighbours = countSequentialNeighbours(phoneNumber, otherNumbers, policy.sequentialDistance);
+    if (neighbours >= policy.sequentialLimit) {
+        signals.push({ name: 'sequential_numbers', points: SIGNAL_POINTS.sequential_numbers, value: neighbours });
+    }
+
+    if (countryConversion && isLowConversion(countryConversion, policy)) {
+        signals.push({ name: 'low_country_conversion', points: SIGNAL_POINTS.low_country_conversion, value: countryConversion });
+    }
+
+    if (ipConversion && isLowConversion(ipConversion, policy)) {
+        signals.push({ name: 'low_ip_conversion', points: SIGNAL_POINTS.low_ip_conversion, value: ipConversion });
+    }
+
+    const score = Math.min(signals.reduce((total, signal) => total + signal.points, 0), 100);
+
+    let action = 'allow';
+    if (score >= policy.blockScore) {
+        action = 'block';
+    } else if (score >= policy.challengeScore) {
+        action = 'challenge';
+    }
+
+    return { action, score, prefix, signals };
+};
+
+/**
+ * Record a blocked or challenged request for the fraud report
+ * @param {Object} event - FraudEvent fields
+ */
+const recordFraudEvent = async (event) => {
+    try {
+        await FraudEvent.create(event);
+    } catch (error) {
+        console.error(' Failed to record fraud event:', error.message);
+    }
+};
+
+/**
+ * Score a request, treating scoring errors as "allow"
+ * @param {Object} params - { phoneNumber, countryCode, ip }
+ * @returns {Promise<Object>} - { action, score, prefix, signals }
+ */
+const safeScore = async (params) => {
+    try {
+        return await scoreSendRequest(params);
+    } catch (error) {
+        console.error(' Fraud scoring failed:', error.message);
+        return { action: 'allow', score: 0, signals: [] };
+    }
+};
+
+/**
+ * Screen a request to send a code before anything is sent
+ * Challenged requests go through once the client solved a bot challenge;
+ * blocked ones never do. Both are recorded for the fraud report.
+ * Scoring errors never stop a send; they are logged instead.
+ * @param {Object} params - Request details
+ * @param {string} params.phoneNumber - Destination (E.164)
+ * @param {string} [params.countryCode] - Calling code of the destination
+ * @param {string} [params.ip] - Client IP
+ * @param {string} [params.purpose] - What the code is for
+ * @param {string} [params.channel] - Delivery channel
+ * @param {boolean} [params.challengePassed] - Whether the request carried a solved challenge
+ * @returns {Promise<Object>} - { success, action, score } or { success: false, error, message, action, score }
+ */
+const screenSendRequest = async ({ phoneNumber, countryCode, ip, purpose, channel, challengePassed = false }) => {
+    if (!getFraudPolicy().enabled) {
+        return { success: true, action: 'allow', score: 0 };
+    }
+
+    const { action, score, prefix, signals } = await safeScore({ phoneNumber, countryCode, ip });
+    if (action === 'allow') {
+        return { success: true, action, score };
+    }
+
+    await recordFraudEvent({
+        action,
+        phoneNumber,
+        countryCode,
+        prefix,
+        ip,
+        purpose,
+        channel,
+        score,
+        signals,
+        challengePassed: action === 'challenge' && challengePassed
+    });
+
+    if (action === 'challenge' && challengePassed) {
+        return { success: true, action, score };
+    }
+
+    console.warn(` Send to ${phoneNumber} ${action === 'block' ? 'blocked' : 'challenged'} (score ${score}: ${signals.map(s => s.name).join(', ')})`);
+
+    if (action === 'block') {
+        return {
+            success: false,
+            error: 'VERIFICATION_BLOCKED',
+            message: 'Verification codes cannot be sent to this number right now',
+            action,
+            score
+        };
+    }
+
+    return {
+        success: false,
+        error: 'CHALLENGE_REQUIRED',
+        message: 'Additional verification is required before a code can be sent',
+        action,
+        score
+    };
+};
+
+/**
+ * Screen an account registration
+ * Registering sends nothing, so risky registrations are challenged rather than blocked.
+ * @param {Object} params - Request details
+ * @param {string} params.phoneNumber - Number being registered (E.164)
+ * @param {string} [params.countryCode] - Calling code of the number
+ * @param {string} [params.ip] - Client IP
+ * @param {boolean} [params.challengePassed] - Whether the request carried a solved challenge
+ * @returns {Promise<Object>} - { success, action, score } or { success: false, error, message, action, score }
+ */
+const screenRegistration = async ({ phoneNumber, countryCode, ip, challengePassed = false }) => {
+    if (!getFraudPolicy().enabled) {
+        return { success: true, action: 'allow', score: 0 };
+    }
+
+    const { action, score, prefix, signals } = await safeScore({ phoneNumber, countryCode, ip });
+    if (action === 'allow') {
+        return { success: true, action, score };
+    }
+
+    await recordFraudEvent({
+        action: 'challenge',
+        phoneNumber,
+        countryCode,
+        prefix,
+        ip,
+        purpose: 'registration',
+        score,
+        signals,
+        challengePassed
+    });
+
+    if (challengePassed) {
+        return { success: true, action: 'challenge', score };
+    }
+
+    return {
+        success: false,
+        error: 'CHALLENGE_REQUIRED',
+        message: 'Additional verification is required before an account can be created',
+        action: 'challenge',
+        score
+    };
+};
+
+/**
+ * Summarize blocked and challenged send requests
+ * @param {Object} [options] - Report options
+ * @param {Date} [options.since] - Start of the report (default: 24 hours ago)
+ * @param {number} [options.limit=50] - Number of recent events to include
+ * @returns {Promise<Object>} - { since, totals, byCountry, byPrefix, byIp, bySignal, recent }
+ */
+const getFraudReport = async ({ since = new Date(Date.now() - 24 * 60 * 60 * 1000), limit = 50 } = {}) => {
+    const match = { $match: { createdAt: { $gte: since } } };
+    const groupBy = (field) => FraudEvent.aggregate([
+        match,
+        {
+            $group: {
+                _id: field,
+                blocked: { $sum: { $cond: [{ $eq: ['$action', 'block'] }, 1, 0] } },
+                challenged: { $sum: { $cond: [{ $eq: ['$action', 'challenge'] }, 1, 0] } },
+                challengesPassed: { $sum: { $cond: ['$challengePassed', 1, 0] } }
+            }
+        },
+        { $sort: { blocked: -1, challenged: -1 } },
+        { $limit: 20 }
+    ]);
+
+    const [totals, byCountry, byPrefix, byIp, bySignal, recent] = await Promise.all([
+        groupBy('$action'),
+        groupBy('$countryCode'),
+        groupBy('$prefix'),
+        groupBy('$ip'),
+        FraudEvent.aggregate([
+            match,
+            { $unwind: '$signals' },
+            { $group: { _id: '$signals.name', count: { $sum: 1 } } },
+            { $sort: { count: -1 } }
+        ]),
+        FraudEvent.find({ createdAt: { $gte: since } })
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .lean()
+    ]);
+
+    const rename = (key) => (row) => {
+        const { _id, ...rest } = row;
+        return { [key]: _id, ...rest };
+    };
+
+    return {
+        since,
+        totals: {
+            blocked: totals.reduce((sum, row) => sum + row.blocked, 0),
+            challenged: totals.reduce((sum, row) => sum + row.challenged, 0),
+            challengesPassed: totals.reduce((sum, row) => sum + row.challengesPassed, 0)
+        },
+        byCountry: byCountry.map(rename('countryCode')),
+        byPrefix: byPrefix.map(rename('prefix')),
+        byIp: byIp.map(rename('ip')),
+        bySignal: bySignal.map(rename('signal')),
+        recent
+    };
+};
+
+module.exports = {
+    getFraudPolicy,
+    scoreSendRequest,
+    screenSendRequest,
+    screenRegistration,
+    getFraudReport
+};
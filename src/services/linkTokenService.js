@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+
+// Purpose the link signing key is derived for
+const LINK_AUDIENCE = 'verification-link';
+
+// Token layout: 12-byte verification id | 4-byte expiry (unix seconds) | truncated HMAC
+const ID_BYTES = 12;
+const EXPIRY_BYTES = 4;
+const MAC_BYTES = 8;
+
+/**
+ * Get the key verification links are signed with
+ * Derived from JWT_SECRET so a link token can never pass as any other token.
+ * @returns {Buffer}
+ */
+const getLinkKey = () => {
+    return crypto.createHmac('sha256', process.env.JWT_SECRET).update(LINK_AUDIENCE).digest();
+};
+
+/**
+ * Compute the truncated MAC over a token payload
+ * @param {Buffer} payload - Verification id and expiry bytes
+ * @returns {Buffer}
+ */
+const signPayload = (payload) => {
+    return crypto.createHmac('sha256', getLinkKey()).update(payload).digest().subarray(0, MAC_BYTES);
+};
+
+/**
+ * Get the base URL verification links point at
+ * @returns {string|undefined} - Undefined when PUBLIC_BASE_URL is not set
+ */
+const getLinkBaseUrl = () => {
+    if (!process.env.PUBLIC_BASE_URL) return undefined;
+    return `${process.env.PUBLIC_BASE_URL.replace(/\/+$/, '')}/api/auth/verify-phone/link/`;
+};
+
+/**
+ * Issue a link token for a verification's current send
+ * The token is bound to the verification id and its expiry, so a resend
+ * (which moves the expiry) invalidates links sent before it.
+ * @param {Object} verification - Verification document with expiresAt set
+ * @returns {string} - base64url token (32 characters)
+ */
+const issueLinkToken = (verification) => {
+    const expiry = Buffer.alloc(EXPIRY_BYTES);
+    expiry.writeUInt32BE(Math.floor(verification.expiresAt.getTime() / 1000));
+
+    const payload = Buffer.concat([Buffer.from(String(verification._id), 'hex'), expiry]);
+    return Buffer.concat([payload, signPayload(payload)]).toString('base64url');
+};
+
+/**
+ * Build the URL sent in the SMS for a link token
+ * @param {string} token - Link token
+ * @returns {string|undefined} - Undefined when PUBLIC_BASE_URL is not set
+ */
+const getLinkUrl = (token) => {
+    const base = getLinkBaseUrl();
+    return base ? `${base}${token}` : undefined;
+};
+
+/**
+ * Check a link token's signature and expiry
+ * Single use is enforced by the verification itself: it is approved only once.
+ * @param {string} token - Token from the link
+ * @returns {Object} - { valid, verificationId, expiresAt } or { valid: false, error, message }
+ */
+const verifyLinkToken = (token) => {
+    const invalid = { valid: false, error: 'INVALID_VERIFICATION_LINK', message: 'Verification link is invalid' };
+
+    const raw = typeof token === 'string' ? Buffer.from(token, 'base64url') : Buffer.alloc(0);
+    if (raw.length !== ID_BYTES + EXPIRY_BYTES + MAC_BYTES) {
+        return invalid;
+    }
+
+    const payload = raw.subarray(0, ID_BYTES + EXPIRY_BYTES);
+    if (!crypto.timingSafeEqual(signPayload(payload), raw.subarray(ID_BYTES + EXPIRY_BYTES))) {
+        return invalid;
+    }
+
+    const expiresAt = new Date(payload.readUInt32BE(ID_BYTES) * 1000);
+    if (expiresAt < new Date()) {
+        return { valid: false, error: 'VERIFICATION_LINK_EXPIRED', message: 'Verification link has expired' };
+    }
+
+    return {
+        valid: true,
+        verificationId: payload.subarray(0, ID_BYTES).toString('hex'),
+        expiresAt
+    };
+};
+
+module.exports = {
+    getLinkBaseUrl,
+    issueLinkToken,
+    getLinkUrl,
+    verifyLinkToken
+};
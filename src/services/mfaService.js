@@ -0,0 +1,433 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { getRevocationStore } = require('./revocation');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+const { encryptSecret, decryptSecret } = require('../utils/secretBox');
+const { hashCode, compareCode } = require('../utils/codeHash');
+
+// Audience of challenge tokens; they are never accepted as access tokens
+const CHALLENGE_AUDIENCE = 'mfa-challenge';
+
+// Recovery code characters, without look-alikes (0/O, 1/I)
+const RECOVERY_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const RECOVERY_CODE_LENGTH = 10;
+
+/**
+ * Read second factor configuration
+ * @returns {Object} - { issuer, challengeExpiry, maxFailedAttempts, lockoutMs }
+ */
+const getMfaPolicy = () => ({
+    issuer: process.env.TOTP_ISSUER || 'Phone Verification API',
+    challengeExpiry: process.env.MFA_CHALLENGE_EXPIRY || '5m',
+    maxFailedAttempts: parseInt(process.env.MFA_MAX_FAILED_ATTEMPTS || '5'),
+    lockoutMs: parseInt(process.env.MFA_LOCKOUT_MS || '900000'), // 15 minutes
+    recoveryCodeCount: parseInt(process.env.RECOVERY_CODE_COUNT || '10')
+});
+
+/**
+ * Get the key challenge tokens are signed with
+ * Derived from JWT_SECRET so a challenge token can never pass as an access token.
+ * @returns {string}
+ */
+const getChallengeSecret = () => {
+    return process.env.MFA_CHALLENGE_SECRET
+        || crypto.createHmac('sha256', process.env.JWT_SECRET).update(CHALLENGE_AUDIENCE).digest('hex');
+};
+
+/**
+ * Get the second factor methods a user can complete a challenge with
+ * @param {Object} user - User document
+ * @returns {string[]}
+ */
+const getMfaMethods = (user) => {
+    return user.mfa && user.mfa.totpEnabled ? ['totp'] : [];
+};
+
+/**
+ * Check whether a user has to pass a second factor to sign in
+ * @param {Object} user - User document
+ * @returns {boolean}
+ */
+const isMfaRequired = (user) => getMfaMethods(user).length > 0;
+
+/**
+ * Create a short-lived challenge token after the first factor succeeded
+ * @param {Object} user - User document
+ * @returns {Object} - { challengeToken, expiresIn, methods }
+ */
+const createMfaChallenge = (user) => {
+    const { challengeExpiry } = getMfaPolicy();
+
+    const challengeToken = jwt.sign(
+        { userId: user._id },
+        getChallengeSecret(),
+        {
+            expiresIn: challengeExpiry,
+            issuer: 'phone-verification-api',
+            audience: CHALLENGE_AUDIENCE,
+            jwtid: crypto.randomUUID()
+        }
+    );
+
+    return {
+        challengeToken,
+        expiresIn: challengeExpiry,
+        methods: getMfaMethods(user)
+    };
+};
+
+/**
+ * Verify a challenge token presented at the second factor step
+ * @param {string} challengeToken - Token from createMfaChallenge
+ * @returns {Promise<Object>} - { success, decoded } or { success: false, error, message }
+ */
+const verifyMfaChallenge = async (challengeToken) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(challengeToken, getChallengeSecret(), { audience: CHALLENGE_AUDIENCE });
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            return { success: false, error: 'MFA_CHALLENGE_EXPIRED', message: 'Sign-in challenge has expired. Please log in again.' };
+        }
+        return { success: false, error: 'INVALID_MFA_CHALLENGE', message: 'Invalid sign-in challenge' };
+    }
+
+    if (await getRevocationStore().isTokenRevoked(decoded.jti)) {
+        return { success: false, error: 'INVALID_MFA_CHALLENGE', message: 'Sign-in challenge has already been used' };
+    }
+
+    return { success: true, decoded };
+};
+
+/**
+ * Mark a challenge token as used so it cannot complete another sign-in
+ * @param {Object} decoded - Verified challenge payload
+ */
+const consumeMfaChallenge = async (decoded) => {
+    await getRevocationStore().revokeToken(decoded.jti, new Date(decoded.exp * 1000));
+};
+
+/**
+ * Start (or restart) authenticator app enrollment
+ * The new secret only replaces the current one once a code from it is confirmed.
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - { secret, otpauthUri }
+ */
+const startTotpEnrollment = async (user) => {
+    const { issuer } = getMfaPolicy();
+    const secret = generateSecret();
+
+    await User.updateOne(
+        { _id: user._id },
+        { $set: { 'mfa.totpPendingSecret': encryptSecret(secret) } }
+    );
+
+    return {
+        secret,
+        otpauthUri: buildOtpauthUri({ secret, accountName: user.phoneNumber, issuer })
+    };
+};
+
+/**
+ * Finish enrollment with a code from the pending secret
+ * @param {string} userId - User id
+ * @param {string} code - Code from the authenticator app
+ * @returns {Promise<Object>} - { success, user } or { success: false, error, message }
+ */
+const confirmTotpEnrollment = async (userId, code) => {
+    const user = await User.findById(userId).select('+mfa.totpPendingSecret');
+
+    if (!user || !user.mfa || !user.mfa.totpPendingSecret) {
+        return {
+            success: false,
+            error: 'TOTP_ENROLLMENT_NOT_STARTED',
+            message: 'Start authenticator app enrollment first'
+        };
+    }
+
+    const step = verifyTotp(code, decryptSecret(user.mfa.totpPendingSecret));
+    if (step === null) {
+        return { success: false, error: 'INVALID_MFA_CODE', message: 'Invalid authenticator code' };
+    }
+
+    const updated = await User.findOneAndUpdate(
+        { _id: userId, 'mfa.totpPendingSecret': user.mfa.totpPendingSecret },
+        {
+            $set: {
+                'mfa.totpEnabled': true,
+                'mfa.totpSecret': user.mfa.totpPendingSecret,
+                'mfa.totpEnabledAt': new Date(),
+                'mfa.totpLastUsedStep': step,
+                'mfa.failedAttempts': 0
+            },
+            $unset: { 'mfa.totpPendingSecret': 1, 'mfa.lockedUntil': 1 }
+        },
+        { new: true }
+    );
+
+    if (!updated) {
+        return {
+            success: false,
+            error: 'TOTP_ENROLLMENT_NOT_STARTED',
+            message: 'Enrollment was restarted. Please scan the new code.'
+        };
+    }
+
+    return { success: true, user: updated };
+};
+
+/**
+ * Describe an active second factor lockout, if any
+ * @param {Object} user - User document
+ * @returns {Object|null} - Failed verification result or null when not locked
+ */
+const describeMfaLockout = (user) => {
+    if (!user.mfa || !user.mfa.lockedUntil || user.mfa.lockedUntil <= new Date()) {
+        return null;
+    }
+
+    return {
+        success: false,
+        error: 'MFA_LOCKED',
+        message: 'Too many incorrect codes. Please try again later.',
+        attemptsRemaining: 0,
+        lockedUntil: user.mfa.lockedUntil
+    };
+};
+
+/**
+ * Record a wrong second factor code and lock the factor after too many
+ * Authenticator and recovery codes share the counter.
+ * @param {string} userId - User id
+ * @param {Object} [failure] - { error, message } returned while attempts remain
+ * @returns {Promise<Object>} - Failed verification result
+ */
+const recordMfaFailure = async (userId, failure = { error: 'INVALID_MFA_CODE', message: 'Invalid authenticator code' }) => {
+    const { maxFailedAttempts, lockoutMs } = getMfaPolicy();
+
+    const counted = await User.findOneAndUpdate(
+        { _id: userId },
+        { $inc: { 'mfa.failedAttempts': 1 } },
+        { new: true, projection: { 'mfa.failedAttempts': 1 } }
+    );
+    const attemptsRemaining = maxFailedAttempts - counted.mfa.failedAttempts;
+
+    if (attemptsRemaining > 0) {
+        return {
+            success: false,
+            ...failure,
+            attemptsRemaining
+        };
+    }
+
+    const lockedUntil = new Date(Date.now() + lockoutMs);
+    await User.updateOne(
+        { _id: userId },
+        { $set: { 'mfa.lockedUntil': lockedUntil, 'mfa.failedAttempts': 0 } }
+    );
+
+    return {
+        success: false,
+        error: 'MFA_LOCKED',
+        message: `Too many incorrect codes. Please wait ${Math.ceil(lockoutMs / 60000)} minutes before trying again.`,
+        attemptsRemaining: 0,
+        lockedUntil
+    };
+};
+
+/**
+ * Check an authenticator app code for a user with TOTP enabled
+ * Each code is accepted once; wrong codes count towards a lockout.
+ * @param {string} userId - User id
+ * @param {string} code - Code from the authenticator app
+ * @returns {Promise<Object>} - { success } or { success: false, error, message, attemptsRemaining?, lockedUntil? }
+ */
+const verifyTotpCode = async (userId, code) => {
+    const user = await User.findById(userId).select('+mfa.totpSecret');
+
+    if (!user || !user.mfa || !user.mfa.totpEnabled || !user.mfa.totpSecret) {
+        return { success: false, error: 'MFA_NOT_ENABLED', message: 'Authenticator app is not enabled' };
+    }
+
+    const lockout = describeMfaLockout(user);
+    if (lockout) {
+        return lockout;
+    }
+
+    const step = verifyTotp(code, decryptSecret(user.mfa.totpSecret));
+    if (step === null) {
+        return recordMfaFailure(userId);
+    }
+
+    // Accept each time step only once, even under concurrent requests
+    const accepted = await User.findOneAndUpdate(
+        {
+            _id: userId,
+            $or: [
+                { 'mfa.totpLastUsedStep': { $lt: step } },
+                { 'mfa.totpLastUsedStep': { $exists: false } }
+            ]
+        },
+        {
+            $set: { 'mfa.totpLastUsedStep': step, 'mfa.failedAttempts': 0 },
+            $unset: { 'mfa.lockedUntil': 1 }
+        }
+    );
+
+    if (!accepted) {
+        return recordMfaFailure(userId);
+    }
+
+    return { success: true };
+};
+
+/**
+ * Turn the authenticator app second factor off
+ * @param {string} userId - User id
+ */
+const disableTotp = async (userId) => {
+    await User.updateOne(
+        { _id: userId },
+        {
+            $set: { 'mfa.totpEnabled': false, 'mfa.failedAttempts': 0 },
+            $unset: {
+                'mfa.totpSecret': 1,
+                'mfa.totpPendingSecret': 1,
+                'mfa.totpEnabledAt': 1,
+                'mfa.totpLastUsedStep': 1,
+                'mfa.lockedUntil': 1
+            }
+        }
+    );
+};
+
+/**
+ * Normalize a recovery code as typed by a user ("abcd-efgh 12" -> "ABCDEFGH12")
+ * @param {string} code - Code entered by the user
+ * @returns {string}
+ */
+const normalizeRecoveryCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * Generate a new set of recovery codes, replacing any previous set
+ * @param {string} userId - User id
+ * @returns {Promise<string[]>} - Plaintext codes; they are shown once and only hashes are stored
+ */
+const generateRecoveryCodes = async (userId) => {
+    const { recoveryCodeCount } = getMfaPolicy();
+    const codes = [];
+
+    for (let i = 0; i < recoveryCodeCount; i++) {
+        let code = '';
+        for (let j = 0; j < RECOVERY_CODE_LENGTH; j++) {
+            code += RECOVERY_CODE_ALPHABET[crypto.randomInt(RECOVERY_CODE_ALPHABET.length)];
+        }
+        codes.push(`${code.slice(0, 5)}-${code.slice(5)}`);
+    }
+
+    await User.updateOne(
+        { _id: userId },
+        {
+            $set: {
+                'mfa.recoveryCodes': codes.map(code => ({ codeHash: hashCode(normalizeRecoveryCode(code)) })),
+                'mfa.recoveryCodesGeneratedAt': new Date()
+            }
+        }
+    );
+
+    return codes;
+};
+
+/**
+ * Count the recovery codes a user has left
+ * @param {string} userId - User id
+ * @returns {Promise<Object>} - { total, remaining, generatedAt }
+ */
+const getRecoveryCodeStatus = async (userId) => {
+    const user = await User.findById(userId).select('+mfa.recoveryCodes');
+    const recoveryCodes = (user && user.mfa && user.mfa.recoveryCodes) || [];
+
+    return {
+        total: recoveryCodes.length,
+        remaining: recoveryCodes.filter(entry => !entry.usedAt).length,
+        generatedAt: user && user.mfa ? user.mfa.recoveryCodesGeneratedAt : undefined
+    };
+};
+
+/**
+ * Use up a recovery code in place of a one-time or authenticator code
+ * Wrong codes count towards the same lockout as authenticator codes, unless
+ * the caller has not proven anything about the account yet: then the lockout
+ * is neither applied nor reported (the caller limits guessing per IP instead),
+ * so anonymous guesses can neither lock the account nor reveal that it exists.
+ * @param {string} userId - User id
+ * @param {string} code - Recovery code entered by the user
+ * @param {Object} [options] - Redeem options
+ * @param {boolean} [options.countFailures=true] - Whether wrong codes count towards the second factor lockout
+ * @param {boolean} [options.consume=true] - Mark the code as used; when false a valid code is only reported
+ * @returns {Promise<Object>} - { success, remaining } or { success: false, error, message, attemptsRemaining?, lockedUntil? }
+ */
+const redeemRecoveryCode = async (userId, code, { countFailures = true, consume = true } = {}) => {
+    const failure = { error: 'INVALID_RECOVERY_CODE', message: 'Invalid recovery code' };
+    const user = await User.findById(userId).select('+mfa.recoveryCodes');
+
+    if (!user) {
+        return { success: false, ...failure };
+    }
+
+    const lockout = countFailures && describeMfaLockout(user);
+    if (lockout) {
+        return lockout;
+    }
+
+    const fail = () => (countFailures ? recordMfaFailure(userId, failure) : { success: false, ...failure });
+
+    const candidate = normalizeRecoveryCode(code);
+    const recoveryCodes = (user.mfa && user.mfa.recoveryCodes) || [];
+    const match = recoveryCodes.find(entry => !entry.usedAt && compareCode(candidate, entry.codeHash));
+
+    if (!match) {
+        return fail();
+    }
+
+    if (!consume) {
+        return { success: true, remaining: recoveryCodes.filter(entry => !entry.usedAt).length };
+    }
+
+    // Mark as used atomically so a code only ever works once
+    const result = await User.updateOne(
+        {
+            _id: userId,
+            'mfa.recoveryCodes': { $elemMatch: { _id: match._id, usedAt: { $exists: false } } }
+        },
+        {
+            $set: { 'mfa.recoveryCodes.$.usedAt': new Date(), 'mfa.failedAttempts': 0 },
+            $unset: { 'mfa.lockedUntil': 1 }
+        }
+    );
+
+    if (result.modifiedCount === 0) {
+        return fail();
+    }
+
+    return {
+        success: true,
+        remaining: recoveryCodes.filter(entry => !entry.usedAt).length - 1
+    };
+};
+
+module.exports = {
+    getMfaMethods,
+    isMfaRequired,
+    createMfaChallenge,
+    verifyMfaChallenge,
+    consumeMfaChallenge,
+    startTotpEnrollment,
+    confirmTotpEnrollment,
+    verifyTotpCode,
+    disableTotp,
+    generateRecoveryCodes,
+    getRecoveryCodeStatus,
+    redeemRecoveryCode
+};
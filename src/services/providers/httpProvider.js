@@ -0,0 +1,98 @@
+const fetch = require('node-fetch');
+const { createProviderError, isNetworkError, isTransientHttpStatus } = require('./providerError');
+
+/**
+ * Create a generic HTTP gateway SMS and voice provider
+ * POSTs { to, from, body } as JSON to SMS_HTTP_URL and expects a JSON
+ * response with an optional { id, status }. Any 2xx response is a success.
+ * Voice calls POST { to, from, message, language } to SMS_HTTP_VOICE_URL.
+ * @returns {Object} - Provider implementing { name, channels, isConfigured, sendSms, makeCall }
+ */
+const createHttpProvider = () => {
+    const isConfigured = () => !!process.env.SMS_HTTP_URL;
+
+    const buildHeaders = () => {
+        const headers = { 'Content-Type': 'application/json' };
+        if (process.env.SMS_HTTP_AUTH_HEADER) {
+            headers.Authorization = process.env.SMS_HTTP_AUTH_HEADER;
+        }
+        return headers;
+    };
+
+    /**
+     * POST a JSON payload to the gateway and normalize the outcome
+     * @param {string} url - Gateway endpoint
+     * @param {Object} payload - JSON body
+     * @returns {Promise<Object>} - { messageId, status }
+     */
+    const postToGateway = async (url, payload) => {
+        let response;
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers: buildHeaders(),
+                body: JSON.stringify(payload),
+                timeout: parseInt(process.env.SMS_PROVIDER_TIMEOUT_MS || '10000')
+            });
+        } catch (error) {
+            throw createProviderError(error.message, {
+                code: 'SMS_PROVIDER_UNAVAILABLE',
+                transient: isNetworkError(error)
+            });
+        }
+
+        if (!response.ok) {
+            throw createProviderError(`SMS gateway responded with HTTP ${response.status}`, {
+                code: response.status === 400 ? 'INVALID_PHONE_NUMBER' : 'SMS_SEND_FAILED',
+                transient: isTransientHttpStatus(response.status),
+                providerCode: response.status
+            });
+        }
+
+        const data = await response.json().catch(() => ({}));
+
+        return {
+            messageId: data.id || data.messageId || null,
+            status: data.status || 'sent'
+        };
+    };
+
+    /**
+     * Send an SMS message through the HTTP gateway
+     * @param {Object} message - Message to send
+     * @param {string} message.to - Recipient in E.164 format
+     * @param {string} message.body - Message text
+     * @param {string} [message.from] - Sender of a client app, instead of the configured one
+     * @returns {Promise<Object>} - { messageId, status }
+     */
+    const sendSms = ({ to, body, from }) => postToGateway(process.env.SMS_HTTP_URL, {
+        to,
+        from: from || process.env.SMS_HTTP_FROM,
+        body
+    });
+
+    /**
+     * Place a text-to-speech call through the HTTP gateway
+     * @param {Object} call - Call to place
+     * @param {string} call.to - Recipient in E.164 format
+     * @param {string} call.message - Text to read out
+     * @param {string} [call.language] - TTS language (e.g. en-US)
+     * @returns {Promise<Object>} - { messageId, status }
+     */
+    const makeCall = ({ to, message, language }) => postToGateway(process.env.SMS_HTTP_VOICE_URL, {
+        to,
+        from: process.env.SMS_HTTP_FROM,
+        message,
+        language: language || 'en-US'
+    });
+
+    return {
+        name: 'http',
+        channels: process.env.SMS_HTTP_VOICE_URL ? ['sms', 'voice'] : ['sms'],
+        isConfigured,
+        sendSms,
+        makeCall
+    };
+};
+
+module.exports = { createHttpProvider };
@@ -0,0 +1,62 @@
+const { createTwilioProvider } = require('./twilioProvider');
+const { createVonageProvider } = require('./vonageProvider');
+const { createSnsProvider } = require('./snsProvider');
+const { createHttpProvider } = require('./httpProvider');
+const { createOutboxProvider } = require('./outboxProvider');
+
+/**
+ * Available provider factories keyed by the name used in SMS_PROVIDERS
+ */
+const PROVIDER_FACTORIES = {
+    twilio: createTwilioProvider,
+    vonage: createVonageProvider,
+    sns: createSnsProvider,
+    http: createHttpProvider,
+    outbox: createOutboxProvider
+};
+
+/**
+ * Read the provider priority list from configuration
+ * SMS_PROVIDERS is a comma separated list, highest priority first.
+ * Defaults to Twilio only to keep existing deployments working.
+ * @returns {string[]} - Provider names in priority order
+ */
+const getConfiguredProviderNames = () => {
+    return (process.env.SMS_PROVIDERS || 'twilio')
+        .split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean);
+};
+
+/**
+ * Build provider instances in priority order
+ * Unknown names and providers missing credentials are skipped with a warning.
+ * @returns {Object[]} - Provider instances ready to send
+ */
+const createProviders = () => {
+    const providers = [];
+
+    getConfiguredProviderNames().forEach(name => {
+        const factory = PROVIDER_FACTORIES[name];
+        if (!factory) {
+            console.warn(` Unknown SMS provider "${name}" in SMS_PROVIDERS - skipping`);
+            return;
+        }
+
+        const provider = factory();
+        if (!provider.isConfigured()) {
+            console.warn(` SMS provider "${name}" is not configured - skipping`);
+            return;
+        }
+
+        providers.push(provider);
+    });
+
+    return providers;
+};
+
+module.exports = {
+    PROVIDER_FACTORIES,
+    getConfiguredProviderNames,
+    createProviders
+};
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createProviderError } = require('./providerError');
+
+const DEFAULT_OUTBOX_PATH = 'logs/sms-outbox.jsonl';
+
+/**
+ * Create the local file outbox provider
+ * Appends every message and call as a JSON line to SMS_OUTBOX_PATH. Useful for
+ * local development and end-to-end tests where nothing real should go out.
+ * @returns {Object} - Provider implementing { name, channels, isConfigured, sendSms, makeCall }
+ */
+const createOutboxProvider = () => {
+    const getOutboxPath = () => path.resolve(process.env.SMS_OUTBOX_PATH || DEFAULT_OUTBOX_PATH);
+
+    // The outbox is always available, but only used when listed in SMS_PROVIDERS
+    const isConfigured = () => true;
+
+    /**
+     * Append an entry to the outbox file
+     * @param {Object} entry - Entry to record
+     * @returns {Promise<Object>} - { messageId, status }
+     */
+    const writeEntry = async (entry) => {
+        const messageId = `outbox_${crypto.randomBytes(8).toString('hex')}`;
+        const outboxPath = getOutboxPath();
+
+        try {
+            await fs.promises.mkdir(path.dirname(outboxPath), { recursive: true });
+            await fs.promises.appendFile(outboxPath, JSON.stringify({
+                id: messageId,
+                ...entry,
+                createdAt: new Date().toISOString()
+            }) + '\n');
+        } catch (error) {
+            throw createProviderError(`Failed to write SMS outbox: ${error.message}`, {
+                code: 'SMS_SEND_FAILED',
+                transient: true,
+                providerCode: error.code
+            });
+        }
+
+        return { messageId, status: 'delivered' };
+    };
+
+    /**
+     * Write an SMS message to the outbox file
+     * @param {Object} message - Message to send
+     * @param {string} message.to - Recipient in E.164 format
+     * @param {string} message.body - Message text
+     * @param {string} [message.from] - Sender of a client app, instead of the configured one
+     * @returns {Promise<Object>} - { messageId, status }
+     */
+    const sendSms = ({ to, body, from }) => writeEntry({ channel: 'sms', to, from, body });
+
+    /**
+     * Write a voice call script to the outbox file
+     * @param {Object} call - Call to place
+     * @param {string} call.to - Recipient in E.164 format
+     * @param {string} call.message - Text that would be read out
+     * @param {string} [call.language] - TTS language (e.g. en-US)
+     * @returns {Promise<Object>} - { messageId, status }
+     */
+    const makeCall = ({ to, message, language }) => writeEntry({ channel: 'voice', to, message, language });
+
+    return {
+        name: 'outbox',
+        channels: ['sms', 'voice'],
+        isConfigured,
+        sendSms,
+        makeCall
+    };
+};
+
+module.exports = { createOutboxProvider };
@@ -0,0 +1,59 @@
+/**
+ * Create a normalized provider error
+ * Every SMS provider throws errors of this shape so smsService can decide
+ * whether to fail over to the next provider or give up.
+ * @param {string} message - Human readable error message
+ * @param {Object} options - Error details
+ * @param {string} options.code - Normalized API error code (e.g. INVALID_PHONE_NUMBER)
+ * @param {boolean} options.transient - True when another provider may succeed
+ * @param {string|number} [options.providerCode] - Raw error code returned by the provider
+ * @returns {Error} - Error with provider metadata attached
+ */
+const createProviderError = (message, { code, transient, providerCode } = {}) => {
+    const error = new Error(message);
+    error.name = 'SmsProviderError';
+    error.code = code || 'SMS_SEND_FAILED';
+    error.transient = !!transient;
+    error.providerCode = providerCode;
+    return error;
+};
+
+/**
+ * Network level error codes that are always worth retrying elsewhere
+ */
+const TRANSIENT_NETWORK_ERRORS = [
+    'ECONNRESET',
+    'ECONNREFUSED',
+    'ETIMEDOUT',
+    'ENOTFOUND',
+    'EAI_AGAIN',
+    'EPIPE'
+];
+
+/**
+ * Check whether a raw error is a network failure
+ * @param {Error} error - Raw error thrown by an HTTP client or SDK
+ * @returns {boolean}
+ */
+const isNetworkError = (error) => {
+    return !!error && (
+        TRANSIENT_NETWORK_ERRORS.includes(error.code) ||
+        error.name === 'AbortError' ||
+        error.type === 'request-timeout'
+    );
+};
+
+/**
+ * Check whether an HTTP status code indicates a temporary failure
+ * @param {number} status - HTTP status code
+ * @returns {boolean}
+ */
+const isTransientHttpStatus = (status) => {
+    return status === 408 || status === 429 || status >= 500;
+};
+
+module.exports = {
+    createProviderError,
+    isNetworkError,
+    isTransientHttpStatus
+};
@@ -0,0 +1,96 @@
+const { createProviderError, isNetworkError } = require('./providerError');
+
+/**
+ * AWS SNS exception names that are worth failing over on
+ */
+const TRANSIENT_SNS_ERRORS = [
+    'ThrottlingException',
+    'Throttling',
+    'ThrottledException',
+    'InternalErrorException',
+    'InternalError',
+    'ServiceUnavailable',
+    'KMSThrottlingException'
+];
+
+/**
+ * Create the AWS SNS SMS provider
+ * Credentials come from the default AWS provider chain (Lambda role, env, profile).
+ * @returns {Object} - Provider implementing { name, isConfigured, sendSms }
+ */
+const createSnsProvider = () => {
+    let client = null;
+    let sdk = null;
+
+    const isConfigured = () => !!(process.env.AWS_SNS_REGION || process.env.AWS_REGION);
+
+    const getClient = () => {
+        if (!client) {
+            sdk = require('@aws-sdk/client-sns');
+            client = new sdk.SNSClient({
+                region: process.env.AWS_SNS_REGION || process.env.AWS_REGION
+            });
+        }
+        return client;
+    };
+
+    const buildMessageAttributes = (senderId) => {
+        const attributes = {
+            'AWS.SNS.SMS.SMSType': { DataType: 'String', StringValue: 'Transactional' }
+        };
+
+        if (senderId || process.env.AWS_SNS_SENDER_ID) {
+            attributes['AWS.SNS.SMS.SenderID'] = {
+                DataType: 'String',
+                StringValue: senderId || process.env.AWS_SNS_SENDER_ID
+            };
+        }
+
+        return attributes;
+    };
+
+    /**
+     * Send an SMS message through AWS SNS
+     * @param {Object} message - Message to send
+     * @param {string} message.to - Recipient in E.164 format
+     * @param {string} message.body - Message text
+     * @param {string} [message.from] - Sender of a client app, instead of the configured one
+     * @returns {Promise<Object>} - { messageId, status }
+     */
+    const sendSms = async ({ to, body, from }) => {
+        try {
+            const snsClient = getClient();
+            const result = await snsClient.send(new sdk.PublishCommand({
+                PhoneNumber: to,
+                Message: body,
+                MessageAttributes: buildMessageAttributes(from)
+            }));
+
+            return { messageId: result.MessageId, status: 'sent' };
+        } catch (error) {
+            if (error.name === 'InvalidParameterException' || error.name === 'InvalidParameterValueException') {
+                throw createProviderError('Invalid phone number format', {
+                    code: 'INVALID_PHONE_NUMBER',
+                    transient: false,
+                    providerCode: error.name
+                });
+            }
+
+            throw createProviderError(error.message, {
+                code: 'SMS_SEND_FAILED',
+                transient: TRANSIENT_SNS_ERRORS.includes(error.name) || isNetworkError(error) ||
+                    (error.$metadata && error.$metadata.httpStatusCode >= 500),
+                providerCode: error.name
+            });
+        }
+    };
+
+    return {
+        name: 'sns',
+        channels: ['sms'],
+        isConfigured,
+        sendSms
+    };
+};
+
+module.exports = { createSnsProvider };
@@ -0,0 +1,168 @@
+const twilio = require('twilio');
+const { createProviderError, isNetworkError, isTransientHttpStatus } = require('./providerError');
+const { getStatusCallbackUrl, getPublicRequestUrl } = require('../../utils/deliveryStatus');
+
+/**
+ * Twilio error codes mapped to normalized API error codes
+ * Errors about the recipient are permanent, errors about our account are not
+ */
+const TWILIO_ERRORS = {
+    21211: { code: 'INVALID_PHONE_NUMBER', message: 'Invalid phone number format', transient: false },
+    21408: { code: 'SMS_PERMISSION_DENIED', message: 'Permission to send SMS to this number denied', transient: false },
+    21610: { code: 'PHONE_UNSUBSCRIBED', message: 'Phone number is unsubscribed from SMS', transient: false },
+    21614: { code: 'INVALID_PHONE_NUMBER', message: 'Phone number is not a mobile number', transient: false },
+    21215: { code: 'VOICE_PERMISSION_DENIED', message: 'Permission to call this number denied', transient: false },
+    21217: { code: 'INVALID_PHONE_NUMBER', message: 'Invalid phone number format', transient: false },
+    20003: { code: 'TWILIO_AUTH_FAILED', message: 'Authentication failed - check Twilio credentials', transient: true },
+    20429: { code: 'SMS_PROVIDER_THROTTLED', message: 'Twilio rate limit exceeded', transient: true },
+    30001: { code: 'SMS_PROVIDER_THROTTLED', message: 'Twilio message queue overflow', transient: true },
+    20500: { code: 'SMS_PROVIDER_UNAVAILABLE', message: 'Twilio internal error', transient: true },
+    20503: { code: 'SMS_PROVIDER_UNAVAILABLE', message: 'Twilio service unavailable', transient: true }
+};
+
+/**
+ * Twilio message and call statuses mapped to normalized delivery statuses
+ */
+const TWILIO_STATUSES = {
+    accepted: 'queued',
+    scheduled: 'queued',
+    queued: 'queued',
+    initiated: 'queued',
+    sending: 'sent',
+    sent: 'sent',
+    ringing: 'sent',
+    'in-progress': 'sent',
+    delivered: 'delivered',
+    read: 'delivered',
+    completed: 'delivered',
+    undelivered: 'failed',
+    failed: 'failed',
+    busy: 'failed',
+    'no-answer': 'failed',
+    canceled: 'failed'
+};
+
+/**
+ * Create the Twilio SMS and voice provider
+ * Delivery status callbacks are requested when PUBLIC_BASE_URL is set.
+ * @returns {Object} - Provider implementing { name, channels, isConfigured, sendSms, makeCall, parseStatusCallback }
+ */
+const createTwilioProvider = () => {
+    let client = null;
+
+    const isConfigured = () => !!(
+        process.env.TWILIO_ACCOUNT_SID &&
+        process.env.TWILIO_AUTH_TOKEN &&
+        process.env.TWILIO_PHONE_NUMBER
+    );
+
+    const getClient = () => {
+        if (!client) {
+            client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+        }
+        return client;
+    };
+
+    const normalizeError = (error) => {
+        const known = TWILIO_ERRORS[error.code];
+        if (known) {
+            return createProviderError(known.message, { ...known, providerCode: error.code });
+        }
+
+        return createProviderError(error.message, {
+            code: 'SMS_SEND_FAILED',
+            transient: isNetworkError(error) || isTransientHttpStatus(error.status),
+            providerCode: error.code
+        });
+    };
+
+    /**
+     * Send an SMS message through Twilio
+     * @param {Object} message - Message to send
+     * @param {string} message.to - Recipient in E.164 format
+     * @param {string} message.body - Message text
+     * @param {string} [message.from] - Sender of a client app, instead of the configured one
+     * @returns {Promise<Object>} - { messageId, status }
+     */
+    const sendSms = async ({ to, body, from }) => {
+        try {
+            const message = await getClient().messages.create({
+                body,
+                from: from || process.env.TWILIO_PHONE_NUMBER,
+                to,
+                statusCallback: getStatusCallbackUrl('twilio')
+            });
+
+            return { messageId: message.sid, status: TWILIO_STATUSES[message.status] || 'sent' };
+        } catch (error) {
+            throw normalizeError(error);
+        }
+    };
+
+    /**
+     * Place a text-to-speech call through Twilio
+     * The spoken message is rendered as inline TwiML, so no webhook is needed.
+     * @param {Object} call - Call to place
+     * @param {string} call.to - Recipient in E.164 format
+     * @param {string} call.message - Text to read out
+     * @param {string} [call.language] - TTS language (e.g. en-US)
+     * @returns {Promise<Object>} - { messageId, status }
+     */
+    const makeCall = async ({ to, message, language }) => {
+        const twiml = new twilio.twiml.VoiceResponse();
+        twiml.say({ language: language || 'en-US' }, message);
+
+        const statusCallback = getStatusCallbackUrl('twilio');
+
+        try {
+            const call = await getClient().calls.create({
+                twiml: twiml.toString(),
+                from: process.env.TWILIO_PHONE_NUMBER,
+                to,
+                statusCallback,
+                statusCallbackEvent: statusCallback ? ['initiated', 'ringing', 'answered', 'completed'] : undefined
+            });
+
+            return { messageId: call.sid, status: TWILIO_STATUSES[call.status] || 'sent' };
+        } catch (error) {
+            throw normalizeError(error);
+        }
+    };
+
+    /**
+     * Validate and read a message or call status callback
+     * Twilio signs the full callback URL plus the posted parameters with the auth token.
+     * @param {Object} req - Express request (form-encoded body)
+     * @returns {Object} - { valid, messageId, status, providerStatus, errorCode }
+     */
+    const parseStatusCallback = (req) => {
+        const signature = req.get('x-twilio-signature');
+        const valid = !!(signature && process.env.TWILIO_AUTH_TOKEN) &&
+            twilio.validateRequest(process.env.TWILIO_AUTH_TOKEN, signature, getPublicRequestUrl(req), req.body);
+
+        if (!valid) {
+            return { valid: false };
+        }
+
+        const providerStatus = req.body.MessageStatus || req.body.CallStatus;
+
+        return {
+            valid: true,
+            messageId: req.body.MessageSid || req.body.CallSid,
+            status: TWILIO_STATUSES[providerStatus],
+            providerStatus,
+            errorCode: req.body.ErrorCode || undefined
+        };
+    };
+
+    return {
+        name: 'twilio',
+        channels: ['sms', 'voice'],
+        isConfigured,
+        sendSms,
+        makeCall,
+        parseStatusCallback
+    };
+};
+
+module.exports = { createTwilioProvider };
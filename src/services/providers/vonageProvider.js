@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const jwt = require('jsonwebtoken');
+const { createProviderError, isNetworkError, isTransientHttpStatus } = require('./providerError');
+const { getStatusCallbackUrl } = require('../../utils/deliveryStatus');
+
+const VONAGE_SMS_URL = 'https://rest.nexmo.com/sms/json';
+const VONAGE_CALLS_URL = 'https://api.nexmo.com/v1/calls';
+
+/**
+ * Vonage SMS API status codes mapped to normalized API error codes
+ * See https://developer.vonage.com/en/messaging/sms/guides/troubleshooting-sms
+ */
+const VONAGE_ERRORS = {
+    1: { code: 'SMS_PROVIDER_THROTTLED', message: 'Vonage rate limit exceeded', transient: true },
+    3: { code: 'INVALID_PHONE_NUMBER', message: 'Invalid phone number format', transient: false },
+    4: { code: 'VONAGE_AUTH_FAILED', message: 'Authentication failed - check Vonage credentials', transient: true },
+    5: { code: 'SMS_PROVIDER_UNAVAILABLE', message: 'Vonage internal error', transient: true },
+    7: { code: 'SMS_PERMISSION_DENIED', message: 'Phone number is barred by Vonage', transient: false },
+    8: { code: 'SMS_PROVIDER_UNAVAILABLE', message: 'Vonage account is barred', transient: true },
+    9: { code: 'SMS_PROVIDER_THROTTLED', message: 'Vonage account quota exceeded', transient: true },
+    29: { code: 'SMS_PERMISSION_DENIED', message: 'Destination not whitelisted for Vonage trial account', transient: true }
+};
+
+/**
+ * Vonage SMS delivery receipt statuses mapped to normalized delivery statuses
+ */
+const VONAGE_DLR_STATUSES = {
+    accepted: 'sent',
+    buffered: 'sent',
+    unknown: 'sent',
+    delivered: 'delivered',
+    expired: 'failed',
+    failed: 'failed',
+    rejected: 'failed'
+};
+
+// Signed delivery receipts older than this are rejected as replays
+const DLR_MAX_AGE_MS = 5 * 60 * 1000;
+
+/**
+ * Create the Vonage (Nexmo) SMS and voice provider
+ * Talks to the REST API directly so no extra SDK is required.
+ * Voice calls additionally need a Vonage application id and private key.
+ * SMS delivery receipts are requested when PUBLIC_BASE_URL is set and must be
+ * signed with VONAGE_SIGNATURE_SECRET (HMAC-SHA256).
+ * @returns {Object} - Provider implementing { name, channels, isConfigured, sendSms, makeCall, parseStatusCallback }
+ */
+const createVonageProvider = () => {
+    const isConfigured = () => !!(
+        process.env.VONAGE_API_KEY &&
+        process.env.VONAGE_API_SECRET &&
+        process.env.VONAGE_FROM
+    );
+
+    const isVoiceConfigured = () => !!(
+        process.env.VONAGE_APPLICATION_ID &&
+        process.env.VONAGE_PRIVATE_KEY
+    );
+
+    /**
+     * Sign a short-lived application JWT for the Voice API
+     * @returns {string} - RS256 signed JWT
+     */
+    const createApplicationToken = () => {
+        // Private keys stored in env vars usually have escaped newlines
+        const privateKey = process.env.VONAGE_PRIVATE_KEY.replace(/\\n/g, '\n');
+
+        return jwt.sign(
+            {
+                application_id: process.env.VONAGE_APPLICATION_ID,
+                jti: crypto.randomUUID()
+            },
+            privateKey,
+            { algorithm: 'RS256', expiresIn: 60 }
+        );
+    };
+
+    /**
+     * Send an SMS message through Vonage
+     * @param {Object} message - Message to send
+     * @param {string} message.to - Recipient in E.164 format
+     * @param {string} message.body - Message text
+     * @param {string} [message.from] - Sender of a client app, instead of the configured one
+     * @returns {Promise<Object>} - { messageId, status }
+     */
+    const sendSms = async ({ to, body, from }) => {
+        let response;
+        try {
+            response = await fetch(VONAGE_SMS_URL, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    api_key: process.env.VONAGE_API_KEY,
+                    api_secret: process.env.VONAGE_API_SECRET,
+                    from: from || process.env.VONAGE_FROM,
+                    to: to.replace('+', ''),
+                    text: body,
+                    callback: getStatusCallbackUrl('vonage')
+                }),
+                timeout: parseInt(process.env.SMS_PROVIDER_TIMEOUT_MS || '10000')
+            });
+        } catch (error) {
+            throw createProviderError(error.message, {
+                code: 'SMS_PROVIDER_UNAVAILABLE',
+                transient: isNetworkError(error)
+            });
+        }
+
+        if (!response.ok) {
+            throw createProviderError(`Vonage responded with HTTP ${response.status}`, {
+                code: 'SMS_SEND_FAILED',
+                transient: isTransientHttpStatus(response.status),
+                providerCode: response.status
+            });
+        }
+
+        const data = await response.json();
+        const message = data.messages && data.messages[0];
+
+        if (!message) {
+            throw createProviderError('Vonage returned an empty response', {
+                code: 'SMS_SEND_FAILED',
+                transient: true
+            });
+        }
+
+        if (message.status !== '0') {
+            const known = VONAGE_ERRORS[parseInt(message.status)];
+            throw createProviderError(known ? known.message : message['error-text'], {
+                code: known ? known.code : 'SMS_SEND_FAILED',
+                transient: known ? known.transient : false,
+                providerCode: message.status
+            });
+        }
+
+        return { messageId: message['message-id'], status: 'sent' };
+    };
+
+    /**
+     * Place a text-to-speech call through the Vonage Voice API
+     * @param {Object} call - Call to place
+     * @param {string} call.to - Recipient in E.164 format
+     * @param {string} call.message - Text to read out
+     * @param {string} [call.language] - TTS language (e.g. en-US)
+     * @returns {Promise<Object>} - { messageId, status }
+     */
+    const makeCall = async ({ to, message, language }) => {
+        let response;
+        try {
+            response = await fetch(VONAGE_CALLS_URL, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    Authorization: `Bearer ${createApplicationToken()}`
+                },
+                body: JSON.stringify({
+                    to: [{ type: 'phone', number: to.replace('+', '') }],
+                    from: { type: 'phone', number: process.env.VONAGE_FROM },
+                    ncco: [{ action: 'talk', text: message, language: language || 'en-US' }]
+                }),
+                timeout: parseInt(process.env.SMS_PROVIDER_TIMEOUT_MS || '10000')
+            });
+        } catch (error) {
+            throw createProviderError(error.message, {
+                code: 'SMS_PROVIDER_UNAVAILABLE',
+                transient: isNetworkError(error)
+            });
+        }
+
+        if (!response.ok) {
+            throw createProviderError(`Vonage Voice API responded with HTTP ${response.status}`, {
+                code: response.status === 400 ? 'INVALID_PHONE_NUMBER' : 'VOICE_CALL_FAILED',
+                transient: response.status === 401 || isTransientHttpStatus(response.status),
+                providerCode: response.status
+            });
+        }
+
+        const data = await response.json();
+        return { messageId: data.uuid, status: data.status };
+    };
+
+    /**
+     * Check the signature of a delivery receipt
+     * The "sig" parameter is an HMAC-SHA256 over "&key=value" pairs of all other
+     * parameters in key order, with "&" and "=" in values replaced by "_".
+     * @param {Object} params - Receipt parameters
+     * @returns {boolean}
+     */
+    const isValidSignature = (params) => {
+        const secret = process.env.VONAGE_SIGNATURE_SECRET;
+        const { sig, ...rest } = params;
+        if (!secret || !sig) return false;
+
+        const payload = Object.keys(rest)
+            .sort()
+            .map(key => `&${key}=${String(rest[key]).replace(/[&=]/g, '_')}`)
+            .join('');
+        const expected = crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+        const provided = Buffer.from(String(sig).toLowerCase());
+        return provided.length === expected.length && crypto.timingSafeEqual(provided, Buffer.from(expected));
+    };
+
+    /**
+     * Validate and read an SMS delivery receipt (GET or POST)
+     * @param {Object} req - Express request
+     * @returns {Object} - { valid, messageId, status, providerStatus, errorCode }
+     */
+    const parseStatusCallback = (req) => {
+        const params = { ...req.query, ...req.body };
+        const sentAt = parseInt(params.timestamp) * 1000;
+
+        if (!isValidSignature(params) || !(Math.abs(Date.now() - sentAt) <= DLR_MAX_AGE_MS)) {
+            return { valid: false };
+        }
+
+        return {
+            valid: true,
+            messageId: params.messageId,
+            status: VONAGE_DLR_STATUSES[params.status],
+            providerStatus: params.status,
+            errorCode: params['err-code'] && params['err-code'] !== '0' ? params['err-code'] : undefined
+        };
+    };
+
+    return {
+        name: 'vonage',
+        channels: isVoiceConfigured() ? ['sms', 'voice'] : ['sms'],
+        isConfigured,
+        sendSms,
+        makeCall,
+        parseStatusCallback
+    };
+};
+
+module.exports = { createVonageProvider };
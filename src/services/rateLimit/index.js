@@ -0,0 +1,83 @@
+const { createMongoStore } = require('./mongoStore');
+const { createRedisStore } = require('./redisStore');
+const { createMemoryStore } = require('./memoryStore');
+
+/**
+ * Available store factories keyed by the name used in RATE_LIMIT_STORE
+ */
+const STORE_FACTORIES = {
+    mongo: createMongoStore,
+    redis: createRedisStore,
+    memory: createMemoryStore
+};
+
+let store = null;
+
+/**
+ * Get the configured rate limit store, creating it on first use
+ * @returns {Object} - { name, increment }
+ */
+const getRateLimitStore = () => {
+    if (!store) {
+        const name = (process.env.RATE_LIMIT_STORE || 'mongo').toLowerCase();
+        const factory = STORE_FACTORIES[name];
+        if (!factory) {
+            throw new Error(`Unknown RATE_LIMIT_STORE "${name}"`);
+        }
+        store = factory();
+    }
+    return store;
+};
+
+/**
+ * Replace the rate limit store (e.g. with an in-memory store in tests)
+ * @param {Object} newStore - Store implementing the rate limit store interface
+ */
+const setRateLimitStore = (newStore) => {
+    store = newStore;
+};
+
+/**
+ * Count a hit against a sliding window limit
+ * The window is approximated from two fixed windows: the previous window's
+ * count is weighted by how much of it still overlaps the sliding window.
+ * Every attempt counts, including rejected ones, so hammering keeps a client blocked.
+ * @param {string} key - Limiter key
+ * @param {Object} rule - { limit, windowMs }
+ * @returns {Promise<Object>} - { allowed, limit, remaining, resetMs, retryAfterMs }
+ */
+const hit = async (key, { limit, windowMs }) => {
+    const { current, previous, windowStart } = await getRateLimitStore().increment(key, windowMs);
+
+    const elapsed = Date.now() - windowStart;
+    const previousWeight = (windowMs - elapsed) / windowMs;
+    const count = Math.floor(previous * previousWeight) + current;
+    const allowed = count <= limit;
+
+    // Time until the weighted count drops enough for one more request
+    let retryAfterMs = 0;
+    if (!allowed) {
+        if (current >= limit) {
+            // Wait for the next window, where this window's hits fade out
+            retryAfterMs = (windowMs - elapsed) + Math.ceil(windowMs * (1 - (limit - 1) / current));
+        } else {
+            retryAfterMs = Math.ceil(windowMs * (1 - (limit - current - 1) / previous)) - elapsed;
+        }
+        retryAfterMs = Math.max(retryAfterMs, 1000);
+    }
+
+    return {
+        allowed,
+        limit,
+        remaining: Math.max(limit - count, 0),
+        resetMs: windowMs - elapsed,
+        retryAfterMs
+    };
+};
+
+module.exports = {
+    STORE_FACTORIES,
+    getRateLimitStore,
+    setRateLimitStore,
+    hit
+};
@@ -0,0 +1,48 @@
+/**
+ * Create an in-memory rate limit store
+ * Only suitable for tests and single-process development: counters are lost
+ * on restart and are not shared between instances.
+ * @returns {Object} - Store implementing the rate limit store interface
+ */
+const createMemoryStore = () => {
+    // "<key>:<window>" -> { count, expiresAt }
+    const counters = new Map();
+
+    const getCount = (counterKey, now) => {
+        const counter = counters.get(counterKey);
+        if (counter && counter.expiresAt <= now) {
+            counters.delete(counterKey);
+            return 0;
+        }
+        return counter ? counter.count : 0;
+    };
+
+    /**
+     * Count a hit in the current window
+     * @param {string} key - Limiter key
+     * @param {number} windowMs - Window length
+     * @returns {Promise<Object>} - { current, previous, windowStart }
+     */
+    const increment = async (key, windowMs) => {
+        const now = Date.now();
+        const window = Math.floor(now / windowMs);
+        const currentKey = `${key}:${window}`;
+
+        const current = getCount(currentKey, now) + 1;
+        counters.set(currentKey, { count: current, expiresAt: (window + 2) * windowMs });
+
+        return {
+            current,
+            previous: getCount(`${key}:${window - 1}`, now),
+            windowStart: window * windowMs
+        };
+    };
+
+    return {
+        name: 'memory',
+        increment,
+        clear: () => counters.clear()
+    };
+};
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,60 @@
+const RateLimitCounter = require('../../models/RateLimitCounter');
+
+/**
+ * Create the MongoDB backed rate limit store
+ * Counters are shared by every instance and expire through a TTL index.
+ * @returns {Object} - Store implementing the rate limit store interface
+ */
+const createMongoStore = () => {
+    /**
+     * Atomically add one to a window counter
+     * @param {string} counterKey - "<key>:<window>"
+     * @param {Date} expiresAt - When the counter is no longer needed
+     * @returns {Promise<number>} - Count after the increment
+     */
+    const incrementCounter = async (counterKey, expiresAt) => {
+        const update = () => RateLimitCounter.findOneAndUpdate(
+            { key: counterKey },
+            { $inc: { count: 1 }, $setOnInsert: { expiresAt } },
+            { upsert: true, new: true }
+        );
+
+        try {
+            return (await update()).count;
+        } catch (error) {
+            // Two first hits raced to insert the counter; the retry updates it
+            if (error.code === 11000) {
+                return (await update()).count;
+            }
+            throw error;
+        }
+    };
+
+    /**
+     * Count a hit in the current window
+     * @param {string} key - Limiter key
+     * @param {number} windowMs - Window length
+     * @returns {Promise<Object>} - { current, previous, windowStart }
+     */
+    const increment = async (key, windowMs) => {
+        const window = Math.floor(Date.now() / windowMs);
+
+        const [current, previousCounter] = await Promise.all([
+            incrementCounter(`${key}:${window}`, new Date((window + 2) * windowMs)),
+            RateLimitCounter.findOne({ key: `${key}:${window - 1}` }).lean()
+        ]);
+
+        return {
+            current,
+            previous: previousCounter ? previousCounter.count : 0,
+            windowStart: window * windowMs
+        };
+    };
+
+    return {
+        name: 'mongo',
+        increment
+    };
+};
+
+module.exports = { createMongoStore };
@@ -0,0 +1,61 @@
+/**
+ * Create the Redis backed rate limit store
+ * Counters are shared by every instance and expire with the key TTL.
+ * The redis client is only loaded when this store is selected.
+ * @returns {Object} - Store implementing the rate limit store interface
+ */
+const createRedisStore = () => {
+    const { createClient } = require('redis');
+
+    if (!process.env.REDIS_URL) {
+        throw new Error('REDIS_URL must be set to use the redis rate limit store');
+    }
+
+    const client = createClient({ url: process.env.REDIS_URL });
+    client.on('error', (error) => {
+        console.error(' Redis rate limit store error:', error.message);
+    });
+
+    let connecting = null;
+    const getClient = async () => {
+        if (!connecting) {
+            connecting = client.connect().catch((error) => {
+                connecting = null;
+                throw error;
+            });
+        }
+        await connecting;
+        return client;
+    };
+
+    /**
+     * Count a hit in the current window
+     * @param {string} key - Limiter key
+     * @param {number} windowMs - Window length
+     * @returns {Promise<Object>} - { current, previous, windowStart }
+     */
+    const increment = async (key, windowMs) => {
+        const redis = await getClient();
+        const window = Math.floor(Date.now() / windowMs);
+        const currentKey = `ratelimit:${key}:${window}`;
+
+        const [current, , previous] = await redis.multi()
+            .incr(currentKey)
+            .pExpire(currentKey, windowMs * 2)
+            .get(`ratelimit:${key}:${window - 1}`)
+            .exec();
+
+        return {
+            current: Number(current),
+            previous: Number(previous || 0),
+            windowStart: window * windowMs
+        };
+    };
+
+    return {
+        name: 'redis',
+        increment
+    };
+};
+
+module.exports = { createRedisStore };
@@ -0,0 +1,42 @@
+const { createMongoStore } = require('./mongoStore');
+const { createMemoryStore } = require('./memoryStore');
+
+/**
+ * Available store factories keyed by the name used in TOKEN_REVOCATION_STORE
+ */
+const STORE_FACTORIES = {
+    mongo: createMongoStore,
+    memory: createMemoryStore
+};
+
+let store = null;
+
+/**
+ * Get the configured revocation store, creating it on first use
+ * @returns {Object} - { revokeToken, isTokenRevoked, consumeToken, revokeUserTokens, getUserRevokedAt }
+ */
+const getRevocationStore = () => {
+    if (!store) {
+        const name = (process.env.TOKEN_REVOCATION_STORE || 'mongo').toLowerCase();
+        const factory = STORE_FACTORIES[name];
+        if (!factory) {
+            throw new Error(`Unknown TOKEN_REVOCATION_STORE "${name}"`);
+        }
+        store = factory();
+    }
+    return store;
+};
+
+/**
+ * Replace the revocation store (e.g. with an in-memory store in tests)
+ * @param {Object} newStore - Store implementing the revocation store interface
+ */
+const setRevocationStore = (newStore) => {
+    store = newStore;
+};
+
+module.exports = {
+    STORE_FACTORIES,
+    getRevocationStore,
+    setRevocationStore
+};
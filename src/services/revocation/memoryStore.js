@@ -0,0 +1,59 @@
+/**
+ * Create an in-memory revocation store
+ * Only suitable for tests and single-process development: entries are lost
+ * on restart and are not shared between instances.
+ * @returns {Object} - Store implementing the revocation store interface
+ */
+const createMemoryStore = () => {
+    // key -> { revokedAt, expiresAt }
+    const entries = new Map();
+
+    const getEntry = (key) => {
+        const entry = entries.get(key);
+        if (entry && entry.expiresAt <= new Date()) {
+            entries.delete(key);
+            return null;
+        }
+        return entry || null;
+    };
+
+    const revokeToken = async (jti, expiresAt) => {
+        if (!getEntry(`jti:${jti}`)) {
+            entries.set(`jti:${jti}`, { revokedAt: new Date(), expiresAt });
+        }
+    };
+
+    const isTokenRevoked = async (jti) => {
+        return !!getEntry(`jti:${jti}`);
+    };
+
+    // Check and set happen without yielding, so concurrent calls cannot both succeed
+    const consumeToken = async (jti, expiresAt) => {
+        if (getEntry(`jti:${jti}`)) {
+            return false;
+        }
+        entries.set(`jti:${jti}`, { revokedAt: new Date(), expiresAt });
+        return true;
+    };
+
+    const revokeUserTokens = async (userId, expiresAt) => {
+        entries.set(`user:${userId}`, { revokedAt: new Date(), expiresAt });
+    };
+
+    const getUserRevokedAt = async (userId) => {
+        const entry = getEntry(`user:${userId}`);
+        return entry ? entry.revokedAt : null;
+    };
+
+    return {
+        name: 'memory',
+        revokeToken,
+        isTokenRevoked,
+        consumeToken,
+        revokeUserTokens,
+        getUserRevokedAt,
+        clear: () => entries.clear()
+    };
+};
+
+module.exports = { createMemoryStore };
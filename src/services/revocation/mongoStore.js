@@ -0,0 +1,89 @@
+const RevokedToken = require('../../models/RevokedToken');
+
+/**
+ * Create the MongoDB backed revocation store
+ * Entries expire through a TTL index once the tokens they cover have expired.
+ * @returns {Object} - Store implementing the revocation store interface
+ */
+const createMongoStore = () => {
+    /**
+     * Revoke a single token by its jti
+     * @param {string} jti - Token id
+     * @param {Date} expiresAt - When the token expires anyway
+     */
+    const revokeToken = async (jti, expiresAt) => {
+        await RevokedToken.updateOne(
+            { key: `jti:${jti}` },
+            { $setOnInsert: { revokedAt: new Date(), expiresAt } },
+            { upsert: true }
+        );
+    };
+
+    /**
+     * Check if a token has been revoked
+     * @param {string} jti - Token id
+     * @returns {Promise<boolean>}
+     */
+    const isTokenRevoked = async (jti) => {
+        return !!(await RevokedToken.exists({ key: `jti:${jti}` }));
+    };
+
+    /**
+     * Revoke a single-use token, failing when it was already revoked
+     * The unique key makes this an atomic insert-if-absent, so of two concurrent
+     * calls for the same jti only one succeeds.
+     * @param {string} jti - Token id
+     * @param {Date} expiresAt - When the token expires anyway
+     * @returns {Promise<boolean>} - false when the token was already used
+     */
+    const consumeToken = async (jti, expiresAt) => {
+        try {
+            const result = await RevokedToken.updateOne(
+                { key: `jti:${jti}` },
+                { $setOnInsert: { revokedAt: new Date(), expiresAt } },
+                { upsert: true }
+            );
+            return result.upsertedCount > 0;
+        } catch (error) {
+            // A concurrent upsert inserted the key first
+            if (error.code === 11000) {
+                return false;
+            }
+            throw error;
+        }
+    };
+
+    /**
+     * Revoke every token issued to a user up to now
+     * @param {string} userId - User id
+     * @param {Date} expiresAt - When the longest-lived affected token expires
+     */
+    const revokeUserTokens = async (userId, expiresAt) => {
+        await RevokedToken.updateOne(
+            { key: `user:${userId}` },
+            { $set: { revokedAt: new Date(), expiresAt } },
+            { upsert: true }
+        );
+    };
+
+    /**
+     * Get when all tokens of a user were last revoked
+     * @param {string} userId - User id
+     * @returns {Promise<Date|null>}
+     */
+    const getUserRevokedAt = async (userId) => {
+        const entry = await RevokedToken.findOne({ key: `user:${userId}` });
+        return entry && entry.expiresAt > new Date() ? entry.revokedAt : null;
+    };
+
+    return {
+        name: 'mongo',
+        revokeToken,
+        isTokenRevoked,
+        consumeToken,
+        revokeUserTokens,
+        getUserRevokedAt
+    };
+};
+
+module.exports = { createMongoStore };
@@ -1,163 +1,295 @@
 
-const twilio = require('twilio');
+const { createProviders } = require('./providers');
+const { parsePhoneNumber, normalizePhoneNumber } = require('../utils/phoneNumber');
+const { getMessageTemplates, getMessageBranding, fillTemplate } = require('../config/messageTemplates');
+const { addAutofillLines } = require('../utils/otpAutofill');
 
-// Initialize Twilio client
-let twilioClient = null;
+// Active SMS providers in priority order
+let providers = [];
+
+// Providers that recently failed with a transient error, keyed by name
+const providerCooldowns = new Map();
 
 /**
- * Initialize Twilio client with credentials
+ * Initialize SMS providers from configuration
  */
-const initializeTwilio = () => {
+const initializeProviders = () => {
     try {
-        if (!process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN) {
-            console.warn(' Twilio credentials not found. SMS service will use mock mode.');
-            return null;
+        providers = createProviders();
+        providerCooldowns.clear();
+
+        if (!providers.length) {
+            console.warn(' No SMS providers configured. SMS service will use mock mode.');
+            return providers;
         }
 
-        twilioClient = twilio(
-            process.env.TWILIO_ACCOUNT_SID,
-            process.env.TWILIO_AUTH_TOKEN
-        );
-        
-        console.log(' Twilio SMS service initialized');
-        return twilioClient;
+        console.log(` SMS service initialized with providers: ${providers.map(p => p.name).join(', ')}`);
+        return providers;
     } catch (error) {
-        console.error(' Failed to initialize Twilio:', error.message);
-        return null;
+        console.error(' Failed to initialize SMS providers:', error.message);
+        providers = [];
+        return providers;
+    }
+};
+
+/**
+ * Supported delivery channels for verification codes
+ */
+const CHANNELS = ['sms', 'voice'];
+
+/**
+ * Order providers for a send attempt on a channel
+ * Providers cooling down after a transient failure are moved to the back
+ * instead of being dropped, so a send is still attempted if all are unhealthy.
+ * @param {string} channel - Delivery channel (sms or voice)
+ * @returns {Object[]} - Providers in the order they should be tried
+ */
+const getProvidersForSend = (channel) => {
+    const now = Date.now();
+    const healthy = [];
+    const coolingDown = [];
+
+    providers
+        .filter(provider => provider.channels.includes(channel))
+        .forEach(provider => {
+            const cooldownUntil = providerCooldowns.get(`${provider.name}:${channel}`);
+            if (cooldownUntil && cooldownUntil > now) {
+                coolingDown.push(provider);
+            } else {
+                healthy.push(provider);
+            }
+        });
+
+    return [...healthy, ...coolingDown];
+};
+
+/**
+ * Put a provider on cooldown for a channel after a transient failure
+ * @param {Object} provider - Provider that failed
+ * @param {string} channel - Channel the failure happened on
+ */
+const markProviderUnhealthy = (provider, channel) => {
+    const cooldownMs = parseInt(process.env.SMS_PROVIDER_COOLDOWN_MS || '60000');
+    providerCooldowns.set(`${provider.name}:${channel}`, Date.now() + cooldownMs);
+};
+
+/**
+ * Get the channels that can currently deliver a verification code
+ * In mock mode every channel is available.
+ * @returns {string[]} - Available channels
+ */
+const getAvailableChannels = () => {
+    if (!providers.length) {
+        return [...CHANNELS];
     }
+
+    return CHANNELS.filter(channel => providers.some(provider => provider.channels.includes(channel)));
 };
 
 /**
  * Format phone number to international format
  * @param {string} phoneNumber - Phone number to format
- * @returns {string} - Formatted phone number
+ * @returns {string} - E.164 phone number, or the input when it cannot be parsed
  */
 const formatPhoneNumber = (phoneNumber) => {
-    // Remove all non-digit characters
-    const cleaned = phoneNumber.replace(/\D/g, '');
-    
-    // Add + prefix if not present
-    if (!phoneNumber.startsWith('+')) {
-        // Assume US number if no country code and 10 digits
-        if (cleaned.length === 10) {
-            return `+1${cleaned}`;
-        }
-        // Otherwise add + prefix
-        return `+${cleaned}`;
-    }
-    
-    return phoneNumber;
+    return normalizePhoneNumber(phoneNumber) || phoneNumber;
 };
 
 /**
- * Send verification code via SMS
- * @param {string} phoneNumber - Recipient phone number
- * @param {string} verificationCode - 6-digit verification code
- * @returns {Promise<Object>} - Result of SMS sending operation
+ * Format a verification code so text-to-speech reads it digit by digit
+ * @param {string} verificationCode - Code to read out
+ * @returns {string} - e.g. "1, 2, 3, 4, 5, 6"
  */
-const sendVerificationSMS = async (phoneNumber, verificationCode) => {
-    try {
-        const formattedPhoneNumber = formatPhoneNumber(phoneNumber);
-        
-        // Mock mode for development/testing when Twilio is not configured
-        if (!twilioClient) {
-            console.log(' MOCK SMS MODE - Verification code would be sent to:', formattedPhoneNumber);
-            console.log(' Verification Code:', verificationCode);
-            
-            return {
-                success: true,
-                message: 'Verification code sent successfully (mock mode)',
-                mockMode: true,
-                phoneNumber: formattedPhoneNumber,
-                verificationCode: verificationCode // Only for mock mode
-            };
-        }
+const formatCodeForSpeech = (verificationCode) => {
+    return verificationCode.split('').join(', ');
+};
 
-        // Create SMS message
-        const messageBody = `Your verification code is: ${verificationCode}. This code will expire in 2 minutes. Do not share this code with anyone.`;
+/**
+ * Build the message content for a channel from the locale's templates
+ * @param {string} channel - Delivery channel (sms or voice)
+ * @param {string} verificationCode - Code to deliver
+ * @param {Object} [options] - Message options
+ * @param {number} [options.expiresInMinutes=2] - Code lifetime mentioned in the message
+ * @param {string} [options.locale='en'] - Template locale (see utils/locale)
+ * @param {Object} [options.autofill] - WebOTP/SMS Retriever settings whose lines the SMS gets (see config/autofill)
+ * @param {string} [options.link] - Verification link; sends the link SMS instead of a code
+ * @param {Object} [options.branding] - Branding of the tenant the message is sent for
+ * @returns {Object} - { text, language } where language is the TTS language for voice
+ */
+const buildMessage = (channel, verificationCode, { expiresInMinutes = 2, locale = 'en', autofill, link, branding } = {}) => {
+    const templates = getMessageTemplates();
+    const template = templates[locale] || templates.en;
+    const expiry = expiresInMinutes === 1
+        ? template.minute
+        : fillTemplate(template.minutes, { count: expiresInMinutes });
+    const values = { ...getMessageBranding(branding), expiry, code: verificationCode };
 
-        // Send SMS using Twilio
-        const message = await twilioClient.messages.create({
-            body: messageBody,
-            from: process.env.TWILIO_PHONE_NUMBER,
-            to: formattedPhoneNumber
-        });
+    if (link) {
+        return { text: fillTemplate(template.link || templates.en.link, { ...values, link }) };
+    }
 
-        console.log(` SMS sent successfully to ${formattedPhoneNumber}. Message SID: ${message.sid}`);
+    if (channel === 'voice') {
+        return {
+            text: fillTemplate(template.voice, { ...values, code: formatCodeForSpeech(verificationCode) }),
+            language: template.voiceLanguage || 'en-US'
+        };
+    }
+
+    return { text: addAutofillLines(fillTemplate(template.sms, values), verificationCode, autofill) };
+};
+
+/**
+ * Deliver a message through a single provider
+ * @param {Object} provider - Provider to use
+ * @param {string} channel - Delivery channel (sms or voice)
+ * @param {string} to - Recipient in E.164 format
+ * @param {Object} message - { text, language } from buildMessage
+ * @param {string} [senderId] - SMS sender of the tenant; calls always use the provider's number
+ * @returns {Promise<Object>} - { messageId, status }
+ */
+const deliverWithProvider = (provider, channel, to, message, senderId) => {
+    if (channel === 'voice') {
+        return provider.makeCall({ to, message: message.text, language: message.language });
+    }
+    return provider.sendSms({ to, body: message.text, from: senderId });
+};
+
+/**
+ * Send verification code over the requested channel
+ * Tries each provider supporting the channel in priority order and fails
+ * over to the next one when a provider returns a transient error.
+ * @param {string} phoneNumber - Recipient phone number
+ * @param {string} verificationCode - Verification code (length set by the OTP policy, see config/otpPolicy)
+ * @param {Object} [options] - Delivery options
+ * @param {string} [options.channel='sms'] - Delivery channel (sms or voice)
+ * @param {number} [options.expiresInMinutes=2] - Code lifetime mentioned in the message
+ * @param {string} [options.locale] - Message locale (see utils/locale)
+ * @param {Object} [options.autofill] - Settings for WebOTP/SMS Retriever lines
+ * @param {string} [options.link] - Verification link sent instead of the code (SMS only)
+ * @param {Object} [options.branding] - Branding of the tenant (see models/ClientApp)
+ * @param {string} [options.senderId] - SMS sender of the tenant
+ * @returns {Promise<Object>} - Result of the delivery, including the channel used
+ */
+const sendVerificationCode = async (phoneNumber, verificationCode, { channel = 'sms', expiresInMinutes, locale, autofill, link, branding, senderId } = {}) => {
+    const formattedPhoneNumber = formatPhoneNumber(phoneNumber);
+    const channelLabel = channel === 'voice' ? 'voice call' : 'SMS';
+
+    // Mock mode for development/testing when no provider is configured
+    if (!providers.length) {
+        console.log(` MOCK ${channel.toUpperCase()} MODE - Verification code would be sent to:`, formattedPhoneNumber);
+        console.log(link ? ' Verification Link:' : ' Verification Code:', link || verificationCode);
+        console.log(` Message (${locale || 'en'}):`, buildMessage(channel, verificationCode, { expiresInMinutes, locale, autofill, link, branding }).text);
 
         return {
             success: true,
-            message: 'Verification code sent successfully',
-            messageId: message.sid,
+            message: 'Verification code sent successfully (mock mode)',
+            mockMode: true,
+            channel,
             phoneNumber: formattedPhoneNumber,
-            status: message.status
+            // Only for mock mode
+            ...(link ? { verificationLink: link } : { verificationCode })
         };
+    }
 
-    } catch (error) {
-        console.error(' Failed to send SMS:', error.message);
-        
-        // Handle specific Twilio errors
-        let errorMessage = 'Failed to send verification code';
-        let errorCode = 'SMS_SEND_FAILED';
-
-        if (error.code === 21211) {
-            errorMessage = 'Invalid phone number format';
-            errorCode = 'INVALID_PHONE_NUMBER';
-        } else if (error.code === 21408) {
-            errorMessage = 'Permission to send SMS to this number denied';
-            errorCode = 'SMS_PERMISSION_DENIED';
-        } else if (error.code === 21610) {
-            errorMessage = 'Phone number is unsubscribed from SMS';
-            errorCode = 'PHONE_UNSUBSCRIBED';
-        } else if (error.code === 20003) {
-            errorMessage = 'Authentication failed - check Twilio credentials';
-            errorCode = 'TWILIO_AUTH_FAILED';
-        }
-
+    const channelProviders = getProvidersForSend(channel);
+    if (!channelProviders.length) {
         return {
             success: false,
-            message: errorMessage,
-            error: errorCode,
-            details: error.message
+            message: `Verification by ${channelLabel} is not available`,
+            error: 'CHANNEL_NOT_AVAILABLE',
+            channel,
+            failedProviders: []
         };
     }
+
+    const message = buildMessage(channel, verificationCode, { expiresInMinutes, locale, autofill, link, branding });
+    const failedProviders = [];
+    let lastError = null;
+
+    for (const provider of channelProviders) {
+        try {
+            const result = await deliverWithProvider(provider, channel, formattedPhoneNumber, message, senderId);
+
+            providerCooldowns.delete(`${provider.name}:${channel}`);
+            console.log(` Verification ${channelLabel} sent successfully to ${formattedPhoneNumber} via ${provider.name}. Message ID: ${result.messageId}`);
+
+            return {
+                success: true,
+                message: 'Verification code sent successfully',
+                messageId: result.messageId,
+                phoneNumber: formattedPhoneNumber,
+                status: result.status,
+                channel,
+                provider: provider.name,
+                failedProviders
+            };
+        } catch (error) {
+            lastError = error;
+            failedProviders.push(provider.name);
+            console.error(` Failed to send ${channelLabel} via ${provider.name}:`, error.message);
+
+            // Permanent errors (bad number, opted out) would fail on every provider
+            if (!error.transient) {
+                break;
+            }
+
+            markProviderUnhealthy(provider, channel);
+            console.warn(` Failing over to next provider after ${provider.name} error`);
+        }
+    }
+
+    // Only surface provider messages for known, recipient related errors
+    const isKnownPermanentError = lastError && !lastError.transient && lastError.code !== 'SMS_SEND_FAILED';
+
+    return {
+        success: false,
+        message: isKnownPermanentError ? lastError.message : 'Failed to send verification code',
+        error: (lastError && lastError.code) || 'SMS_SEND_FAILED',
+        details: lastError ? lastError.message : 'No provider available',
+        channel,
+        failedProviders
+    };
+};
+
+/**
+ * Send verification code via SMS
+ * @param {string} phoneNumber - Recipient phone number
+ * @param {string} verificationCode - Verification code (length set by the OTP policy, see config/otpPolicy)
+ * @returns {Promise<Object>} - Result of SMS sending operation
+ */
+const sendVerificationSMS = (phoneNumber, verificationCode) => {
+    return sendVerificationCode(phoneNumber, verificationCode, { channel: 'sms' });
+};
+
+/**
+ * Send verification code via a text-to-speech voice call
+ * @param {string} phoneNumber - Recipient phone number
+ * @param {string} verificationCode - Verification code (length set by the OTP policy, see config/otpPolicy)
+ * @returns {Promise<Object>} - Result of the call operation
+ */
+const sendVerificationCall = (phoneNumber, verificationCode) => {
+    return sendVerificationCode(phoneNumber, verificationCode, { channel: 'voice' });
 };
 
 /**
  * Validate phone number format
  * @param {string} phoneNumber - Phone number to validate
- * @returns {Object} - Validation result
+ * @param {string} [region] - Default region for national numbers
+ * @returns {Object} - Validation result, with country code and number type when valid
  */
-const validatePhoneNumber = (phoneNumber) => {
-    if (!phoneNumber) {
-        return { isValid: false, message: 'Phone number is required' };
-    }
+const validatePhoneNumber = (phoneNumber, region) => {
+    const result = parsePhoneNumber(phoneNumber, { region });
 
-    // Remove all non-digit characters for validation
-    const cleaned = phoneNumber.replace(/\D/g, '');
-    
-    // Check if phone number has reasonable length (7-15 digits)
-    if (cleaned.length < 7 || cleaned.length > 15) {
-        return { 
-            isValid: false, 
-            message: 'Phone number must be between 7 and 15 digits' 
-        };
+    if (!result.isValid) {
+        return { isValid: false, message: result.message };
     }
 
-    // Basic international phone number regex
-    const phoneRegex = /^\+?[1-9]\d{1,14}$/;
-    const formattedNumber = formatPhoneNumber(phoneNumber);
-    
-    if (!phoneRegex.test(formattedNumber.replace('+', ''))) {
-        return { 
-            isValid: false, 
-            message: 'Please enter a valid phone number' 
-        };
-    }
-
-    return { 
-        isValid: true, 
-        formattedNumber 
+    return {
+        isValid: true,
+        formattedNumber: result.phoneNumber,
+        countryCode: result.countryCode,
+        region: result.region,
+        type: result.type
     };
 };
 
@@ -166,25 +298,40 @@ const validatePhoneNumber = (phoneNumber) => {
  * @returns {Object} - Service status information
  */
 const getServiceStatus = () => {
+    const now = Date.now();
+
     return {
-        isInitialized: !!twilioClient,
-        mockMode: !twilioClient,
-        provider: 'Twilio',
-        configuration: {
-            hasAccountSid: !!process.env.TWILIO_ACCOUNT_SID,
-            hasAuthToken: !!process.env.TWILIO_AUTH_TOKEN,
-            hasPhoneNumber: !!process.env.TWILIO_PHONE_NUMBER
-        }
+        isInitialized: providers.length > 0,
+        mockMode: !providers.length,
+        channels: getAvailableChannels(),
+        providers: providers.map((provider, index) => ({
+            name: provider.name,
+            priority: index + 1,
+            channels: provider.channels.map(channel => {
+                const cooldownUntil = providerCooldowns.get(`${provider.name}:${channel}`);
+                return {
+                    channel,
+                    healthy: !cooldownUntil || cooldownUntil <= now,
+                    cooldownUntil: cooldownUntil && cooldownUntil > now ? new Date(cooldownUntil).toISOString() : null
+                };
+            })
+        }))
     };
 };
 
-// Initialize Twilio on module load
-initializeTwilio();
+// Initialize SMS providers on module load
+initializeProviders();
 
 module.exports = {
+    CHANNELS,
+    sendVerificationCode,
     sendVerificationSMS,
+    sendVerificationCall,
+    getAvailableChannels,
+    formatCodeForSpeech,
+    buildMessage,
     validatePhoneNumber,
     formatPhoneNumber,
     getServiceStatus,
-    initializeTwilio
+    initializeProviders
 };
@@ -0,0 +1,312 @@
+const ClientApp = require('../models/ClientApp');
+const { checkAutofill } = require('../config/autofill');
+const { parseDuration } = require('../utils/duration');
+const { decryptSecret } = require('../utils/secretBox');
+
+// Origins allowed without a client app, for local development
+const DEVELOPMENT_ORIGINS = [
+    'http://localhost:3000',
+    'http://localhost:3001',
+    'http://127.0.0.1:3000',
+    'http://127.0.0.1:3001'
+];
+
+// Settings that can be changed after a client app was created
+const UPDATABLE_FIELDS = ['name', 'allowedOrigins', 'senderId', 'branding', 'otp', 'tokens', 'autofill', 'isActive'];
+
+// Resolved client apps keyed by "key:<hash>", "origin:<origin>", "id:<id>" or "secret:<id>"
+const tenantCache = new Map();
+
+/**
+ * Get how long resolved client apps are cached
+ * Changes made on another instance take up to this long to be picked up.
+ * @returns {number} - Milliseconds
+ */
+const getCacheTtl = () => parseInt(process.env.CLIENT_APP_CACHE_TTL_MS || '60000');
+
+/**
+ * Look up a client app through the cache
+ * Misses are cached too, so unknown keys and origins do not hit the database on every request.
+ * @param {string} cacheKey - Cache key
+ * @param {Function} find - Returns a query for the client app
+ * @returns {Promise<Object|null>} - Plain client app object or null
+ */
+const findCached = async (cacheKey, find) => {
+    const cached = tenantCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.tenant;
+    }
+
+    const tenant = await find().lean();
+    tenantCache.set(cacheKey, { tenant, expiresAt: Date.now() + getCacheTtl() });
+    return tenant;
+};
+
+/**
+ * Forget every cached client app, e.g. after one was changed
+ */
+const clearTenantCache = () => {
+    tenantCache.clear();
+};
+
+/**
+ * Find the active client app an API key belongs to
+ * @param {string} apiKey - Raw API key
+ * @returns {Promise<Object|null>}
+ */
+const findTenantByApiKey = (apiKey) => findCached(`key:${ClientApp.hashApiKey(apiKey)}`, () => ClientApp.findByApiKey(apiKey));
+
+/**
+ * Find the active client app a browser origin belongs to
+ * @param {string} origin - Origin header value
+ * @returns {Promise<Object|null>}
+ */
+const findTenantByOrigin = (origin) => findCached(`origin:${origin}`, () => ClientApp.findByOrigin(origin));
+
+/**
+ * Find an active client app by id, e.g. the one a token was issued for
+ * @param {string} id - Client app document id
+ * @returns {Promise<Object|null>}
+ */
+const findTenantById = (id) => findCached(`id:${id}`, () => ClientApp.findOne({ _id: id, isActive: true }));
+
+/**
+ * Get the key a client app signs its server-to-server requests with
+ * Kept out of the resolved tenant objects, so it never ends up in responses or logs.
+ * @param {Object} tenant - Client app
+ * @returns {Promise<string|null>} - Plain signing secret, or null when none was issued yet
+ */
+const getSigningSecret = async (tenant) => {
+    const stored = await findCached(`secret:${tenant._id}`, () => ClientApp.findById(tenant._id).select('+signingSecret'));
+    return stored && stored.signingSecret ? decryptSecret(stored.signingSecret) : null;
+};
+
+/**
+ * Get the id users and verifications of a client app are stored with
+ * Requests without a client app belong to the default tenant (null).
+ * @param {Object} [tenant] - Client app
+ * @returns {Object|null} - ObjectId or null
+ */
+const getTenantId = (tenant) => (tenant ? tenant._id : null);
+
+/**
+ * Check whether two tenants (client apps or ids) are the same
+ * @param {Object|string|null} a - Client app, id or null for the default tenant
+ * @param {Object|string|null} b - Client app, id or null for the default tenant
+ * @returns {boolean}
+ */
+const isSameTenant = (a, b) => {
+    const idOf = (tenant) => String((tenant && tenant._id) || tenant || '');
+    return idOf(a) === idOf(b);
+};
+
+/**
+ * Get the origin of this API's public URL (PUBLIC_BASE_URL)
+ * Pages served by the API itself, such as the verification link page, post back from it.
+ * @returns {string|null}
+ */
+const getPublicOrigin = () => {
+    try {
+        return process.env.PUBLIC_BASE_URL ? new URL(process.env.PUBLIC_BASE_URL).origin : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Get the origins allowed without a client app
+ * CORS_ORIGINS is a comma-separated list, plus the API's own public origin; the
+ * local development origins are only allowed outside production.
+ * @returns {string[]}
+ */
+const getStaticOrigins = () => {
+    const configured = (process.env.CORS_ORIGINS || '')
+        .split(',')
+        .map(origin => origin.trim())
+        .concat(getPublicOrigin())
+        .filter(Boolean);
+
+    return process.env.NODE_ENV === 'production' ? configured : [...DEVELOPMENT_ORIGINS, ...configured];
+};
+
+/**
+ * Check whether browsers on an origin may call the API
+ * @param {string} origin - Origin header value
+ * @returns {Promise<boolean>}
+ */
+const isOriginAllowed = async (origin) => {
+    if (getStaticOrigins().includes(origin)) {
+        return true;
+    }
+    return !!(await findTenantByOrigin(origin));
+};
+
+/**
+ * Normalize a configured origin ("https://App.example.com/" -> "https://app.example.com")
+ * @param {string} value - Origin as entered
+ * @returns {string|null} - Origin, or null when the value is not an http(s) origin
+ */
+const normalizeOrigin = (value) => {
+    try {
+        const url = new URL(value);
+        return ['http:', 'https:'].includes(url.protocol) && url.pathname === '/' && !url.search
+            ? url.origin
+            : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Check client app settings that the schema cannot
+ * @param {Object} settings - Settings being saved
+ * @param {Object} [current] - Client app being updated
+ * @returns {Promise<Object>} - { success, settings } or { success: false, error, message }
+ */
+const checkTenantSettings = async (settings, current) => {
+    const fail = (message, error = 'INVALID_CLIENT_APP') => ({ success: false, error, message });
+    const checked = { ...settings };
+
+    if (settings.allowedOrigins) {
+        checked.allowedOrigins = [...new Set(settings.allowedOrigins.map(normalizeOrigin))];
+        if (checked.allowedOrigins.includes(null)) {
+            return fail('Allowed origins must look like https://app.example.com');
+        }
+
+        const taken = await ClientApp.findOne({
+            allowedOrigins: { $in: checked.allowedOrigins },
+            ...(current && { _id: { $ne: current._id } })
+        });
+        if (taken) {
+            return fail(`An origin is already used by client app "${taken.appId}"`, 'ORIGIN_IN_USE');
+        }
+    }
+
+    const tokens = settings.tokens || {};
+    if (tokens.accessTokenExpiresIn !== undefined && !parseDuration(tokens.accessTokenExpiresIn)) {
+        return fail('Access token lifetime must be a duration such as 15m');
+    }
+
+    // Messages must still fit the segment limit with this app's names and autofill lines
+    const branding = { ...(current && current.branding), ...settings.branding };
+    const autofill = { ...(current && current.autofill), ...settings.autofill };
+    Object.keys(autofill).forEach(field => autofill[field] === undefined && delete autofill[field]);
+    try {
+        checkAutofill(autofill, { branding });
+    } catch (error) {
+        return fail(`Messages do not fit: ${error.message}`);
+    }
+
+    return { success: true, settings: checked };
+};
+
+/**
+ * Keep only the settings that may be written
+ * @param {Object} settings - Request body
+ * @returns {Object}
+ */
+const pickUpdatable = (settings) => {
+    const picked = {};
+    UPDATABLE_FIELDS.filter(field => settings[field] !== undefined).forEach((field) => {
+        picked[field] = settings[field];
+    });
+    return picked;
+};
+
+/**
+ * Register a client app and issue its API key and request signing secret
+ * @param {Object} settings - App id, name and optional settings
+ * @returns {Promise<Object>} - { success, clientApp, apiKey, signingSecret } or { success: false, error, message }
+ */
+const createClientApp = async (settings) => {
+    const { appId } = settings;
+
+    if (await ClientApp.exists({ appId })) {
+        return { success: false, error: 'CLIENT_APP_EXISTS', message: `Client app "${appId}" already exists` };
+    }
+
+    const checked = await checkTenantSettings(settings);
+    if (!checked.success) {
+        return checked;
+    }
+
+    const clientApp = new ClientApp({ appId, ...pickUpdatable(checked.settings) });
+    const apiKey = clientApp.generateApiKey();
+    const signingSecret = clientApp.generateSigningSecret();
+    await clientApp.save();
+
+    clearTenantCache();
+    return { success: true, clientApp, apiKey, signingSecret };
+};
+
+/**
+ * Change the settings of a client app
+ * Nested settings (branding, otp, tokens, autofill) are merged field by field.
+ * @param {string} appId - Client app id
+ * @param {Object} settings - Settings to change
+ * @returns {Promise<Object>} - { success, clientApp } or { success: false, error, message }
+ */
+const updateClientApp = async (appId, settings) => {
+    const clientApp = await ClientApp.findOne({ appId });
+    if (!clientApp) {
+        return { success: false, error: 'CLIENT_APP_NOT_FOUND', message: `Client app "${appId}" not found` };
+    }
+
+    const checked = await checkTenantSettings(settings, clientApp.toObject());
+    if (!checked.success) {
+        return checked;
+    }
+
+    Object.entries(pickUpdatable(checked.settings)).forEach(([field, value]) => {
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            Object.entries(value).forEach(([key, nested]) => clientApp.set(`${field}.${key}`, nested));
+        } else {
+            clientApp.set(field, value);
+        }
+    });
+    await clientApp.save();
+
+    clearTenantCache();
+    return { success: true, clientApp };
+};
+
+/**
+ * Replace the API key and request signing secret of a client app; the old ones stop working immediately
+ * @param {string} appId - Client app id
+ * @returns {Promise<Object>} - { success, clientApp, apiKey, signingSecret } or { success: false, error, message }
+ */
+const rotateApiKey = async (appId) => {
+    const clientApp = await ClientApp.findOne({ appId });
+    if (!clientApp) {
+        return { success: false, error: 'CLIENT_APP_NOT_FOUND', message: `Client app "${appId}" not found` };
+    }
+
+    const apiKey = clientApp.generateApiKey();
+    const signingSecret = clientApp.generateSigningSecret();
+    await clientApp.save();
+
+    clearTenantCache();
+    return { success: true, clientApp, apiKey, signingSecret };
+};
+
+/**
+ * List all client apps
+ * @returns {Promise<Object[]>}
+ */
+const listClientApps = () => ClientApp.find().sort({ appId: 1 });
+
+module.exports = {
+    clearTenantCache,
+    findTenantByApiKey,
+    findTenantByOrigin,
+    findTenantById,
+    getSigningSecret,
+    getTenantId,
+    isSameTenant,
+    getStaticOrigins,
+    isOriginAllowed,
+    createClientApp,
+    updateClientApp,
+    rotateApiKey,
+    listClientApps
+};
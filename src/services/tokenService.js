@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { generateToken, getAccessTokenExpiresIn } = require('../middleware/auth');
+const { getRevocationStore } = require('./revocation');
+const { findTenantById, isSameTenant } = require('./tenantService');
+const { parseDuration } = require('../utils/duration');
+
+/**
+ * Get refresh token lifetime in milliseconds
+ * @param {Object} [tenant] - Client app with its own lifetime (see models/ClientApp)
+ * @returns {number}
+ */
+const getRefreshTokenExpiry = (tenant) => (tenant && tenant.tokens && tenant.tokens.refreshTokenExpiryMs)
+    || parseInt(process.env.REFRESH_TOKEN_EXPIRY || '2592000000'); // 30 days
+
+/**
+ * Hash an opaque refresh token for storage and lookup
+ * @param {string} token - Raw refresh token
+ * @returns {string} - Hex encoded SHA-256
+ */
+const hashRefreshToken = (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Issue a short-lived access token and a long-lived refresh token
+ * A new login starts a new session; its id doubles as the refresh token family.
+ * @param {Object} user - User document
+ * @param {Object} [options] - Issue options
+ * @param {Object} [options.session] - Existing session when rotating; a new one is started otherwise
+ * @param {Object} [options.context] - Client details for a new session ({ userAgent, ip, deviceName })
+ * @param {Object} [options.tenant] - Client app the user belongs to (token key and lifetimes)
+ * @returns {Promise<Object>} - { token, refreshToken, expiresIn, refreshTokenExpiresAt, sessionId }
+ */
+const issueTokens = async (user, { session, context = {}, tenant } = {}) => {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    const refreshTokenExpiresAt = new Date(Date.now() + getRefreshTokenExpiry(tenant));
+
+    if (session) {
+        session.expiresAt = refreshTokenExpiresAt;
+        session.lastSeenAt = new Date();
+        await session.save();
+    } else {
+        session = await Session.create({
+            userId: user._id,
+            deviceName: context.deviceName,
+            userAgent: context.userAgent,
+            ip: context.ip,
+            lastSeenIp: context.ip,
+            expiresAt: refreshTokenExpiresAt
+        });
+    }
+
+    const sessionId = session._id.toString();
+
+    await RefreshToken.create({
+        tokenHash: hashRefreshToken(refreshToken),
+        userId: user._id,
+        familyId: sessionId,
+        expiresAt: refreshTokenExpiresAt
+    });
+
+    return {
+        token: generateToken(user, { sessionId, tenant }),
+        refreshToken,
+        expiresIn: getAccessTokenExpiresIn(tenant),
+        refreshTokenExpiresAt,
+        sessionId
+    };
+};
+
+/**
+ * Revoke a session and its refresh token family
+ * @param {string} sessionId - Session (and token family) id
+ * @param {string} reason - Why the session is revoked
+ * @param {Object} [filter] - Extra conditions, e.g. { userId } to enforce ownership
+ * @returns {Promise<boolean>} - True when an active session was revoked
+ */
+const revokeSession = async (sessionId, reason, filter = {}) => {
+    const result = await Session.updateOne(
+        { _id: sessionId, revokedAt: { $exists: false }, ...filter },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    // The same ownership conditions apply to the tokens, so another user's session is left alone
+    await RefreshToken.revokeFamily(sessionId, reason, filter);
+
+    return result.modifiedCount > 0;
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * Every refresh token can be used exactly once. Presenting a token that was
+ * already used or revoked means it was stolen (or replayed), so the whole
+ * session is revoked and the user has to log in again.
+ * @param {string} rawToken - Refresh token presented by the client
+ * @param {Object} [options] - Rotation options
+ * @param {Object} [options.tenant] - Client app the request was made for; only its users' tokens are accepted
+ * @returns {Promise<Object>} - { success, user, tokens } or { success: false, error, message }
+ */
+const rotateRefreshToken = async (rawToken, { tenant } = {}) => {
+    const stored = await RefreshToken.findOne({ tokenHash: hashRefreshToken(rawToken) });
+
+    if (!stored) {
+        return { success: false, error: 'INVALID_REFRESH_TOKEN', message: 'Invalid refresh token' };
+    }
+
+    if (stored.usedAt || stored.revokedAt) {
+        await revokeSession(stored.familyId, 'reuse_detected');
+        console.warn(` Refresh token reuse detected for user ${stored.userId}; session revoked`);
+        return { success: false, error: 'REFRESH_TOKEN_REUSED', message: 'Refresh token has already been used' };
+    }
+
+    if (stored.expiresAt < new Date()) {
+        return { success: false, error: 'REFRESH_TOKEN_EXPIRED', message: 'Refresh token has expired' };
+    }
+
+    // Mark as used atomically; losing this race is also treated as reuse
+    const claimed = await RefreshToken.findOneAndUpdate(
+        { _id: stored._id, usedAt: { $exists: false }, revokedAt: { $exists: false } },
+        { $set: { usedAt: new Date() } }
+    );
+
+    if (!claimed) {
+        await revokeSession(stored.familyId, 'reuse_detected');
+        return { success: false, error: 'REFRESH_TOKEN_REUSED', message: 'Refresh token has already been used' };
+    }
+
+    const session = await Session.findById(stored.familyId);
+    if (!session || !session.isActive()) {
+        await RefreshToken.revokeFamily(stored.familyId, 'session_revoked');
+        return { success: false, error: 'SESSION_REVOKED', message: 'Session has been revoked' };
+    }
+
+    const user = await User.findById(stored.userId);
+    if (!user || !user.isActive) {
+        await revokeSession(stored.familyId, 'user_inactive');
+        return { success: false, error: 'INVALID_REFRESH_TOKEN', message: 'Invalid refresh token or user not found' };
+    }
+
+    // Requests that did not name a client app take the user's; a deactivated app's users are signed out
+    const userTenant = user.clientAppId ? await findTenantById(user.clientAppId) : null;
+    if ((tenant && !isSameTenant(tenant, user.clientAppId)) || (user.clientAppId && !userTenant)) {
+        return { success: false, error: 'INVALID_REFRESH_TOKEN', message: 'Invalid refresh token or user not found' };
+    }
+
+    const tokens = await issueTokens(user, { session, tenant: userTenant });
+
+    return { success: true, user, tokens };
+};
+
+/**
+ * Revoke the access token a request was made with
+ * @param {Object} tokenData - Verified JWT payload (req.tokenData)
+ */
+const revokeAccessToken = async (tokenData) => {
+    if (!tokenData.jti) return;
+    await getRevocationStore().revokeToken(tokenData.jti, new Date(tokenData.exp * 1000));
+};
+
+/**
+ * Revoke the session of a refresh token owned by a user
+ * @param {string} rawToken - Refresh token presented by the client
+ * @param {string} userId - Owner of the token
+ * @returns {Promise<boolean>} - True when a matching token was found
+ */
+const revokeRefreshToken = async (rawToken, userId) => {
+    const stored = await RefreshToken.findOne({ tokenHash: hashRefreshToken(rawToken), userId });
+    if (!stored) return false;
+
+    await revokeSession(stored.familyId, 'logout', { userId });
+    return true;
+};
+
+/**
+ * Revoke every session, access token and refresh token of a user
+ * @param {string} userId - User id
+ * @param {string} [reason='logout_all'] - Why the tokens are revoked
+ * @param {Object} [options] - Revoke options
+ * @param {Object} [options.tenant] - Client app the user belongs to (access token lifetime)
+ */
+const revokeAllTokens = async (userId, reason = 'logout_all', { tenant } = {}) => {
+    // Keep the user-wide revocation until the longest-lived access token has expired;
+    // tokens issued before the app's lifetime was changed may still use the global one
+    const accessTokenTtl = Math.max(
+        parseDuration(process.env.JWT_EXPIRES_IN) || 0,
+        parseDuration(getAccessTokenExpiresIn(tenant)) || 0
+    ) || 7 * 24 * 60 * 60 * 1000;
+
+    await getRevocationStore().revokeUserTokens(userId, new Date(Date.now() + accessTokenTtl));
+    await RefreshToken.revokeAllForUser(userId, reason);
+    await Session.revokeAllForUser(userId, reason);
+};
+
+module.exports = {
+    hashRefreshToken,
+    issueTokens,
+    rotateRefreshToken,
+    revokeSession,
+    revokeAccessToken,
+    revokeRefreshToken,
+    revokeAllTokens
+};
@@ -0,0 +1,341 @@
+const Verification = require('../models/Verification');
+const { sendVerificationCode, getAvailableChannels } = require('./smsService');
+const { resolveDestination } = require('./destinationPolicy');
+const { screenSendRequest } = require('./fraudService');
+const { issueChallenge } = require('./challenge');
+const { getLinkBaseUrl, issueLinkToken, getLinkUrl, verifyLinkToken } = require('./linkTokenService');
+const { getTenantId } = require('./tenantService');
+
+/**
+ * Read send limit configuration
+ * @returns {Object} - { maxSends, windowMs }
+ */
+const getSendPolicy = () => ({
+    maxSends: parseInt(process.env.VERIFICATION_MAX_SENDS || '5'),
+    windowMs: parseInt(process.env.VERIFICATION_SEND_WINDOW_MS || '900000') // 15 minutes
+});
+
+/**
+ * Start (or resend) a verification for a phone number
+ * Reuses the pending verification for the same number and purpose so the
+ * verification id stays stable across resends and channel switches.
+ * The destination's country policy decides code length, expiry, channels and daily cap.
+ * Every send is screened for SMS pumping first (see fraudService). Send limits
+ * count across client apps, since they protect the phone number; wrong-guess
+ * lockouts only apply to the purpose and client app they happened in.
+ * @param {Object} params - Verification parameters
+ * @param {string} params.phoneNumber - Phone number in E.164 format
+ * @param {string} [params.channel='sms'] - Delivery channel (sms or voice)
+ * @param {string} [params.purpose='phone_verification'] - What the code is for
+ * @param {string} [params.method='code'] - Send a code, or a signed link (SMS, phone_verification only)
+ * @param {string} [params.userId] - User the verification belongs to, if known
+ * @param {string} [params.ip] - Client IP the request came from
+ * @param {boolean} [params.challengePassed] - Whether the request carried a solved bot challenge
+ * @param {string} [params.locale] - Locale of the message (see utils/locale)
+ * @param {Object} [params.autofill] - WebOTP/SMS Retriever settings the SMS is formatted with (see config/autofill)
+ * @param {Object} [params.tenant] - Tenant the verification is for: OTP policy, branding and sender (see models/ClientApp)
+ * @param {boolean} [params.deliver=true] - False issues a code without sending it (decoys for numbers without an account)
+ * @param {boolean} [params.background=false] - Return once the code is issued; the send is recorded, and failures logged, when it finishes
+ * @returns {Promise<Object>} - { success, verification, delivery, alternativeChannels, codeLength, expiresIn, sendsRemaining, pollSecret? } or { success: false, error, message, challenge? }
+ */
+const startVerification = async ({ phoneNumber, channel = 'sms', purpose = 'phone_verification', method = 'code', userId, ip, challengePassed, locale, autofill, tenant, deliver = true, background = false }) => {
+    // Blocked destinations never cost a send
+    const destination = resolveDestination(phoneNumber, { tenant });
+    if (!destination.allowed) {
+        return { success: false, error: destination.error, message: destination.message };
+    }
+
+    const { policy } = destination;
+    const alternativeChannels = getAvailableChannels()
+        .filter(c => c !== channel && policy.channels.includes(c));
+
+    if (!policy.channels.includes(channel)) {
+        return {
+            success: false,
+            error: 'CHANNEL_NOT_AVAILABLE',
+            message: `Verification codes cannot be sent by ${channel} to this destination`,
+            channel,
+            alternativeChannels
+        };
+    }
+
+    if (method === 'link' && (channel !== 'sms' || purpose !== 'phone_verification' || !getLinkBaseUrl())) {
+        return {
+            success: false,
+            error: 'LINK_NOT_AVAILABLE',
+            message: 'Verification links are only available for phone verification by SMS',
+            channel,
+            alternativeChannels
+        };
+    }
+
+    // A fresh code must not reset the wrong-guess lockout
+    const lockout = await Verification.findActiveLockout(phoneNumber, purpose, getTenantId(tenant));
+    if (lockout) {
+        return Verification.describeLockout(lockout.lockedUntil);
+    }
+
+    const { maxSends, windowMs } = getSendPolicy();
+    const recentSends = await Verification.countSendsSince(phoneNumber, new Date(Date.now() - windowMs));
+    if (recentSends >= maxSends) {
+        return {
+            success: false,
+            error: 'RATE_LIMIT_EXCEEDED',
+            message: `Too many attempts. Please wait ${Math.ceil(windowMs / 60000)} minutes before requesting a new code.`
+        };
+    }
+
+    if (policy.dailySendCap) {
+        const dailySends = await Verification.countSendsSince(phoneNumber, new Date(Date.now() - 24 * 60 * 60 * 1000));
+        if (dailySends >= policy.dailySendCap) {
+            return {
+                success: false,
+                error: 'DAILY_SEND_LIMIT_EXCEEDED',
+                message: 'Daily limit of verification codes for this number reached. Please try again tomorrow.'
+            };
+        }
+    }
+
+    const screening = await screenSendRequest({
+        phoneNumber,
+        countryCode: destination.countryCode,
+        ip,
+        purpose,
+        channel,
+        challengePassed
+    });
+    if (screening.error === 'CHALLENGE_REQUIRED') {
+        return { success: false, error: screening.error, message: screening.message, challenge: await issueChallenge({ ip }) };
+    }
+    if (!screening.success) {
+        return { success: false, error: screening.error, message: screening.message };
+    }
+
+    let verification = await Verification.findPending(phoneNumber, purpose, getTenantId(tenant));
+    if (verification && verification.isExpired()) {
+        verification.status = 'expired';
+        await verification.save();
+        verification = null;
+    }
+
+    // A pending verification started for another account is not reused
+    if (verification && String(verification.userId || '') !== String(userId || '')) {
+        verification.status = 'canceled';
+        verification.codeHash = undefined;
+        await verification.save();
+        verification = null;
+    }
+
+    if (!verification) {
+        verification = new Verification({
+            phoneNumber,
+            purpose,
+            userId,
+            clientAppId: getTenantId(tenant),
+            countryCode: destination.countryCode,
+            requestIp: ip
+        });
+    }
+
+    // A link replaces the code; the poll secret lets the requesting client claim the result
+    let code;
+    let pollSecret;
+    if (method === 'link') {
+        pollSecret = verification.prepareLink({ expiryMs: policy.codeExpiryMs });
+    } else {
+        code = verification.generateCode(channel, {
+            length: policy.codeLength,
+            format: policy.codeFormat,
+            expiryMs: policy.codeExpiryMs
+        });
+    }
+    await verification.save();
+
+    // Deliver the code (or link) over the requested channel
+    const dispatch = async () => {
+        const result = !deliver ? { success: true, channel, status: 'sent' } : await sendVerificationCode(phoneNumber, code, {
+            channel,
+            expiresInMinutes: Math.max(Math.round(policy.codeExpiryMs / 60000), 1),
+            locale,
+            autofill,
+            link: method === 'link' ? getLinkUrl(issueLinkToken(verification)) : undefined,
+            branding: tenant ? tenant.branding : undefined,
+            senderId: tenant ? tenant.senderId : undefined
+        });
+        verification.recordSend(result);
+        await verification.save();
+        return result;
+    };
+
+    const sendsRemaining = Math.max(maxSends - recentSends - 1, 0);
+
+    // The caller answers without waiting for the provider, so response times
+    // do not depend on whether (or how slowly) the code was sent
+    if (background) {
+        dispatch()
+            .then((result) => {
+                if (!result.success) {
+                    console.error(` ${purpose} code delivery to ${phoneNumber} failed: ${result.message}`);
+                }
+            })
+            .catch((error) => console.error(` ${purpose} code delivery to ${phoneNumber} failed:`, error));
+
+        return {
+            success: true,
+            verification,
+            alternativeChannels,
+            codeLength: policy.codeLength,
+            expiresIn: policy.codeExpiryMs / 1000, // seconds
+            sendsRemaining
+        };
+    }
+
+    const delivery = await dispatch();
+
+    if (!delivery.success) {
+        return {
+            success: false,
+            error: delivery.error,
+            message: delivery.message,
+            verification,
+            channel,
+            alternativeChannels
+        };
+    }
+
+    return {
+        success: true,
+        verification,
+        delivery,
+        alternativeChannels,
+        codeLength: policy.codeLength,
+        expiresIn: policy.codeExpiryMs / 1000, // seconds
+        sendsRemaining,
+        pollSecret
+    };
+};
+
+/**
+ * Approve the verification a link was sent for
+ * Only the latest link of a pending verification works, and only once.
+ * @param {string} token - Token from the link
+ * @returns {Promise<Object>} - { success, verification } or { success: false, error, message }
+ */
+const completeLinkVerification = async (token) => {
+    const link = verifyLinkToken(token);
+    if (!link.valid) {
+        return { success: false, error: link.error, message: link.message };
+    }
+
+    const verification = await Verification.approveLink(link.verificationId, link.expiresAt);
+    if (!verification) {
+        return {
+            success: false,
+            error: 'VERIFICATION_NOT_FOUND',
+            message: 'Verification link is no longer valid'
+        };
+    }
+
+    return { success: true, verification };
+};
+
+/**
+ * Hand an approved link verification to the client that requested it
+ * @param {Object} params - Claim parameters
+ * @param {string} params.verificationId - Verification the link was sent for
+ * @param {string} params.pollSecret - Secret returned when the link was requested
+ * @param {Object} [params.tenant] - Tenant the link was requested for
+ * @returns {Promise<Object>} - { success, verification } or { success: false, error, message }
+ */
+const claimLinkVerification = async ({ verificationId, pollSecret, tenant }) => {
+    const verification = await Verification.claimLink(verificationId, pollSecret, getTenantId(tenant));
+    if (!verification) {
+        return {
+            success: false,
+            error: 'VERIFICATION_NOT_FOUND',
+            message: 'No opened verification link found'
+        };
+    }
+
+    return { success: true, verification };
+};
+
+/**
+ * Check a code submitted for a phone number
+ * @param {Object} params - Check parameters
+ * @param {string} params.phoneNumber - Phone number the code was sent to
+ * @param {string} params.code - Code submitted by the user
+ * @param {string} [params.purpose='phone_verification'] - What the code is for
+ * @param {string} [params.verificationId] - Specific verification to check
+ * @param {string} [params.userId] - Only accept a verification started for this user
+ * @param {Object} [params.tenant] - Only accept a verification started for this tenant
+ * @param {boolean} [params.approve=true] - Approve on a correct code; when false see approveVerification
+ * @returns {Promise<Object>} - { success, verification } or { success: false, error, message, attemptsRemaining?, lockedUntil? }
+ */
+const checkVerification = async ({ phoneNumber, code, purpose = 'phone_verification', verificationId, userId, tenant, approve = true }) => {
+    const lockout = await Verification.findActiveLockout(phoneNumber, purpose, getTenantId(tenant));
+    if (lockout) {
+        return Verification.describeLockout(lockout.lockedUntil);
+    }
+
+    const filter = { phoneNumber, purpose, clientAppId: getTenantId(tenant), status: 'pending' };
+    if (verificationId) filter._id = verificationId;
+    if (userId) filter.userId = userId;
+
+    const verification = await Verification.findOne(filter)
+        .sort({ createdAt: -1 })
+        .select('+codeHash');
+
+    if (!verification) {
+        return {
+            success: false,
+            error: 'VERIFICATION_NOT_FOUND',
+            message: 'No verification request found for this phone number'
+        };
+    }
+
+    const result = await verification.checkCode(code, { approve });
+    return { ...result, verification };
+};
+
+/**
+ * Approve a verification whose code was checked with approve: false
+ * Fails when the verification was approved or replaced in the meantime.
+ * @param {Object} verification - Verification returned by checkVerification
+ * @returns {Promise<Object>} - { success, verification } or { success: false, error, message }
+ */
+const approveVerification = async (verification) => {
+    const result = await verification.approve();
+    return { ...result, verification };
+};
+
+/**
+ * Find a verification of a tenant by id
+ * @param {Object} params - Lookup parameters
+ * @param {string} params.verificationId - Verification id
+ * @param {string} params.purpose - Only find a verification started for this purpose
+ * @param {Object} [params.tenant] - Only find a verification started for this tenant
+ * @returns {Promise<Object>} - { success, verification } or { success: false, error, message }
+ */
+const findVerification = async ({ verificationId, purpose, tenant }) => {
+    const verification = await Verification.findOne({
+        _id: verificationId,
+        purpose,
+        clientAppId: getTenantId(tenant)
+    });
+
+    if (!verification) {
+        return { success: false, error: 'VERIFICATION_NOT_FOUND', message: 'Verification not found' };
+    }
+
+    return { success: true, verification };
+};
+
+module.exports = {
+    startVerification,
+    checkVerification,
+    approveVerification,
+    findVerification,
+    completeLinkVerification,
+    claimLinkVerification
+};
@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+
+// Prefix identifying hashed codes, so legacy plaintext values can be detected
+const HASH_PREFIX = 'hmac-sha256';
+
+/**
+ * Get the server secret used to key verification code hashes
+ * Falls back to JWT_SECRET so existing deployments keep working.
+ * @returns {string} - HMAC key
+ */
+const getHashSecret = () => {
+    const secret = process.env.OTP_HASH_SECRET || process.env.JWT_SECRET;
+    if (!secret) {
+        throw new Error('OTP_HASH_SECRET or JWT_SECRET must be set to hash verification codes');
+    }
+    return secret;
+};
+
+/**
+ * Compute the keyed digest of a code with a given salt
+ * @param {string} code - Plaintext code
+ * @param {string} salt - Hex encoded salt
+ * @returns {Buffer} - HMAC-SHA256 digest
+ */
+const computeDigest = (code, salt) => {
+    return crypto
+        .createHmac('sha256', getHashSecret())
+        .update(`${salt}:${code}`)
+        .digest();
+};
+
+/**
+ * Check whether a stored value is a hashed verification code
+ * @param {string} storedValue - Value read from the database
+ * @returns {boolean}
+ */
+const isHashedCode = (storedValue) => {
+    return typeof storedValue === 'string' && storedValue.startsWith(`${HASH_PREFIX}$`);
+};
+
+/**
+ * Hash a verification code with a random salt and the server secret
+ * @param {string} code - Plaintext code
+ * @returns {string} - Stored form: hmac-sha256$<salt>$<digest>
+ */
+const hashCode = (code) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const digest = computeDigest(String(code), salt).toString('hex');
+    return `${HASH_PREFIX}$${salt}$${digest}`;
+};
+
+/**
+ * Compare a candidate code against a stored value in constant time
+ * Legacy plaintext values are still accepted so codes issued before
+ * hashing was introduced keep working until they expire.
+ * @param {string} candidate - Code submitted by the user
+ * @param {string} storedValue - Hashed (or legacy plaintext) code
+ * @returns {boolean} - True when the codes match
+ */
+const compareCode = (candidate, storedValue) => {
+    if (typeof candidate !== 'string' || typeof storedValue !== 'string') {
+        return false;
+    }
+
+    if (!isHashedCode(storedValue)) {
+        // Hash both sides so the comparison is constant time regardless of length
+        const expected = crypto.createHash('sha256').update(storedValue).digest();
+        const actual = crypto.createHash('sha256').update(candidate).digest();
+        return crypto.timingSafeEqual(expected, actual);
+    }
+
+    const [, salt, digest] = storedValue.split('$');
+    const expected = Buffer.from(digest || '', 'hex');
+    const actual = computeDigest(candidate, salt);
+
+    if (expected.length !== actual.length) {
+        return false;
+    }
+
+    return crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = {
+    isHashedCode,
+    hashCode,
+    compareCode
+};
@@ -0,0 +1,60 @@
+/**
+ * Normalized delivery lifecycle of a message or call, in order
+ * "delivered" and "failed" are final.
+ */
+const DELIVERY_STATUSES = ['queued', 'sent', 'delivered', 'failed'];
+
+const STATUS_RANK = {
+    queued: 0,
+    sent: 1,
+    delivered: 2,
+    failed: 2
+};
+
+/**
+ * Get the normalized statuses a new status must not overwrite
+ * Callbacks can arrive out of order; a late "sent" must not undo "delivered".
+ * @param {string} status - Normalized status
+ * @returns {string[]}
+ */
+const getStatusesAtOrAfter = (status) => {
+    return DELIVERY_STATUSES.filter(other => STATUS_RANK[other] >= STATUS_RANK[status]);
+};
+
+/**
+ * Normalize the status a provider returned when accepting a message
+ * @param {string} status - Raw provider status
+ * @returns {string} - One of DELIVERY_STATUSES
+ */
+const normalizeSendStatus = (status) => {
+    if (DELIVERY_STATUSES.includes(status)) return status;
+    return status === 'accepted' || status === 'scheduled' ? 'queued' : 'sent';
+};
+
+/**
+ * Build the URL providers report delivery status to
+ * @param {string} providerName - Provider name as used in the webhook route
+ * @returns {string|undefined} - Undefined when PUBLIC_BASE_URL is not set
+ */
+const getStatusCallbackUrl = (providerName) => {
+    if (!process.env.PUBLIC_BASE_URL) return undefined;
+    return `${process.env.PUBLIC_BASE_URL.replace(/\/+$/, '')}/api/webhooks/delivery-status/${providerName}`;
+};
+
+/**
+ * Rebuild the public URL a webhook request was sent to (used for signatures)
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+const getPublicRequestUrl = (req) => {
+    const base = (process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+    return `${base}${req.originalUrl}`;
+};
+
+module.exports = {
+    DELIVERY_STATUSES,
+    getStatusesAtOrAfter,
+    normalizeSendStatus,
+    getStatusCallbackUrl,
+    getPublicRequestUrl
+};
@@ -0,0 +1,28 @@
+const UNIT_MS = {
+    ms: 1,
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parse a duration like "15m", "7d" or "3600" into milliseconds
+ * Plain numbers are treated as seconds, matching jsonwebtoken's expiresIn.
+ * @param {string|number} value - Duration to parse
+ * @returns {number|null} - Milliseconds, or null when the value is not a duration
+ */
+const parseDuration = (value) => {
+    if (typeof value === 'number') {
+        return value * 1000;
+    }
+
+    const match = /^(\d+)\s*(ms|s|m|h|d)?$/.exec(String(value || '').trim());
+    if (!match) {
+        return null;
+    }
+
+    return parseInt(match[1]) * (match[2] ? UNIT_MS[match[2]] : 1000);
+};
+
+module.exports = { parseDuration };
@@ -0,0 +1,85 @@
+const { getMessageTemplates } = require('../config/messageTemplates');
+
+// BCP 47 language tags as sent by clients, e.g. "en", "pt-BR", "zh-Hant-TW"
+const LOCALE_PATTERN = /^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/;
+
+/**
+ * Get the locale used when nothing the client asked for is available
+ * @returns {string} - Lower-cased locale, e.g. "en"
+ */
+const getDefaultLocale = () => (process.env.DEFAULT_LOCALE || 'en').toLowerCase();
+
+/**
+ * Parse an Accept-Language header into locales, most preferred first
+ * @param {string} header - e.g. "fr-CH, fr;q=0.9, en;q=0.8, *;q=0.5"
+ * @returns {string[]} - Lower-cased locales without wildcards or q=0 entries
+ */
+const parseAcceptLanguage = (header) => {
+    if (!header || typeof header !== 'string') {
+        return [];
+    }
+
+    return header.split(',')
+        .map((entry, index) => {
+            const [tag, ...params] = entry.trim().split(';');
+            const qParam = params.map(param => param.trim()).find(param => param.startsWith('q='));
+            const quality = qParam ? parseFloat(qParam.slice(2)) : 1;
+            return { tag: tag.trim().toLowerCase(), quality: Number.isNaN(quality) ? 0 : quality, index };
+        })
+        .filter(({ tag, quality }) => quality > 0 && LOCALE_PATTERN.test(tag))
+        .sort((a, b) => b.quality - a.quality || a.index - b.index)
+        .map(({ tag }) => tag);
+};
+
+/**
+ * Expand a locale into itself and its less specific parents
+ * @param {string} locale - e.g. "pt-br"
+ * @returns {string[]} - e.g. ["pt-br", "pt"]
+ */
+const getLocaleChain = (locale) => {
+    const parts = locale.toLowerCase().split('-');
+    return parts.map((part, index) => parts.slice(0, parts.length - index).join('-'));
+};
+
+/**
+ * Pick the best available message locale
+ * Fallback chain: the explicit locale, then each Accept-Language entry by
+ * preference (each followed by its base language), then DEFAULT_LOCALE, then "en".
+ * @param {Object} params - Locale sources
+ * @param {string} [params.locale] - Locale the client asked for explicitly
+ * @param {string} [params.acceptLanguage] - Accept-Language header
+ * @returns {string} - A locale present in the message templates
+ */
+const resolveLocale = ({ locale, acceptLanguage } = {}) => {
+    const available = getMessageTemplates();
+    const requested = [
+        ...(typeof locale === 'string' && LOCALE_PATTERN.test(locale) ? [locale] : []),
+        ...parseAcceptLanguage(acceptLanguage),
+        getDefaultLocale()
+    ];
+
+    for (const candidate of requested) {
+        const match = getLocaleChain(candidate).find(tag => available[tag]);
+        if (match) return match;
+    }
+
+    return 'en';
+};
+
+/**
+ * Get the locale to send a request's messages in
+ * A "locale" body field wins over the Accept-Language header, which wins over config.
+ * @param {Object} req - Express request
+ * @returns {string} - A locale present in the message templates
+ */
+const getRequestLocale = (req) => resolveLocale({
+    locale: req && req.body && req.body.locale,
+    acceptLanguage: req && typeof req.get === 'function' ? req.get('accept-language') : undefined
+});
+
+module.exports = {
+    LOCALE_PATTERN,
+    parseAcceptLanguage,
+    resolveLocale,
+    getRequestLocale
+};
@@ -0,0 +1,29 @@
+/**
+ * Add the lines that let devices pick the code out of an SMS automatically
+ * - Android SMS Retriever: the app's 11-character hash has to be in the message
+ * - WebOTP: the last line has to be "@<domain> #<code>", domain being the site's host
+ * @param {string} text - Rendered SMS body
+ * @param {string} code - Code contained in the SMS
+ * @param {Object} [autofill] - Autofill settings (see config/autofill)
+ * @param {string} [autofill.androidAppHash] - Android SMS Retriever app hash
+ * @param {string} [autofill.webOtpDomain] - Domain of the site reading the code with WebOTP
+ * @returns {string} - SMS body with the autofill lines appended
+ */
+const addAutofillLines = (text, code, { androidAppHash, webOtpDomain } = {}) => {
+    const lines = [text];
+
+    if (androidAppHash) {
+        lines.push(androidAppHash);
+    }
+
+    // Must stay the last line for the browser to recognize it
+    if (webOtpDomain) {
+        lines.push(`@${webOtpDomain} #${code}`);
+    }
+
+    return lines.join('\n');
+};
+
+module.exports = {
+    addAutofillLines
+};
@@ -0,0 +1,109 @@
+const { parsePhoneNumberFromString, isSupportedCountry } = require('libphonenumber-js/max');
+
+// Stored numbers are always E.164: + and up to 15 digits, no leading zero
+const E164_PATTERN = /^\+[1-9]\d{1,14}$/;
+
+/**
+ * Get the region numbers without a country code are assumed to be in
+ * @returns {string} - ISO 3166-1 alpha-2 region, e.g. "US"
+ */
+const getDefaultRegion = () => (process.env.DEFAULT_PHONE_REGION || 'US').toUpperCase();
+
+/**
+ * Normalize a region code, ignoring ones libphonenumber does not know
+ * @param {string} region - Region code from a request or config
+ * @returns {string|undefined} - Upper-cased region or undefined
+ */
+const normalizeRegion = (region) => {
+    if (!region || typeof region !== 'string') {
+        return undefined;
+    }
+
+    const upper = region.trim().toUpperCase();
+    return isSupportedCountry(upper) ? upper : undefined;
+};
+
+/**
+ * Get the region to parse a request's phone numbers with
+ * A "region" body field wins over the X-Phone-Region header, which wins over config.
+ * @param {Object} req - Express request
+ * @returns {string} - ISO 3166-1 alpha-2 region
+ */
+const getRequestRegion = (req) => {
+    const header = req && typeof req.get === 'function' ? req.get('x-phone-region') : undefined;
+
+    return normalizeRegion(req && req.body && req.body.region)
+        || normalizeRegion(header)
+        || getDefaultRegion();
+};
+
+/**
+ * Parse a phone number as typed by a user
+ * National numbers are read in the given region, so trunk prefixes such as
+ * the leading 0 in "07911 123456" (GB) are handled. Numbers written with a
+ * 00 international prefix are read as international numbers in any region;
+ * other numbers that are not valid in the region are rejected rather than
+ * guessed to belong to another country.
+ * @param {string} input - Phone number in any common format
+ * @param {Object} [options] - Parse options
+ * @param {string} [options.region] - Default region, falls back to DEFAULT_PHONE_REGION
+ * @returns {Object} - { isValid, phoneNumber, countryCode, region, type, nationalNumber } or { isValid: false, error, message }
+ */
+const parsePhoneNumber = (input, { region } = {}) => {
+    if (!input || typeof input !== 'string') {
+        return { isValid: false, error: 'INVALID_PHONE_NUMBER', message: 'Phone number is required' };
+    }
+
+    const defaultRegion = normalizeRegion(region) || getDefaultRegion();
+    const trimmed = input.trim();
+
+    let parsed = parsePhoneNumberFromString(trimmed, defaultRegion);
+
+    // Not every region dials out with 00 (the US uses 011)
+    if ((!parsed || !parsed.isValid()) && trimmed.startsWith('00')) {
+        const digits = trimmed.replace(/\D/g, '').slice(2);
+        const international = digits && parsePhoneNumberFromString(`+${digits}`);
+        if (international && international.isValid()) {
+            parsed = international;
+        }
+    }
+
+    if (!parsed || !parsed.isValid()) {
+        return { isValid: false, error: 'INVALID_PHONE_NUMBER', message: 'Please provide a valid phone number' };
+    }
+
+    return {
+        isValid: true,
+        phoneNumber: parsed.number,
+        countryCode: parsed.countryCallingCode,
+        region: parsed.country,
+        type: parsed.getType() || 'UNKNOWN',
+        nationalNumber: parsed.nationalNumber
+    };
+};
+
+/**
+ * Normalize a phone number to E.164
+ * @param {string} input - Phone number in any common format
+ * @param {string} [region] - Default region for national numbers
+ * @returns {string|null} - E.164 number, or null when it is not a valid number
+ */
+const normalizePhoneNumber = (input, region) => {
+    const result = parsePhoneNumber(input, { region });
+    return result.isValid ? result.phoneNumber : null;
+};
+
+/**
+ * Check whether a value is already an E.164 number (used by schema validators)
+ * @param {string} value - Stored phone number
+ * @returns {boolean}
+ */
+const isE164 = (value) => typeof value === 'string' && E164_PATTERN.test(value);
+
+module.exports = {
+    getDefaultRegion,
+    getRequestRegion,
+    parsePhoneNumber,
+    normalizePhoneNumber,
+    isE164
+};
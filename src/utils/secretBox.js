@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+
+// Prefix identifying the encryption scheme of stored values
+const BOX_PREFIX = 'aes-256-gcm';
+
+/**
+ * Derive the key used to encrypt secrets at rest
+ * Falls back to JWT_SECRET so existing deployments keep working.
+ * @returns {Buffer} - 32 byte key
+ */
+const getEncryptionKey = () => {
+    const secret = process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    if (!secret) {
+        throw new Error('MFA_ENCRYPTION_KEY or JWT_SECRET must be set to encrypt secrets');
+    }
+    return crypto.createHash('sha256').update(secret).digest();
+};
+
+/**
+ * Encrypt a secret that has to be read back later (e.g. a TOTP seed)
+ * @param {string} plaintext - Secret to encrypt
+ * @returns {string} - Stored form: aes-256-gcm$<iv>$<tag>$<ciphertext>
+ */
+const encryptSecret = (plaintext) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    return [
+        BOX_PREFIX,
+        iv.toString('base64'),
+        cipher.getAuthTag().toString('base64'),
+        ciphertext.toString('base64')
+    ].join('$');
+};
+
+/**
+ * Decrypt a value produced by encryptSecret
+ * @param {string} storedValue - Encrypted value
+ * @returns {string} - Plaintext secret
+ */
+const decryptSecret = (storedValue) => {
+    const [prefix, iv, tag, ciphertext] = String(storedValue).split('$');
+    if (prefix !== BOX_PREFIX || !iv || !tag || !ciphertext) {
+        throw new Error('Unsupported encrypted secret format');
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+    return Buffer.concat([
+        decipher.update(Buffer.from(ciphertext, 'base64')),
+        decipher.final()
+    ]).toString('utf8');
+};
+
+module.exports = {
+    encryptSecret,
+    decryptSecret
+};
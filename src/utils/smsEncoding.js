@@ -0,0 +1,49 @@
+// GSM 03.38 default alphabet; each character is one 7-bit septet
+const GSM7_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?'
+    + '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+
+// GSM 03.38 extension table; each character takes an escape plus itself (2 septets)
+const GSM7_EXTENDED = '^{}\\[~]|€\f';
+
+const GSM7_BASIC_SET = new Set(GSM7_BASIC);
+const GSM7_EXTENDED_SET = new Set(GSM7_EXTENDED);
+
+// Characters per segment: single message / each part of a concatenated message
+const SEGMENT_LIMITS = {
+    'GSM-7': { single: 160, multi: 153 },
+    'UCS-2': { single: 70, multi: 67 }
+};
+
+/**
+ * Work out how an SMS body is encoded and how many billed segments it needs
+ * A single character outside GSM-7 (an emoji, "ó", "ç") switches the whole
+ * message to UCS-2, which cuts the segment size from 160 to 70 characters.
+ * @param {string} text - SMS body
+ * @returns {Object} - { encoding, length, segments, nonGsmCharacters }
+ */
+const countSmsSegments = (text) => {
+    const nonGsmCharacters = [];
+    let septets = 0;
+
+    for (const char of text) {
+        if (GSM7_BASIC_SET.has(char)) {
+            septets += 1;
+        } else if (GSM7_EXTENDED_SET.has(char)) {
+            septets += 2;
+        } else if (!nonGsmCharacters.includes(char)) {
+            nonGsmCharacters.push(char);
+        }
+    }
+
+    const encoding = nonGsmCharacters.length ? 'UCS-2' : 'GSM-7';
+    // UCS-2 counts UTF-16 code units, so characters outside the BMP take two
+    const length = encoding === 'GSM-7' ? septets : text.length;
+    const limits = SEGMENT_LIMITS[encoding];
+    const segments = length <= limits.single ? 1 : Math.ceil(length / limits.multi);
+
+    return { encoding, length, segments, nonGsmCharacters };
+};
+
+module.exports = {
+    countSmsSegments
+};
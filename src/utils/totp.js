@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+
+// RFC 4648 base32 alphabet used by authenticator apps
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const DEFAULT_OPTIONS = {
+    digits: 6,
+    period: 30, // seconds
+    window: 1 // accepted steps before and after the current one (clock drift)
+};
+
+/**
+ * Encode bytes as unpadded base32
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} - Base32 string
+ */
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+/**
+ * Decode a base32 string (case-insensitive, padding and spaces ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} - Decoded bytes
+ */
+const base32Decode = (input) => {
+    const cleaned = String(input).toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error(`Invalid base32 character: ${char}`);
+        }
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random TOTP secret
+ * @param {number} [bytes=20] - Secret size (20 bytes = 160 bits, as recommended by RFC 4226)
+ * @returns {string} - Base32 encoded secret
+ */
+const generateSecret = (bytes = 20) => base32Encode(crypto.randomBytes(bytes));
+
+/**
+ * Compute an HOTP value (RFC 4226)
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} counter - Moving factor
+ * @param {number} [digits=6] - Code length
+ * @returns {string} - Zero-padded code
+ */
+const generateHotp = (secret, counter, digits = DEFAULT_OPTIONS.digits) => {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+
+    // Dynamic truncation
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+        | (hmac[offset + 1] << 16)
+        | (hmac[offset + 2] << 8)
+        | hmac[offset + 3];
+
+    return String(binary % Math.pow(10, digits)).padStart(digits, '0');
+};
+
+/**
+ * Get the time step for a point in time
+ * @param {number} [time=Date.now()] - Time in milliseconds
+ * @param {number} [period=30] - Step length in seconds
+ * @returns {number} - Time step counter
+ */
+const getTimeStep = (time = Date.now(), period = DEFAULT_OPTIONS.period) => {
+    return Math.floor(time / 1000 / period);
+};
+
+/**
+ * Compute the TOTP value for a point in time (RFC 6238)
+ * @param {string} secret - Base32 encoded secret
+ * @param {Object} [options] - { time, digits, period }
+ * @returns {string} - Current code
+ */
+const generateTotp = (secret, options = {}) => {
+    const { digits, period } = { ...DEFAULT_OPTIONS, ...options };
+    return generateHotp(secret, getTimeStep(options.time, period), digits);
+};
+
+/**
+ * Check a TOTP code, allowing for clock drift
+ * @param {string} code - Code entered by the user
+ * @param {string} secret - Base32 encoded secret
+ * @param {Object} [options] - { time, digits, period, window }
+ * @returns {number|null} - Time step the code matched, or null when it did not match
+ */
+const verifyTotp = (code, secret, options = {}) => {
+    const { digits, period, window } = { ...DEFAULT_OPTIONS, ...options };
+    const candidate = String(code || '');
+
+    if (candidate.length !== digits || !/^\d+$/.test(candidate)) {
+        return null;
+    }
+
+    const currentStep = getTimeStep(options.time, period);
+
+    for (let offset = -window; offset <= window; offset++) {
+        const expected = generateHotp(secret, currentStep + offset, digits);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+            return currentStep + offset;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Build an otpauth:// URI for authenticator apps (usually shown as a QR code)
+ * @param {Object} params - URI parameters
+ * @param {string} params.secret - Base32 encoded secret
+ * @param {string} params.accountName - Account label, e.g. the phone number
+ * @param {string} params.issuer - Service name shown in the app
+ * @returns {string} - otpauth://totp/... URI
+ */
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DEFAULT_OPTIONS.digits),
+        period: String(DEFAULT_OPTIONS.period)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    generateHotp,
+    generateTotp,
+    getTimeStep,
+    verifyTotp,
+    buildOtpauthUri
+};
@@ -0,0 +1,67 @@
+/**
+ * Browsers and clients, checked in order (Edge and Opera also claim to be Chrome)
+ */
+const BROWSERS = [
+    { name: 'Edge', pattern: /Edg(e|A|iOS)?\// },
+    { name: 'Opera', pattern: /OPR\/|Opera/ },
+    { name: 'Samsung Internet', pattern: /SamsungBrowser\// },
+    { name: 'Firefox', pattern: /Firefox\/|FxiOS\// },
+    { name: 'Chrome', pattern: /Chrome\/|CriOS\// },
+    { name: 'Safari', pattern: /Safari\// },
+    { name: 'Postman', pattern: /PostmanRuntime\// },
+    { name: 'curl', pattern: /^curl\// },
+    { name: 'Android app', pattern: /okhttp\// }
+];
+
+/**
+ * Operating systems, checked in order (iOS and Android UAs also mention others)
+ */
+const OPERATING_SYSTEMS = [
+    { name: 'iPhone', pattern: /iPhone/ },
+    { name: 'iPad', pattern: /iPad/ },
+    { name: 'Android', pattern: /Android/ },
+    { name: 'Windows', pattern: /Windows/ },
+    { name: 'macOS', pattern: /Mac OS X|Macintosh/ },
+    { name: 'ChromeOS', pattern: /CrOS/ },
+    { name: 'Linux', pattern: /Linux/ }
+];
+
+/**
+ * Build a friendly device name from a User-Agent header
+ * @param {string} userAgent - User-Agent header value
+ * @returns {string} - e.g. "Chrome on Windows", or "Unknown device"
+ */
+const describeUserAgent = (userAgent) => {
+    if (!userAgent) {
+        return 'Unknown device';
+    }
+
+    const browser = BROWSERS.find(entry => entry.pattern.test(userAgent));
+    const os = OPERATING_SYSTEMS.find(entry => entry.pattern.test(userAgent));
+
+    if (browser && os) {
+        return `${browser.name} on ${os.name}`;
+    }
+
+    return (browser && browser.name) || (os && os.name) || 'Unknown device';
+};
+
+/**
+ * Collect the client details stored on a new session
+ * @param {Object} req - Express request
+ * @returns {Object} - { userAgent, ip, deviceName }
+ */
+const getClientContext = (req) => {
+    const userAgent = req.get('user-agent');
+
+    return {
+        userAgent,
+        ip: req.ip,
+        deviceName: (req.body && req.body.deviceName) || describeUserAgent(userAgent)
+    };
+};
+
+module.exports = {
+    describeUserAgent,
+    getClientContext
+};
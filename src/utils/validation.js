@@ -1,5 +1,15 @@
 
 const { body, param, query, validationResult } = require('express-validator');
+const { parsePhoneNumber, normalizePhoneNumber, getRequestRegion } = require('./phoneNumber');
+const { LOCALE_PATTERN } = require('./locale');
+const {
+    MIN_CODE_LENGTH,
+    MAX_CODE_LENGTH,
+    OTP_FORMATS,
+    resolveOtpPolicy,
+    normalizeOtp,
+    isWellFormedOtp
+} = require('../config/otpPolicy');
 
 /**
  * Handle validation errors
@@ -26,61 +36,291 @@ const handleValidationErrors = (req, res, next) => {
 };
 
 /**
- * Phone number validation rules
+ * Phone number validation rule for a body field
+ * National numbers are read in the request's region (see utils/phoneNumber).
+ * @param {string} field - Body field holding the phone number
+ * @returns {Object} - express-validator chain
  */
-const validatePhoneNumber = [
-    body('phoneNumber')
+const phoneNumberRule = (field) =>
+    body(field)
         .notEmpty()
         .withMessage('Phone number is required')
-        .custom((value) => {
-            // Remove all non-digit characters except +
-            const cleaned = value.replace(/[^\d+]/g, '');
-            
-            // Check if it has reasonable length (7-15 digits)
-            const digits = cleaned.replace(/\D/g, '');
-            if (digits.length < 7 || digits.length > 15) {
-                throw new Error('Phone number must be between 7 and 15 digits');
-            }
-            
-            // Check if it starts with + and has valid format
-            if (cleaned.startsWith('+') && digits.length >= 7) {
-                return true;
-            }
-            
-            // Allow numbers without + if they're reasonable length
-            if (digits.length >= 10) {
-                return true;
+        .bail()
+        .custom((value, { req }) => {
+            const result = parsePhoneNumber(value, { region: getRequestRegion(req) });
+            if (!result.isValid) {
+                throw new Error(result.message);
             }
-            
-            throw new Error('Please provide a valid phone number');
-        })
-        .withMessage('Please provide a valid phone number')
+            return true;
+        });
+
+/**
+ * Phone number validation rules
+ */
+const validatePhoneNumber = [
+    phoneNumberRule('phoneNumber'),
+    body('region')
+        .optional()
+        .isISO31661Alpha2()
+        .withMessage('Region must be a two-letter country code')
 ];
 
+/**
+ * Run a rule only when no recovery code is given in its place
+ * @param {*} value - Field value (unused)
+ * @param {Object} meta - express-validator meta ({ req })
+ * @returns {boolean}
+ */
+const withoutRecoveryCode = (value, { req }) => !req.body.recoveryCode;
+
+/**
+ * Get the OTP overrides of the client app a request was made for
+ * @param {Object} req - Express request (after resolveTenant)
+ * @returns {Object|undefined}
+ */
+const getTenantOtp = (req) => (req.tenant ? req.tenant.otp : undefined);
+
+/**
+ * Apply the one-time code format rules (see config/otpPolicy) to a validation chain
+ * The code is normalized first, so "123 456" and lower-case letters are accepted.
+ * @param {Object} chain - express-validator chain for the code field
+ * @param {string} label - Field name used in the error message
+ * @returns {Object} - The chain with the rules added
+ */
+const withOtpRules = (chain, label) => chain
+    .customSanitizer(value => (typeof value === 'string' ? normalizeOtp(value) : value))
+    .custom((value, { req }) => isWellFormedOtp(value, getTenantOtp(req)))
+    .withMessage((value, { req }) => `${label} must be ${MIN_CODE_LENGTH} to ${MAX_CODE_LENGTH} ${resolveOtpPolicy(getTenantOtp(req)).description}`);
+
 /**
  * Verification code validation rules
  */
 const validateVerificationCode = [
-    body('verificationCode')
-        .notEmpty()
-        .withMessage('Verification code is required')
-        .isLength({ min: 6, max: 6 })
-        .withMessage('Verification code must be exactly 6 digits')
-        .isNumeric()
-        .withMessage('Verification code must contain only numbers')
+    withOtpRules(
+        body('verificationCode')
+            .notEmpty()
+            .withMessage('Verification code is required')
+            .bail(),
+        'Verification code'
+    )
+];
+
+/**
+ * Optional recovery code, accepted in place of a one-time or authenticator code
+ */
+const validateRecoveryCode = [
+    body('recoveryCode')
+        .optional()
+        .isString()
+        .isLength({ min: 10, max: 20 })
+        .withMessage('Recovery code is invalid')
+];
+
+/**
+ * Optional verification id validation rules
+ */
+const validateVerificationId = [
+    body('verificationId')
+        .optional()
+        .isMongoId()
+        .withMessage('Verification id is invalid')
+];
+
+/**
+ * Optional device name for the session created on sign-in
+ */
+const validateDeviceName = [
+    body('deviceName')
+        .optional()
+        .isString()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Device name must be between 1 and 100 characters')
+];
+
+/**
+ * Bot challenge solution validation (both fields optional)
+ */
+const validateChallengeSolution = [
+    body('challengeToken')
+        .optional()
+        .isString()
+        .isLength({ max: 2048 })
+        .withMessage('Challenge token is invalid'),
+    body('challengeSolution')
+        .optional()
+        .isString()
+        .isLength({ min: 1, max: 4096 })
+        .withMessage('Challenge solution is invalid')
+];
+
+/**
+ * Optional message locale (BCP 47 tag such as "es" or "pt-BR")
+ */
+const validateLocale = [
+    body('locale')
+        .optional()
+        .isString()
+        .isLength({ max: 35 })
+        .matches(LOCALE_PATTERN)
+        .withMessage('Locale must be a language tag such as "en" or "pt-BR"')
 ];
 
+/**
+ * Verification id route parameter validation
+ */
+const validateVerificationIdParam = [
+    param('id')
+        .isMongoId()
+        .withMessage('Verification id is invalid')
+];
+
+/**
+ * Session id route parameter validation
+ */
+const validateSessionId = [
+    param('id')
+        .isMongoId()
+        .withMessage('Session id is invalid')
+];
+
+/**
+ * Settings of a client app, all optional (see models/ClientApp)
+ * null clears a setting; origins, token lifetimes and autofill settings are
+ * checked further by tenantService.
+ */
+const clientAppSettingsRules = [
+    body('allowedOrigins')
+        .optional()
+        .isArray({ max: 20 })
+        .withMessage('Allowed origins must be a list of at most 20 origins'),
+    body('allowedOrigins.*')
+        .isString()
+        .withMessage('Allowed origins must be strings'),
+    body('senderId')
+        .optional({ values: 'null' })
+        .isString()
+        .matches(/^(\+[1-9]\d{1,14}|[A-Za-z0-9 ]{1,11})$/)
+        .withMessage('Sender id must be a phone number in E.164 format or up to 11 letters and digits'),
+    body(['branding', 'otp', 'tokens', 'autofill'])
+        .optional()
+        .isObject()
+        .withMessage('Must be an object'),
+    body(['branding.appName', 'branding.brand'])
+        .optional({ values: 'null' })
+        .isString()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('Branding names must be 1 to 50 characters'),
+    body('otp.codeLength')
+        .optional({ values: 'null' })
+        .isInt({ min: MIN_CODE_LENGTH, max: MAX_CODE_LENGTH })
+        .withMessage(`Code length must be ${MIN_CODE_LENGTH} to ${MAX_CODE_LENGTH}`)
+        .toInt(),
+    body('otp.format')
+        .optional({ values: 'null' })
+        .isIn(Object.keys(OTP_FORMATS))
+        .withMessage(`Code format must be one of ${Object.keys(OTP_FORMATS).join(', ')}`),
+    body('otp.codeExpiryMs')
+        .optional({ values: 'null' })
+        .isInt({ min: 30000, max: 3600000 })
+        .withMessage('Code expiry must be between 30000 and 3600000 ms')
+        .toInt(),
+    body('tokens.accessTokenExpiresIn')
+        .optional({ values: 'null' })
+        .isString()
+        .withMessage('Access token lifetime must be a duration such as 15m'),
+    body('tokens.refreshTokenExpiryMs')
+        .optional({ values: 'null' })
+        .isInt({ min: 60000 })
+        .withMessage('Refresh token lifetime must be at least 60000 ms')
+        .toInt(),
+    body(['autofill.androidAppHash', 'autofill.webOtpDomain'])
+        .optional({ values: 'null' })
+        .isString()
+        .withMessage('Autofill settings must be strings')
+];
+
+/**
+ * Client app id route parameter validation
+ */
+const validateClientAppIdParam = [
+    param('appId')
+        .matches(/^[a-z0-9][a-z0-9-]{1,62}$/)
+        .withMessage('Client app id is invalid')
+];
+
+/**
+ * Client app registration validation rules
+ */
+const validateClientAppCreate = [
+    body('appId')
+        .isString()
+        .trim()
+        .toLowerCase()
+        .matches(/^[a-z0-9][a-z0-9-]{1,62}$/)
+        .withMessage('App id must be 2 to 63 letters, digits and dashes'),
+    body('name')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Name is required'),
+    ...clientAppSettingsRules
+];
+
+/**
+ * Client app update validation rules
+ */
+const validateClientAppUpdate = [
+    ...validateClientAppIdParam,
+    body('name')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Name must be 1 to 100 characters'),
+    body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be true or false')
+        .toBoolean(),
+    ...clientAppSettingsRules
+];
+
+/**
+ * Fraud report query validation
+ */
+const validateFraudReportQuery = [
+    query('hours')
+        .optional()
+        .isInt({ min: 1, max: 720 })
+        .withMessage('Hours must be between 1 and 720')
+        .toInt(),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 500 })
+        .withMessage('Limit must be between 1 and 500')
+        .toInt()
+];
+
+/**
+ * Apply the password strength rules to a validation chain
+ * @param {Object} chain - express-validator chain for the password field
+ * @returns {Object} - The chain with the rules added
+ */
+const withPasswordRules = (chain) => chain
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number');
+
 /**
  * User registration validation rules
  */
 const validateUserRegistration = [
     ...validatePhoneNumber,
-    body('password')
-        .optional()
-        .isLength({ min: 6 })
-        .withMessage('Password must be at least 6 characters long')
-        .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-        .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number')
+    ...validateVerificationId,
+    ...validateDeviceName,
+    ...validateChallengeSolution,
+    withPasswordRules(body('password').optional())
 ];
 
 /**
@@ -88,6 +328,7 @@ const validateUserRegistration = [
  */
 const validateUserLogin = [
     ...validatePhoneNumber,
+    ...validateDeviceName,
     body('password')
         .optional()
         .notEmpty()
@@ -98,7 +339,82 @@ const validateUserLogin = [
  * Phone verification request validation
  */
 const validatePhoneVerificationRequest = [
-    ...validatePhoneNumber
+    ...validatePhoneNumber,
+    ...validateChallengeSolution,
+    ...validateLocale,
+    body('channel')
+        .optional()
+        .isIn(['sms', 'voice'])
+        .withMessage('Channel must be either sms or voice')
+];
+
+/**
+ * Phone verification request validation, which may ask for a link instead of a code
+ */
+const validatePhoneVerificationStart = [
+    ...validatePhoneVerificationRequest,
+    body('method')
+        .optional()
+        .isIn(['code', 'link'])
+        .withMessage('Method must be either code or link')
+];
+
+/**
+ * Verify API: start verification validation
+ */
+const validateApiVerificationCreate = [
+    ...validatePhoneNumber,
+    ...validateLocale,
+    body('channel')
+        .optional()
+        .isIn(['sms', 'voice'])
+        .withMessage('Channel must be either sms or voice'),
+    body('ip')
+        .optional()
+        .isIP()
+        .withMessage('ip must be the IP address of the end user')
+];
+
+/**
+ * Verify API: check code validation
+ */
+const validateApiVerificationCheck = [
+    ...validateVerificationIdParam,
+    withOtpRules(
+        body('code')
+            .notEmpty()
+            .withMessage('Code is required')
+            .bail(),
+        'Code'
+    )
+];
+
+/**
+ * Verification link token route parameter validation
+ */
+const validateVerificationLinkToken = [
+    param('token')
+        .matches(/^[A-Za-z0-9_-]{32}$/)
+        .withMessage('Verification link is invalid')
+];
+
+/**
+ * Verification link claim validation
+ */
+const validateVerificationLinkClaim = [
+    body('verificationId')
+        .isMongoId()
+        .withMessage('Verification id is invalid'),
+    body('pollSecret')
+        .isString()
+        .isLength({ min: 32, max: 64 })
+        .withMessage('Poll secret is invalid'),
+    ...validateDeviceName,
+    body('createAccount')
+        .optional()
+        .isBoolean()
+        .withMessage('createAccount must be a boolean')
+        .toBoolean()
 ];
 
 /**
@@ -106,7 +422,168 @@ const validatePhoneVerificationRequest = [
  */
 const validatePhoneVerificationConfirm = [
     ...validatePhoneNumber,
-    ...validateVerificationCode
+    ...validateVerificationCode,
+    ...validateVerificationId,
+    ...validateDeviceName,
+    body('createAccount')
+        .optional()
+        .isBoolean()
+        .withMessage('createAccount must be a boolean')
+        .toBoolean()
+];
+
+/**
+ * One-time login code request validation
+ */
+const validateOtpLoginRequest = [
+    ...validatePhoneVerificationRequest
+];
+
+/**
+ * One-time login code confirmation validation
+ */
+const validateOtpLoginConfirm = [
+    ...validatePhoneNumber,
+    withOtpRules(
+        body('verificationCode')
+            .if(withoutRecoveryCode)
+            .notEmpty()
+            .withMessage('Verification code or recovery code is required')
+            .bail(),
+        'Verification code'
+    ),
+    ...validateRecoveryCode,
+    ...validateVerificationId,
+    ...validateDeviceName
+];
+
+/**
+ * Forgot password validation
+ */
+const validateForgotPassword = [
+    ...validatePhoneVerificationRequest
+];
+
+/**
+ * Password reset validation (same password rules as registration)
+ */
+const validatePasswordReset = [
+    ...validatePhoneNumber,
+    ...validateVerificationCode,
+    ...validateVerificationId,
+    withPasswordRules(
+        body('newPassword')
+            .notEmpty()
+            .withMessage('New password is required')
+            .bail()
+    )
+];
+
+/**
+ * Phone number change request validation
+ */
+const validatePhoneChangeRequest = [
+    phoneNumberRule('newPhoneNumber'),
+    ...validateChallengeSolution,
+    ...validateLocale,
+    body('channel')
+        .optional()
+        .isIn(['sms', 'voice'])
+        .withMessage('Channel must be either sms or voice')
+];
+
+/**
+ * Phone number change confirmation validation
+ * The current number's code (or a recovery code) is only needed when the old number is verified too.
+ */
+const validatePhoneChangeConfirm = [
+    phoneNumberRule('newPhoneNumber'),
+    ...validateVerificationCode,
+    ...validateVerificationId,
+    withOtpRules(body('currentPhoneCode').optional(), 'Current phone code'),
+    body('currentVerificationId')
+        .optional()
+        .isMongoId()
+        .withMessage('Current verification id is invalid'),
+    ...validateRecoveryCode
+];
+
+/**
+ * Authenticator app code validation
+ */
+const validateTotpCode = [
+    body('code')
+        .notEmpty()
+        .withMessage('Authenticator code is required')
+        .isLength({ min: 6, max: 6 })
+        .withMessage('Authenticator code must be exactly 6 digits')
+        .isNumeric()
+        .withMessage('Authenticator code must contain only numbers')
+];
+
+/**
+ * Apply the authenticator code rules for requests that may send a recovery code instead
+ * @param {Object} [chain] - express-validator chain for the code field
+ * @returns {Object} - The chain
+ */
+const secondFactorCode = (chain = body('code')) => chain
+    .if(withoutRecoveryCode)
+    .notEmpty()
+    .withMessage('Authenticator code or recovery code is required')
+    .isLength({ min: 6, max: 6 })
+    .withMessage('Authenticator code must be exactly 6 digits')
+    .isNumeric()
+    .withMessage('Authenticator code must contain only numbers');
+
+/**
+ * Second factor validation: an authenticator code or a recovery code
+ */
+const validateSecondFactor = [
+    secondFactorCode(),
+    ...validateRecoveryCode
+];
+
+/**
+ * Recovery code regeneration validation
+ * Users with an authenticator app confirm with a current code or a recovery code.
+ */
+const validateRecoveryCodeRegeneration = [
+    secondFactorCode(body('code').if((value, { req }) => !!(req.user.mfa && req.user.mfa.totpEnabled))),
+    ...validateRecoveryCode
+];
+
+/**
+ * Second factor login validation
+ */
+const validateMfaLogin = [
+    body('challengeToken')
+        .notEmpty()
+        .withMessage('Challenge token is required')
+        .isString()
+        .withMessage('Challenge token must be a string'),
+    ...validateSecondFactor,
+    ...validateDeviceName
+];
+
+/**
+ * Refresh token validation
+ */
+const validateRefreshToken = [
+    body('refreshToken')
+        .notEmpty()
+        .withMessage('Refresh token is required')
+        .isString()
+        .withMessage('Refresh token must be a string')
+];
+
+/**
+ * Logout validation (refresh token is optional)
+ */
+const validateLogout = [
+    body('refreshToken')
+        .optional()
+        .isString()
+        .withMessage('Refresh token must be a string')
 ];
 
 /**
@@ -134,34 +611,29 @@ const validateJWTHeader = (req, res, next) => {
 
 /**
  * Sanitize phone number
- * Remove special characters and format consistently
+ * Normalize to E.164, reading national numbers in the given region
+ * @param {string} phoneNumber - Phone number as typed
+ * @param {string} [region] - Default region (ISO 3166-1 alpha-2)
+ * @returns {string} - E.164 number, or the input when it cannot be parsed
  */
-const sanitizePhoneNumber = (phoneNumber) => {
+const sanitizePhoneNumber = (phoneNumber, region) => {
     if (!phoneNumber) return phoneNumber;
-    
-    // Remove all non-digit characters except +
-    let cleaned = phoneNumber.replace(/[^\d+]/g, '');
-    
-    // Ensure it starts with + for international format
-    if (!cleaned.startsWith('+')) {
-        // If it's a 10-digit US number, add +1
-        if (cleaned.length === 10) {
-            cleaned = '+1' + cleaned;
-        } else {
-            cleaned = '+' + cleaned;
-        }
-    }
-    
-    return cleaned;
+
+    // Invalid numbers are left as they are for the validators to reject
+    return normalizePhoneNumber(phoneNumber, region) || phoneNumber;
 };
 
 /**
  * Middleware to sanitize request body
  */
 const sanitizeRequest = (req, res, next) => {
-    if (req.body.phoneNumber) {
-        req.body.phoneNumber = sanitizePhoneNumber(req.body.phoneNumber);
-    }
+    const region = getRequestRegion(req);
+
+    ['phoneNumber', 'newPhoneNumber'].forEach(field => {
+        if (typeof req.body[field] === 'string') {
+            req.body[field] = sanitizePhoneNumber(req.body[field], region);
+        }
+    });
     
     // Trim whitespace from string fields
     Object.keys(req.body).forEach(key => {
@@ -173,46 +645,6 @@ const sanitizeRequest = (req, res, next) => {
     next();
 };
 
-/**
- * Rate limiting validation
- * Check if request exceeds rate limits
- */
-const validateRateLimit = (maxRequests = 5, windowMs = 15 * 60 * 1000) => {
-    const requests = new Map();
-    
-    return (req, res, next) => {
-        const key = req.ip || req.connection.remoteAddress;
-        const now = Date.now();
-        
-        if (!requests.has(key)) {
-            requests.set(key, { count: 1, resetTime: now + windowMs });
-            return next();
-        }
-        
-        const requestData = requests.get(key);
-        
-        if (now > requestData.resetTime) {
-            // Reset window
-            requests.set(key, { count: 1, resetTime: now + windowMs });
-            return next();
-        }
-        
-        if (requestData.count >= maxRequests) {
-            const resetTime = Math.ceil((requestData.resetTime - now) / 1000 / 60);
-            return res.status(429).json({
-                success: false,
-                message: `Too many requests. Please try again in ${resetTime} minutes.`,
-                error: 'RATE_LIMIT_EXCEEDED',
-                retryAfter: resetTime
-            });
-        }
-        
-        requestData.count++;
-        requests.set(key, requestData);
-        next();
-    };
-};
-
 /**
  * Generic API response formatter
  */
@@ -238,13 +670,39 @@ module.exports = {
     handleValidationErrors,
     validatePhoneNumber,
     validateVerificationCode,
+    validateVerificationId,
+    validateDeviceName,
+    validateChallengeSolution,
+    validateLocale,
+    validateVerificationIdParam,
+    validateSessionId,
+    validateFraudReportQuery,
+    validateClientAppIdParam,
+    validateClientAppCreate,
+    validateClientAppUpdate,
     validateUserRegistration,
     validateUserLogin,
     validatePhoneVerificationRequest,
+    validatePhoneVerificationStart,
+    validateApiVerificationCreate,
+    validateApiVerificationCheck,
+    validateVerificationLinkToken,
+    validateVerificationLinkClaim,
     validatePhoneVerificationConfirm,
+    validateOtpLoginRequest,
+    validateOtpLoginConfirm,
+    validateForgotPassword,
+    validatePasswordReset,
+    validatePhoneChangeRequest,
+    validatePhoneChangeConfirm,
+    validateTotpCode,
+    validateSecondFactor,
+    validateRecoveryCodeRegeneration,
+    validateMfaLogin,
+    validateRefreshToken,
+    validateLogout,
     validateJWTHeader,
     sanitizePhoneNumber,
     sanitizeRequest,
-    validateRateLimit,
     formatApiResponse
 };
@@ -0,0 +1,65 @@
+const { formatApiResponse } = require('./validation');
+
+/**
+ * HTTP status codes for verification (one-time code and second factor) failures
+ * Anything not listed is treated as a delivery failure (500)
+ */
+const VERIFICATION_ERROR_STATUS = {
+    RATE_LIMIT_EXCEEDED: 429,
+    DAILY_SEND_LIMIT_EXCEEDED: 429,
+    DESTINATION_NOT_ALLOWED: 403,
+    VERIFICATION_BLOCKED: 403,
+    CHALLENGE_REQUIRED: 403,
+    VERIFICATION_LOCKED: 429,
+    CHANNEL_NOT_AVAILABLE: 400,
+    INVALID_PHONE_NUMBER: 400,
+    VERIFICATION_NOT_FOUND: 404,
+    VERIFICATION_CODE_EXPIRED: 400,
+    INVALID_VERIFICATION_CODE: 400,
+    INVALID_MFA_CHALLENGE: 401,
+    MFA_CHALLENGE_EXPIRED: 401,
+    MFA_NOT_ENABLED: 400,
+    INVALID_MFA_CODE: 400,
+    MFA_LOCKED: 429,
+    TOTP_ENROLLMENT_NOT_STARTED: 400,
+    INVALID_RECOVERY_CODE: 400,
+    INVALID_CHALLENGE_SOLUTION: 403,
+    LINK_NOT_AVAILABLE: 400,
+    INVALID_VERIFICATION_LINK: 400,
+    VERIFICATION_LINK_EXPIRED: 400
+};
+
+/**
+ * Send a failed verification result (from verificationService) as an API response
+ * @param {Object} res - Express response
+ * @param {Object} result - Failed start/check result
+ */
+const sendVerificationFailure = (res, result) => {
+    if (result.lockedUntil) {
+        res.set('Retry-After', Math.ceil((result.lockedUntil.getTime() - Date.now()) / 1000));
+    }
+
+    const data = {
+        verificationId: result.verification ? result.verification._id : undefined,
+        channel: result.channel,
+        alternativeChannels: result.alternativeChannels,
+        attemptsRemaining: result.attemptsRemaining,
+        lockedUntil: result.lockedUntil,
+        challenge: result.challenge
+    };
+    const hasData = Object.values(data).some(value => value !== undefined);
+
+    return res.status(VERIFICATION_ERROR_STATUS[result.error] || 500).json(
+        formatApiResponse(
+            false,
+            result.message,
+            hasData ? data : null,
+            result.error
+        )
+    );
+};
+
+module.exports = {
+    VERIFICATION_ERROR_STATUS,
+    sendVerificationFailure
+};